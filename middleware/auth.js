@@ -2,14 +2,16 @@ const User = require('../models/User');
 const { verifyToken, extractTokenFromHeader } = require('../utils/jwt');
 
 /**
- * Authentication middleware to protect routes
- * Verifies JWT token and attaches user to request object
+ * Build an authentication middleware that reads the JWT with getToken,
+ * verifies it and attaches the user to the request object
+ * @param {Function} getToken - Returns the token of a request, or null
+ * @param {object} [options] - Middleware options
+ * @param {boolean} [options.allowPlaybackTokens=false] - Also accept playback tokens for the video in req.params.videoId
+ * @returns {Function} Express middleware
  */
-const authenticate = async (req, res, next) => {
+const createAuthenticate = (getToken, options = {}) => async (req, res, next) => {
   try {
-    // Get token from Authorization header
-    const authHeader = req.headers.authorization;
-    const token = extractTokenFromHeader(authHeader);
+    const token = getToken(req);
 
     if (!token) {
       return res.status(401).json({
@@ -27,6 +29,14 @@ const authenticate = async (req, res, next) => {
       });
     }
 
+    // Playback tokens are limited to the player routes of a single video
+    if (decoded.scope === 'playback' && !(options.allowPlaybackTokens && decoded.videoId === req.params.videoId)) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid token.'
+      });
+    }
+
     // Get user from database
     const user = await User.findById(decoded.id).select('-password');
     if (!user) {
@@ -55,6 +65,20 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Authentication middleware to protect routes
+ * Verifies JWT token from the Authorization header and attaches user to request object
+ */
+const authenticate = createAuthenticate(req => extractTokenFromHeader(req.headers.authorization));
+
+/**
+ * Authentication middleware for player requests (keys, playlists)
+ * Native HLS players can't set headers, so the token may also come from the ?token= query parameter
+ */
+const authenticatePlayback = createAuthenticate(req => (
+  extractTokenFromHeader(req.headers.authorization) || (typeof req.query.token === 'string' ? req.query.token : null)
+), { allowPlaybackTokens: true });
+
 /**
  * Optional authentication middleware
  * Similar to authenticate but doesn't return error if no token
@@ -67,7 +91,7 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = verifyToken(token);
-      if (decoded) {
+      if (decoded && decoded.scope !== 'playback') {
         const user = await User.findById(decoded.id).select('-password');
         if (user && user.isActive) {
           req.user = user;
@@ -84,5 +108,6 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   authenticate,
+  authenticatePlayback,
   optionalAuth
 }; 
\ No newline at end of file
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+
+const encodingJobSchema = new mongoose.Schema({
+  videoId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  s3Key: {
+    type: String,
+    required: true
+  },
+  state: {
+    type: String,
+    enum: ['queued', 'running', 'succeeded', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  // Higher runs first among one user's jobs and breaks ties between users
+  priority: {
+    type: Number,
+    default: 0,
+    min: -10,
+    max: 10
+  },
+  // Encoding settings snapshotted when the job is created
+  options: {
+    encodeMode: {
+      type: String,
+      enum: ['single-decode', 'per-rendition'],
+      default: 'single-decode'
+    },
+    segmentDuration: Number, // HLS segment (and GOP) length in seconds
+    segmentFormat: {
+      type: String,
+      enum: ['ts', 'fmp4'],
+      default: 'ts'
+    },
+    encryptSegments: { // AES-128, see Video.encryption
+      type: Boolean,
+      default: false
+    },
+    // Two-pass loudnorm of the audio renditions towards loudnessTarget
+    normalizeAudio: {
+      type: Boolean,
+      default: false
+    },
+    loudnessTarget: { // { integrated (LUFS), truePeak (dBTP), range (LU) }
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Normalized watermark settings (Video.watermark), null for none
+    watermark: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    },
+    // Cut the source from another video first: { parentVideoId, sourceKey, segments, mode }
+    clip: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  progress: {
+    type: Number,
+    default: 0
+  },
+  eta: {
+    type: Number, // seconds remaining
+    default: null
+  },
+  renditionProgress: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  streamingUrls: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  error: {
+    type: String,
+    default: null
+  },
+  // Set by the cancel endpoint; the worker holding the lease stops at its next heartbeat
+  cancelRequested: {
+    type: Boolean,
+    default: false
+  },
+  // Phase currently running, e.g. 'download', 'encode:720p', 'upload:720p', 'publish'
+  phase: {
+    type: String,
+    default: null
+  },
+  // Work finished by earlier attempts; a retry resumes from here
+  checkpoint: {
+    // The clip was cut and uploaded as this video's source
+    clipCreated: {
+      type: Boolean,
+      default: false
+    },
+    renditions: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    // One per source audio stream (empty when the source is silent)
+    audioRenditions: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    // Embedded text subtitle streams, converted once to caption tracks
+    subtitleTracks: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: undefined
+    },
+    captionsExtracted: {
+      type: Boolean,
+      default: false
+    },
+    duration: {
+      type: Number,
+      default: null
+    },
+    completedRenditions: {
+      type: [String],
+      default: []
+    },
+    // Measured stats of each completed rendition, used to build the master playlist
+    variants: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    // Uploaded poster, candidates and sprite (same shape as Video.thumbnails)
+    thumbnails: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null
+    }
+  },
+  // Cost of the last encode: wall-clock time and ffmpeg CPU time (from -benchmark)
+  metrics: {
+    encodeMode: String,
+    renditions: Number,
+    wallClockMs: Number,
+    cpuUserMs: Number,
+    cpuSystemMs: Number
+  },
+  // Leases taken since the job was created or last retried; an orphaned job that reaches
+  // JOB_MAX_ATTEMPTS is failed instead of re-queued
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  // Lease ownership: the worker holding the lease renews it with heartbeats.
+  // A running job whose lease expired is considered orphaned and is re-queued.
+  leaseOwner: {
+    type: String,
+    default: null
+  },
+  leaseExpiresAt: {
+    type: Date,
+    default: null
+  },
+  heartbeatAt: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+// Index for faster queries
+encodingJobSchema.index({ videoId: 1, createdAt: -1 });
+encodingJobSchema.index({ state: 1, priority: -1, createdAt: 1 });
+encodingJobSchema.index({ state: 1, leaseExpiresAt: 1 });
+encodingJobSchema.index({ state: 1, finishedAt: 1 });
+// At most one queued or running job per video, even when two requests race (needs MongoDB 6.0+ for $in)
+encodingJobSchema.index(
+  { videoId: 1 },
+  { unique: true, partialFilterExpression: { state: { $in: ['queued', 'running'] } } }
+);
+
+module.exports = mongoose.model('EncodingJob', encodingJobSchema);
@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// A resumable upload in progress. tus uploads keep the received bytes in localPath until complete;
+// multipart uploads go from the client straight to storage, as parts of storageUploadId.
+const uploadSessionSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  protocol: {
+    type: String,
+    enum: ['tus', 'multipart'],
+    default: 'tus'
+  },
+  state: {
+    type: String,
+    enum: ['uploading', 'completed'],
+    default: 'uploading'
+  },
+  length: { // total size in bytes (Upload-Length)
+    type: Number,
+    required: true
+  },
+  offset: { // bytes received so far (Upload-Offset)
+    type: Number,
+    default: 0
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimetype: {
+    type: String,
+    required: true
+  },
+  displayName: {
+    type: String,
+    default: ''
+  },
+  // Start encoding with the user's defaults once the upload completes
+  autoEncode: {
+    type: Boolean,
+    default: false
+  },
+  localPath: {
+    type: String,
+    default: null
+  },
+  // Target key (set when a resumable upload is stored), and for multipart uploads the storage
+  // driver's upload id and the part layout
+  s3Key: {
+    type: String,
+    default: null
+  },
+  storageUploadId: {
+    type: String,
+    default: null
+  },
+  partSize: {
+    type: Number,
+    default: null
+  },
+  partCount: {
+    type: Number,
+    default: null
+  },
+  // Set once the upload has been stored and its Video created
+  videoId: {
+    type: String,
+    default: null
+  },
+  // Pushed back by every chunk (or batch of part URLs); expired sessions and their data are removed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt fields
+});
+
+uploadSessionSchema.index({ expiresAt: 1 });
+uploadSessionSchema.index({ userId: 1, state: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const watermarkSchema = require('./watermarkSchema');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -28,6 +29,21 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Default watermark for this user's encodes (text may use {username}, {title}, {videoId}, {date})
+  watermark: {
+    type: watermarkSchema,
+    default: null
+  },
+  // Overrides of the deployment quotas (QUOTA_STORAGE_GB, QUOTA_ENCODE_MINUTES); null uses the default, 0 is unlimited
+  quota: {
+    storageBytes: { type: Number, default: null },
+    encodeMinutes: { type: Number, default: null }
+  },
+  // Seconds of video encoded in the current month (UTC, 'YYYY-MM')
+  encodeUsage: {
+    period: { type: String, default: null },
+    seconds: { type: Number, default: 0 }
+  },
   isActive: {
     type: Boolean,
     default: true
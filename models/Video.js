@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const watermarkSchema = require('./watermarkSchema');
 
 const videoSchema = new mongoose.Schema({
   videoId: {
@@ -23,6 +24,11 @@ const videoSchema = new mongoose.Schema({
     type: Number,
     required: true
   },
+  // Bytes under hls/<videoId>/ after the last encode (renditions, manifests, thumbnails, captions)
+  outputSize: {
+    type: Number,
+    default: 0
+  },
   mimetype: {
     type: String,
     required: true
@@ -37,24 +43,218 @@ const videoSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['uploaded', 'processing', 'completed', 'failed'],
+    enum: ['uploaded', 'processing', 'completed', 'failed', 'cancelled'],
     default: 'uploaded'
   },
   encodingProgress: {
     type: Number,
     default: 0
   },
+  estimatedCompletionAt: {
+    type: Date,
+    default: null
+  },
   streamingUrls: {
     master: String,
+    dash: String, // MPD over the same CMAF segments (fMP4 output only)
+    // Keyed by rendition name (e.g. '480p'), only for renditions actually produced
     qualities: {
-      '360p': String,
-      '720p': String
+      type: mongoose.Schema.Types.Mixed,
+      default: undefined
+    }
+  },
+  // HLS segment container: MPEG-TS or fragmented MP4 (CMAF); null uses the deployment default
+  segmentFormat: {
+    type: String,
+    enum: ['ts', 'fmp4', null],
+    default: null
+  },
+  // Two-pass EBU R128 loudness normalization of the audio; null uses the deployment default
+  normalizeAudio: {
+    type: Boolean,
+    default: null
+  },
+  // Set on clips: the video they were cut from and how
+  parentVideoId: {
+    type: String,
+    default: null
+  },
+  clip: {
+    mode: { type: String, enum: ['accurate', 'fast'] },
+    sourceKey: String, // parent source the clip is cut from
+    segments: [{
+      _id: false,
+      start: Number, // seconds into the parent
+      end: Number
+    }]
+  },
+  // Watermark burned in by the last encode, reused by re-encodes; null for none
+  watermark: {
+    type: watermarkSchema,
+    default: null
+  },
+  // AES-128 segment encryption; the key stays in the database and is served by the key route
+  encryption: {
+    enabled: { type: Boolean, default: false },
+    key: { type: String, default: null, select: false } // hex, generated on first encode
+  },
+  // Other users allowed to play the video (and fetch its key)
+  sharedWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Set while the video is in the trash, where only restore and delete reach it;
+  // it is purged with all its artifacts at purgeAt
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  purgeAt: {
+    type: Date,
+    default: null
+  },
+  renditions: [{
+    _id: false,
+    name: String,
+    width: Number,
+    height: Number,
+    frameRate: Number,
+    videoBitrate: Number,
+    maxBitrate: Number,
+    bufferSize: Number,
+    audioBitrate: Number,
+    // Measured from the encoded output
+    uri: String,
+    bandwidth: Number, // peak segment bit rate
+    averageBandwidth: Number,
+    codecs: String,
+    segmentCount: Number,
+    segmentDurations: [Number], // used to rebuild the DASH manifest
+    duration: Number,
+    size: Number // bytes of the published playlist and segments
+  }],
+  // One HLS audio rendition per source audio stream, shared by every video rendition
+  audioRenditions: [{
+    _id: false,
+    name: String,
+    language: String, // BCP 47
+    label: String,
+    channels: Number,
+    isDefault: Boolean,
+    uri: String,
+    bandwidth: Number,
+    averageBandwidth: Number,
+    codecs: String,
+    segmentCount: Number,
+    segmentDurations: [Number], // used to rebuild the DASH manifest
+    duration: Number,
+    size: Number // bytes of the published playlist and segments
+  }],
+  // Segmented WebVTT tracks published as EXT-X-MEDIA TYPE=SUBTITLES, one per id
+  captions: [{
+    _id: false,
+    id: String, // language tag for uploaded captions
+    language: String, // BCP 47
+    label: String,
+    source: {
+      type: String,
+      enum: ['upload', 'embedded']
+    },
+    originalFormat: {
+      type: String,
+      enum: ['srt', 'vtt']
+    },
+    isDefault: { type: Boolean, default: false },
+    uri: String, // subtitle playlist, relative to the master playlist
+    vttUrl: String, // complete WebVTT file
+    segmentFormat: String, // video segment format the X-TIMESTAMP-MAP was written for
+    cueCount: Number,
+    segmentCount: Number,
+    updatedAt: Date
+  }],
+  // Generated during encoding; the poster can be changed afterwards
+  thumbnails: {
+    poster: {
+      key: String,
+      url: String,
+      timestamp: Number, // seconds into the video
+      candidate: { type: Number, default: null } // index into candidates, null for a custom timestamp
+    },
+    candidates: [{
+      _id: false,
+      key: String,
+      url: String,
+      timestamp: Number,
+      brightness: Number, // mean luma 0-255
+      sharpness: Number // variance of the Laplacian
+    }],
+    // Seek-preview sprite sheets and the WebVTT track that maps time ranges to tiles
+    sprite: {
+      vtt: String,
+      sheets: [String],
+      interval: Number,
+      columns: Number,
+      rows: Number,
+      tileWidth: Number,
+      tileHeight: Number
     }
   },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
   },
+  // Technical metadata of the source, filled in by ffprobe
+  mediaInfo: {
+    duration: { type: Number, default: null }, // seconds
+    container: { type: String, default: null },
+    bitrate: { type: Number, default: null }, // bits per second
+    videoCodec: { type: String, default: null },
+    videoBitrate: { type: Number, default: null },
+    width: { type: Number, default: null }, // display width (rotation applied)
+    height: { type: Number, default: null }, // display height (rotation applied)
+    frameRate: { type: Number, default: null },
+    rotation: { type: Number, default: 0 },
+    audioCodec: { type: String, default: null },
+    audioChannels: { type: Number, default: null },
+    audioSampleRate: { type: Number, default: null },
+    audioTracks: {
+      type: [{
+        _id: false,
+        index: Number, // position among the audio streams
+        codec: String,
+        language: String,
+        title: String,
+        channels: Number,
+        isDefault: Boolean
+      }],
+      default: undefined
+    },
+    // Text subtitle streams only; bitmap formats can't become WebVTT
+    subtitleTracks: {
+      type: [{
+        _id: false,
+        index: Number, // position among the subtitle streams
+        codec: String,
+        language: String,
+        title: String,
+        isDefault: Boolean
+      }],
+      default: undefined
+    },
+    // Integrated loudness of each audio stream, measured by the first loudnorm pass of a normalizing encode
+    loudness: {
+      type: [{
+        _id: false,
+        streamIndex: Number, // position among the audio streams
+        integrated: Number, // LUFS
+        truePeak: Number, // dBTP
+        range: Number, // LU
+        threshold: Number // LUFS
+      }],
+      default: undefined
+    },
+    probedAt: { type: Date, default: null }
+  },
   s3Metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -83,10 +283,21 @@ const videoSchema = new mongoose.Schema({
 videoSchema.index({ userId: 1, createdAt: -1 });
 videoSchema.index({ videoId: 1 });
 videoSchema.index({ status: 1 });
+videoSchema.index({ sharedWith: 1 });
+videoSchema.index({ parentVideoId: 1 });
+videoSchema.index({ purgeAt: 1 });
+
+// Owners and users the video is shared with may play it
+videoSchema.methods.isAccessibleBy = function(userId) {
+  return this.userId.equals(userId) || (this.sharedWith || []).some(id => id.equals(userId));
+};
 
 // Instance method to get video data without sensitive information
 videoSchema.methods.toJSON = function() {
   const videoObject = this.toObject();
+  if (videoObject.encryption) {
+    delete videoObject.encryption.key;
+  }
   return videoObject;
 };
 
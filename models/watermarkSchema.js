@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { WATERMARK_TYPES, WATERMARK_POSITIONS } = require('../utils/watermark');
+
+// Overlay burned into every rendition; embedded in User (default) and Video (used for the encode)
+const watermarkSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: WATERMARK_TYPES,
+    required: true
+  },
+  imageKey: String, // S3 key of the image (PNG keeps transparency)
+  text: String, // template on users, rendered text on videos
+  fontColor: String,
+  position: {
+    type: String,
+    enum: WATERMARK_POSITIONS,
+    default: 'bottom-right'
+  },
+  opacity: Number, // 0-1
+  scale: Number, // image width / video width, or text height / video height
+  margin: Number, // distance from the edges / video height
+  start: { type: Number, default: null }, // seconds; null for the whole video
+  end: { type: Number, default: null }
+}, { _id: false });
+
+module.exports = watermarkSchema;
@@ -0,0 +1,102 @@
+const express = require('express');
+const { authenticatePlayback } = require('../middleware/auth');
+const Video = require('../models/Video');
+const playbackProxy = require('../services/playbackProxy');
+
+const router = express.Router();
+
+// AES-128 key of an encrypted video, referenced by the EXT-X-KEY URI of its playlists
+// (requires authentication: owner or a user the video is shared with)
+router.get('/key/:videoId', authenticatePlayback, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const video = await Video.findOne({ videoId: videoId, deletedAt: null }).select('+encryption.key');
+
+    if (!video || !video.isAccessibleBy(req.user._id)) {
+      return res.status(404).json({
+        error: 'Video not found or access denied'
+      });
+    }
+
+    if (!video.encryption || !video.encryption.enabled || !video.encryption.key) {
+      return res.status(404).json({
+        error: 'Video is not encrypted'
+      });
+    }
+
+    // Keys must never end up in shared caches
+    res.set({
+      'Content-Type': 'application/octet-stream',
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(Buffer.from(video.encryption.key, 'hex'));
+
+  } catch (error) {
+    console.error('Error serving encryption key:', error);
+    res.status(500).json({
+      error: 'Failed to get encryption key',
+      message: error.message
+    });
+  }
+});
+
+// Files rewritten per viewer, by the end of their path; every other file redirects to a presigned URL
+const DOCUMENTS = [
+  { suffix: '.m3u8', render: 'renderPlaylist', contentType: 'application/vnd.apple.mpegurl', name: 'Playlist' },
+  { suffix: '.mpd', render: 'renderManifest', contentType: 'application/dash+xml', name: 'Manifest' },
+  { suffix: '/thumbnails.vtt', render: 'renderThumbnailTrack', contentType: 'text/vtt', name: 'Thumbnail track' }
+];
+
+// Published files of a video, e.g. /:videoId/master.m3u8, /:videoId/720p/playlist.m3u8, /:videoId/manifest.mpd
+// or /:videoId/thumbnails/poster.jpg (requires authentication: owner or a user the video is shared with).
+// Playlists get presigned segment URLs, the DASH manifest and sprite track get per-viewer URLs, and every
+// other file redirects to a presigned URL. Access is checked on every request, so unsharing a video stops
+// playback once the presigned URLs already handed out expire.
+router.get('/:videoId/*', authenticatePlayback, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const objectPath = req.params[0];
+    const video = await Video.findOne({ videoId: videoId, deletedAt: null });
+
+    if (!video || !video.isAccessibleBy(req.user._id)) {
+      return res.status(404).json({
+        error: 'Video not found or access denied'
+      });
+    }
+
+    const document = DOCUMENTS.find(candidate => objectPath.endsWith(candidate.suffix));
+    if (!document) {
+      const url = await playbackProxy.getObjectUrl(videoId, objectPath);
+      if (!url) {
+        return res.status(404).json({
+          error: 'File not found'
+        });
+      }
+      res.set('Cache-Control', 'private, no-store');
+      return res.redirect(302, url);
+    }
+
+    const content = await playbackProxy[document.render](videoId, objectPath, req.user._id);
+    if (!content) {
+      return res.status(404).json({
+        error: `${document.name} not found`
+      });
+    }
+
+    // The document embeds per-viewer URLs and tokens
+    res.set({
+      'Content-Type': document.contentType,
+      'Cache-Control': 'private, no-store'
+    });
+    res.send(content);
+
+  } catch (error) {
+    console.error('Error serving playback file:', error);
+    res.status(500).json({
+      error: 'Failed to get playback file',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
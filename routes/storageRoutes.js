@@ -0,0 +1,97 @@
+const express = require('express');
+const path = require('path');
+const storage = require('../services/storage');
+
+const router = express.Router();
+
+// Key of the object a /storage request addresses; null unless it is already in canonical form
+const getKey = (req) => {
+  let key;
+  try {
+    key = decodeURIComponent(req.path.replace(/^\/+/, ''));
+  } catch (error) {
+    return null;
+  }
+  const normalized = path.posix.normalize(key);
+  return normalized === key && !normalized.startsWith('.') ? key : null;
+};
+
+// Read an object of the local storage driver through a URL from getSignedUrl, like a presigned
+// S3 GET. Range requests are supported.
+router.get('/*', async (req, res) => {
+  try {
+    const key = getKey(req);
+    if (!key) {
+      return res.status(400).json({ error: 'Invalid object key' });
+    }
+    if (!storage.verify('GET', key, req.query)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    const object = await storage.head(key);
+    if (!object) {
+      return res.status(404).json({ error: 'Object not found' });
+    }
+
+    res.sendFile(storage.resolvePath(key), {
+      headers: {
+        'Content-Type': object.contentType,
+        ETag: object.etag,
+        // Players on other origins load segments and thumbnails from here
+        'Cross-Origin-Resource-Policy': 'cross-origin'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error serving stored object:', error);
+    res.status(500).json({
+      error: 'Failed to read object',
+      message: error.message
+    });
+  }
+});
+
+// Write an object through a URL from getSignedUploadUrl, like a presigned S3 PUT:
+// the request must send the Content-Type the URL was signed for. URLs from getSignedPartUrl
+// (with uploadId and partNumber) store one part of a multipart upload instead.
+router.put('/*', async (req, res) => {
+  try {
+    const key = getKey(req);
+    if (!key) {
+      return res.status(400).json({ error: 'Invalid object key' });
+    }
+
+    if (req.query.uploadId !== undefined) {
+      const partNumber = parseInt(req.query.partNumber, 10);
+      if (!storage.verify('PUT', key, req.query)) {
+        return res.status(403).json({ error: 'Invalid or expired signature' });
+      }
+      if (!(partNumber >= 1 && partNumber <= 10000)) {
+        return res.status(400).json({ error: 'Invalid part number' });
+      }
+      const etag = await storage.putPart(key, req.query.uploadId, partNumber, req);
+      return res.set('ETag', etag).status(200).end();
+    }
+
+    const contentType = req.get('Content-Type') || '';
+    if (!storage.verify('PUT', key, req.query, contentType)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    await storage.put(key, req, { contentType: contentType });
+    const object = await storage.head(key);
+    res.set('ETag', object.etag).status(200).end();
+
+  } catch (error) {
+    if (error.name === 'NoSuchUpload') {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    console.error('Error storing object:', error);
+    res.status(500).json({
+      error: 'Failed to store object',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
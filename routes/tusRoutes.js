@@ -0,0 +1,184 @@
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const uploadManager = require('../services/uploadManager');
+const quotaManager = require('../services/quotaManager');
+const { TUS_VERSION, TUS_EXTENSIONS, parseUploadMetadata, parseByteCount } = require('../utils/tus');
+
+const router = express.Router();
+
+// Every response carries Tus-Resumable; every request but OPTIONS must speak our version
+router.use((req, res, next) => {
+  res.set('Tus-Resumable', TUS_VERSION);
+  if (req.method !== 'OPTIONS' && req.get('Tus-Resumable') !== TUS_VERSION) {
+    res.set('Tus-Version', TUS_VERSION);
+    return res.status(412).json({ error: `Tus-Resumable ${TUS_VERSION} is required` });
+  }
+  next();
+});
+
+// Response headers describing an upload
+const setUploadHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.length),
+    'Upload-Expires': session.expiresAt.toUTCString(),
+    'Cache-Control': 'no-store'
+  });
+  if (session.videoId) {
+    res.set('Upload-Video-Id', session.videoId);
+  }
+};
+
+// Load the caller's tus upload session into req.uploadSession; 404 if unknown (or a multipart upload),
+// 410 once expired
+const loadSession = async (req, res, next) => {
+  try {
+    const session = await uploadManager.findSession(req.params.uploadId, req.user._id);
+    if (!session || session.protocol !== 'tus') {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (uploadManager.isExpired(session)) {
+      return res.status(410).json({ error: 'Upload expired' });
+    }
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Server capabilities
+router.options('/', (req, res) => {
+  res.set({
+    'Tus-Version': TUS_VERSION,
+    'Tus-Extension': TUS_EXTENSIONS.join(','),
+    'Tus-Max-Size': String(uploadManager.maxSize)
+  });
+  res.status(204).end();
+});
+
+// Create an upload (requires authentication). Upload-Metadata needs filename and a video/* filetype;
+// displayName and autoEncode ("true" to start encoding once complete) are optional.
+router.post('/', authenticate, async (req, res) => {
+  try {
+    if (req.get('Upload-Defer-Length')) {
+      return res.status(400).json({ error: 'Upload-Defer-Length is not supported' });
+    }
+
+    const length = parseByteCount(req.get('Upload-Length'));
+    if (length === null || length === 0) {
+      return res.status(400).json({ error: 'Upload-Length must be a positive integer' });
+    }
+    if (length > uploadManager.maxSize) {
+      res.set('Tus-Max-Size', String(uploadManager.maxSize));
+      return res.status(413).json({
+        error: `Upload too large. Maximum size is ${Math.floor(uploadManager.maxSize / (1024 * 1024))}MB`
+      });
+    }
+
+    const quotaExceeded = await quotaManager.checkStorage(req.user, length);
+    if (quotaExceeded) {
+      return res.status(403).json(quotaExceeded);
+    }
+
+    const metadata = parseUploadMetadata(req.get('Upload-Metadata'));
+    if (!metadata) {
+      return res.status(400).json({ error: 'Malformed Upload-Metadata' });
+    }
+    if (!metadata.filename) {
+      return res.status(400).json({ error: 'Upload-Metadata must include filename' });
+    }
+    if (!metadata.filetype || !metadata.filetype.startsWith('video/')) {
+      return res.status(415).json({ error: 'Only video files are allowed!' });
+    }
+
+    const session = await uploadManager.createSession(req.user._id, {
+      length,
+      filename: metadata.filename,
+      mimetype: metadata.filetype,
+      displayName: metadata.displayName,
+      autoEncode: metadata.autoEncode === 'true'
+    });
+
+    setUploadHeaders(res, session);
+    res.set('Location', `${req.baseUrl}/${session.uploadId}`);
+    res.status(201).end();
+
+  } catch (error) {
+    console.error('Error creating upload:', error);
+    res.status(500).json({
+      error: 'Failed to create upload',
+      message: error.message
+    });
+  }
+});
+
+// Current offset of an upload, to resume from (requires authentication)
+router.head('/:uploadId', authenticate, loadSession, (req, res) => {
+  setUploadHeaders(res, req.uploadSession);
+  res.status(200).end();
+});
+
+// Append a chunk at Upload-Offset (requires authentication). The chunk that completes the upload
+// stores it and creates the video, whose id is returned in Upload-Video-Id.
+router.patch('/:uploadId', authenticate, loadSession, async (req, res) => {
+  const session = req.uploadSession;
+  try {
+    if (req.get('Content-Type') !== 'application/offset+octet-stream') {
+      return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream' });
+    }
+
+    const offset = parseByteCount(req.get('Upload-Offset'));
+    if (offset === null) {
+      return res.status(400).json({ error: 'Upload-Offset must be a non-negative integer' });
+    }
+    if (offset !== session.offset) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({ error: `Upload-Offset ${offset} does not match the current offset ${session.offset}` });
+    }
+    if (uploadManager.isBusy(session.uploadId)) {
+      return res.status(409).json({ error: 'Another chunk of this upload is being written' });
+    }
+
+    const contentLength = parseByteCount(req.get('Content-Length'));
+    if (contentLength !== null && offset + contentLength > session.length) {
+      return res.status(413).json({ error: 'Chunk goes past Upload-Length' });
+    }
+
+    if (session.state === 'uploading') {
+      await uploadManager.appendChunk(session, req, req.user);
+    }
+
+    setUploadHeaders(res, session);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Error writing upload chunk:', error);
+    if (res.headersSent || req.destroyed) return;
+    // The client resumes from the offset reported by HEAD
+    res.status(500).json({
+      error: 'Failed to write upload chunk',
+      message: error.message
+    });
+  }
+});
+
+// Abandon an upload and discard its data (requires authentication)
+router.delete('/:uploadId', authenticate, loadSession, async (req, res) => {
+  try {
+    if (uploadManager.isBusy(req.uploadSession.uploadId)) {
+      return res.status(409).json({ error: 'A chunk of this upload is being written' });
+    }
+    await uploadManager.terminate(req.uploadSession);
+    res.status(204).end();
+
+  } catch (error) {
+    console.error('Error terminating upload:', error);
+    res.status(500).json({
+      error: 'Failed to terminate upload',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
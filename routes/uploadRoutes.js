@@ -1,20 +1,27 @@
 const express = require('express');
 const multer = require('multer');
-const multerS3 = require('multer-s3');
 const { v4: uuidv4 } = require('uuid');
-const { s3, BUCKET_NAME, generateUploadUrl, fileExists, getFileMetadata } = require('../config/aws');
+const storage = require('../services/storage');
 const videoProcessor = require('../services/videoProcessor');
 const backgroundProcessor = require('../services/backgroundProcessor');
+const captionManager = require('../services/captionManager');
+const playbackProxy = require('../services/playbackProxy');
+const uploadManager = require('../services/uploadManager');
+const trashManager = require('../services/trashManager');
+const quotaManager = require('../services/quotaManager');
 const { authenticate } = require('../middleware/auth');
 const Video = require('../models/Video');
+const User = require('../models/User');
+const { parseCaptions } = require('../utils/captions');
+const { CLIP_MODES, parseClipSegments, getClipDuration } = require('../utils/clips');
+const { normalizeWatermark, resolveWatermark, getWatermarkValues } = require('../utils/watermark');
+const { toLanguageTag, getLanguageName } = require('../utils/renditionLadder');
 
 const router = express.Router();
 
-// Configure multer for S3 upload
+// Configure multer to stream uploads into storage
 const upload = multer({
-  storage: multerS3({
-    s3: s3,
-    bucket: BUCKET_NAME,
+  storage: storage.createMulterStorage({
     metadata: function (req, file, cb) {
       cb(null, { 
         fieldName: file.fieldname,
@@ -46,8 +53,61 @@ const upload = multer({
   }
 });
 
+// Watermark images go under the uploading user's prefix, which encodes check
+const watermarkUpload = multer({
+  storage: storage.createMulterStorage({
+    key: function (req, file, cb) {
+      const extension = file.mimetype === 'image/png' ? 'png' : 'jpg';
+      cb(null, `watermarks/${req.user._id}/${Date.now()}-${uuidv4()}.${extension}`);
+    }
+  }),
+  limits: {
+    fileSize: 2 * 1024 * 1024, // 2MB limit
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (['image/png', 'image/jpeg'].includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only PNG and JPEG images are allowed!'), false);
+    }
+  }
+});
+
+// Caption files are small and converted before storing, so keep them in memory
+const CAPTION_MAX_SIZE_MB = 5;
+const captionUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: CAPTION_MAX_SIZE_MB * 1024 * 1024,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    // Browsers report inconsistent MIME types for .srt, so go by extension
+    if (/\.(srt|vtt)$/i.test(file.originalname)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only SRT and WebVTT caption files are allowed!'), false);
+    }
+  }
+});
+
+// Reject an upload that would go over the user's storage quota; the request size stands in for the
+// file size, which multer only knows once the file is stored
+const checkUploadQuota = async (req, res, next) => {
+  try {
+    const exceeded = await quotaManager.checkStorage(req.user, parseInt(req.get('Content-Length'), 10) || 0);
+    if (exceeded) {
+      return res.status(403).json(exceeded);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // Upload video endpoint (requires authentication)
-router.post('/video', authenticate, upload.single('video'), async (req, res) => {
+router.post('/video', authenticate, checkUploadQuota, upload.single('video'), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ error: 'No video file provided' });
@@ -84,14 +144,22 @@ router.post('/video', authenticate, upload.single('video'), async (req, res) =>
       displayName: req.body.displayName || ''
     });
 
-    // Get additional metadata from S3
+    // Get additional metadata from storage
     try {
-      const s3Metadata = await getFileMetadata(req.file.key);
+      const s3Metadata = await storage.head(req.file.key);
       if (s3Metadata) {
         video.s3Metadata = s3Metadata;
       }
     } catch (metadataError) {
-      console.warn('Could not fetch S3 metadata:', metadataError.message);
+      console.warn('Could not fetch storage metadata:', metadataError.message);
+    }
+
+    // Probe technical metadata straight from storage (a short-lived signed URL on S3)
+    try {
+      const probeUrl = await storage.getInputUrl(req.file.key, 900);
+      video.mediaInfo = await videoProcessor.getMediaInfo(probeUrl);
+    } catch (probeError) {
+      console.warn('Could not probe video metadata:', probeError.message);
     }
 
     // Save video to database
@@ -109,11 +177,11 @@ router.post('/video', authenticate, upload.single('video'), async (req, res) =>
         status: video.status,
         uploadedAt: video.createdAt,
         metadata: video.metadata,
+        mediaInfo: video.mediaInfo,
         s3Key: video.s3Key
       },
       nextSteps: {
-        convertToHls: `POST /api/upload/convert-to-hls/${videoId}`,
-        body: { s3Key: req.file.key }
+        convertToHls: `POST /api/upload/convert-to-hls/${videoId}`
       }
     });
 
@@ -130,42 +198,116 @@ router.post('/video', authenticate, upload.single('video'), async (req, res) =>
 router.post('/convert-to-hls/:videoId', authenticate, async (req, res) => {
   try {
     const { videoId } = req.params;
-    const { s3Key } = req.body;
+    const priority = req.body.priority !== undefined ? Number(req.body.priority) : 0;
+
+    if (!Number.isInteger(priority) || priority < -10 || priority > 10) {
+      return res.status(400).json({ 
+        error: 'Priority must be an integer between -10 and 10' 
+      });
+    }
+
+    const { encodeMode } = req.body;
+    if (encodeMode !== undefined && !['single-decode', 'per-rendition'].includes(encodeMode)) {
+      return res.status(400).json({ 
+        error: "Encode mode must be 'single-decode' or 'per-rendition'" 
+      });
+    }
+
+    const { segmentFormat } = req.body;
+    if (segmentFormat !== undefined && !['ts', 'fmp4'].includes(segmentFormat)) {
+      return res.status(400).json({ 
+        error: "Segment format must be 'ts' or 'fmp4'" 
+      });
+    }
+
+    const { encrypt } = req.body;
+    if (encrypt !== undefined && typeof encrypt !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'Encrypt must be true or false' 
+      });
+    }
 
-    if (!s3Key) {
+    const { normalizeAudio } = req.body;
+    if (normalizeAudio !== undefined && typeof normalizeAudio !== 'boolean') {
       return res.status(400).json({ 
-        error: 'S3 key is required' 
+        error: 'normalizeAudio must be true or false' 
       });
     }
 
     // Check if video exists in database and belongs to user
-    const video = await Video.findOne({ videoId: videoId, userId: req.user._id });
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
     if (!video) {
       return res.status(404).json({ 
         error: 'Video not found or access denied' 
       });
     }
 
-    // Check if video exists in S3
-    const exists = await fileExists(s3Key);
+    const { watermark, error: watermarkError } = resolveWatermark(req.body.watermark, {
+      current: video.watermark ? video.watermark.toObject() : null,
+      userDefault: req.user.watermark ? req.user.watermark.toObject() : null,
+      imagePrefix: `watermarks/${req.user._id}/`,
+      values: getWatermarkValues(video, req.user)
+    });
+    if (watermarkError) {
+      return res.status(400).json({ error: watermarkError });
+    }
+
+    const quotaExceeded = await quotaManager.checkEncode(req.user, video);
+    if (quotaExceeded) {
+      return res.status(403).json(quotaExceeded);
+    }
+
+    // Always encode the video's own source, never a key from the request
+    const exists = await storage.exists(video.s3Key);
     if (!exists) {
       return res.status(404).json({ 
-        error: 'Video not found in S3' 
+        error: 'Video not found in storage' 
+      });
+    }
+
+    // Start background encoding job before touching the video, so a rejected job leaves it as it was
+    const settings = {
+      segmentFormat: segmentFormat || video.segmentFormat,
+      encrypt: encrypt !== undefined ? encrypt : video.encryption.enabled,
+      normalizeAudio: normalizeAudio !== undefined ? normalizeAudio : video.normalizeAudio
+    };
+    let result;
+    try {
+      result = await backgroundProcessor.startEncodingJob(videoId, video.s3Key, {
+        userId: req.user._id,
+        priority: priority,
+        encodeMode: encodeMode,
+        segmentFormat: settings.segmentFormat,
+        encrypt: settings.encrypt,
+        normalizeAudio: settings.normalizeAudio,
+        watermark: watermark
       });
+    } catch (startError) {
+      if (startError.code === 'JOB_IN_PROGRESS') {
+        return res.status(409).json({ 
+          error: startError.message,
+          monitorProgress: `GET /api/upload/status/${videoId}`
+        });
+      }
+      throw startError;
     }
 
-    // Update video status to processing
+    // Record the settings the job encodes with
     video.status = 'processing';
     video.encodingStartedAt = new Date();
+    video.segmentFormat = settings.segmentFormat;
+    video.encryption.enabled = settings.encrypt;
+    video.normalizeAudio = settings.normalizeAudio;
+    video.watermark = watermark;
     await video.save();
 
-    // Start background encoding job
-    const result = await backgroundProcessor.startEncodingJob(videoId, s3Key);
-
     res.json({
-      message: 'Video encoding started successfully',
+      message: result.message,
       videoId: result.videoId,
       status: result.status,
+      state: result.state,
+      queuePosition: result.queuePosition,
+      jobId: result.jobId,
       monitorProgress: `GET /api/upload/status/${videoId}`,
       cloudWatchLogs: `Check CloudWatch logs for video-${videoId} stream`
     });
@@ -179,15 +321,131 @@ router.post('/convert-to-hls/:videoId', authenticate, async (req, res) => {
   }
 });
 
+// Cancel a queued or running encoding job (requires authentication)
+router.post('/cancel/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    // Check if video exists in database and belongs to user
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    const result = await backgroundProcessor.cancelJob(videoId);
+    if (!result.cancelled) {
+      return res.status(409).json({ 
+        error: 'No queued or running encoding job for this video' 
+      });
+    }
+
+    res.status(result.state === 'cancelled' ? 200 : 202).json({
+      message: result.state === 'cancelled'
+        ? 'Video encoding cancelled'
+        : 'Video encoding is being cancelled',
+      videoId,
+      state: result.state,
+      checkStatus: `GET /api/upload/status/${videoId}`
+    });
+
+  } catch (error) {
+    console.error('Cancel encoding error:', error);
+    res.status(500).json({ 
+      error: 'Failed to cancel video encoding',
+      message: error.message 
+    });
+  }
+});
+
+// Retry a failed or cancelled encoding without re-uploading (requires authentication)
+router.post('/retry/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+
+    // Check if video exists in database and belongs to user
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    if (!['failed', 'cancelled'].includes(video.status)) {
+      return res.status(409).json({ 
+        error: `Only failed or cancelled videos can be retried (current status: ${video.status})` 
+      });
+    }
+
+    const quotaExceeded = await quotaManager.checkEncode(req.user, video);
+    if (quotaExceeded) {
+      return res.status(403).json(quotaExceeded);
+    }
+
+    // Resume the failed job from its checkpoint; a cancelled job's output is gone, so it starts over
+    let status = await backgroundProcessor.retryJob(videoId);
+    let resumed = true;
+    if (!status) {
+      // A clip whose job never got to upload it is cut again from its parent
+      const recut = video.parentVideoId && video.clip && video.clip.segments.length > 0 && !(await storage.exists(video.s3Key));
+      await backgroundProcessor.startEncodingJob(videoId, video.s3Key, {
+        userId: req.user._id,
+        segmentFormat: video.segmentFormat,
+        encrypt: video.encryption.enabled,
+        normalizeAudio: video.normalizeAudio,
+        watermark: video.watermark ? video.watermark.toObject() : null,
+        clip: recut ? {
+          parentVideoId: video.parentVideoId,
+          sourceKey: video.clip.sourceKey,
+          segments: video.clip.segments.map(segment => ({ start: segment.start, end: segment.end })),
+          mode: video.clip.mode
+        } : null
+      });
+      status = await backgroundProcessor.getJobStatus(videoId);
+      resumed = false;
+    }
+
+    // Only a queued job changes the video, so a rejected retry leaves it as it was
+    video.status = 'processing';
+    video.error = null;
+    video.encodingStartedAt = new Date();
+    await video.save();
+
+    res.json({
+      message: resumed
+        ? 'Video encoding retry queued, finished renditions will be reused'
+        : 'Video encoding restarted',
+      videoId,
+      jobId: status.jobId,
+      state: status.state,
+      queuePosition: status.queuePosition,
+      completedRenditions: status.completedRenditions,
+      monitorProgress: `GET /api/upload/status/${videoId}`
+    });
+
+  } catch (error) {
+    if (error.code === 'JOB_IN_PROGRESS') {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error('Retry encoding error:', error);
+    res.status(500).json({ 
+      error: 'Failed to retry video encoding',
+      message: error.message 
+    });
+  }
+});
+
 // Get encoding status for a video (requires authentication)
 router.get('/status/:videoId', authenticate, async (req, res) => {
   try {
     const { videoId } = req.params;
     
-    // First check if video belongs to user
+    // First check if video belongs to user or is shared with them
     const video = await Video.findOne({ 
       videoId: videoId, 
-      userId: req.user._id 
+      $or: [{ userId: req.user._id }, { sharedWith: req.user._id }],
+      deletedAt: null
     });
 
     if (!video) {
@@ -197,13 +455,19 @@ router.get('/status/:videoId', authenticate, async (req, res) => {
     }
 
     // Get status from background processor
-    const status = backgroundProcessor.getJobStatus(videoId);
+    const status = await backgroundProcessor.getJobStatus(videoId);
     
     // Combine database and background processor status
     const combinedStatus = {
       videoId: videoId,
       status: video.status,
       progress: video.encodingProgress,
+      eta: status.status !== 'not_found'
+        ? status.eta
+        : (video.estimatedCompletionAt ? Math.max(0, Math.round((video.estimatedCompletionAt - Date.now()) / 1000)) : null),
+      estimatedCompletionAt: video.estimatedCompletionAt,
+      renditionProgress: status.status !== 'not_found' ? status.renditionProgress : null,
+      queuePosition: status.status !== 'not_found' ? status.queuePosition : null,
       startTime: video.encodingStartedAt,
       endTime: video.encodingCompletedAt,
       streamingUrls: video.streamingUrls,
@@ -229,19 +493,25 @@ router.get('/jobs', authenticate, async (req, res) => {
     // Get user's videos that are currently processing
     const processingVideos = await Video.find({ 
       userId: req.user._id,
-      status: 'processing'
+      status: 'processing',
+      deletedAt: null
     }).select('videoId originalName encodingProgress encodingStartedAt');
 
     // Get background processor status for these videos
+    const statuses = await backgroundProcessor.getJobStatuses(processingVideos.map(video => video.videoId));
     const jobs = [];
     for (const video of processingVideos) {
-      const status = backgroundProcessor.getJobStatus(video.videoId);
-      if (status.status !== 'not_found') {
+      const status = statuses.get(video.videoId);
+      if (status) {
         jobs.push({
           videoId: video.videoId,
           originalName: video.originalName,
+          state: status.state,
           status: status.status,
+          priority: status.priority,
+          queuePosition: status.queuePosition,
           progress: status.progress,
+          eta: status.eta,
           startTime: status.startTime,
           endTime: status.endTime
         });
@@ -270,7 +540,8 @@ router.get('/streaming/:videoId', authenticate, async (req, res) => {
     // First check if video belongs to user
     const video = await Video.findOne({ 
       videoId: videoId, 
-      userId: req.user._id 
+      userId: req.user._id,
+      deletedAt: null
     });
 
     if (!video) {
@@ -280,7 +551,7 @@ router.get('/streaming/:videoId', authenticate, async (req, res) => {
     }
     
     // Check if encoding is complete
-    const status = backgroundProcessor.getJobStatus(videoId);
+    const status = await backgroundProcessor.getJobStatus(videoId);
     
     if (status.status === 'processing') {
       return res.status(202).json({
@@ -304,14 +575,15 @@ router.get('/streaming/:videoId', authenticate, async (req, res) => {
       return res.json({
         videoId,
         status: 'completed',
-        streamingUrls: status.streamingUrls
+        streamingUrls: status.streamingUrls,
+        playbackUrl: playbackProxy.getPlaybackUrl(videoId)
       });
     }
 
-    // Fallback: check if master playlist exists in S3
+    // Fallback: check if master playlist exists in storage
     const s3Prefix = `hls/${videoId}`;
     const masterKey = `${s3Prefix}/master.m3u8`;
-    const exists = await fileExists(masterKey);
+    const exists = await storage.exists(masterKey);
     
     if (!exists) {
       return res.status(404).json({ 
@@ -319,18 +591,15 @@ router.get('/streaming/:videoId', authenticate, async (req, res) => {
       });
     }
 
-    const streamingUrls = {
-      master: `https://${BUCKET_NAME}.s3.amazonaws.com/${masterKey}`,
-      qualities: {
-        '360p': `https://${BUCKET_NAME}.s3.amazonaws.com/${s3Prefix}/360p/playlist.m3u8`,
-        '720p': `https://${BUCKET_NAME}.s3.amazonaws.com/${s3Prefix}/720p/playlist.m3u8`
-      }
-    };
+    const streamingUrls = videoProcessor.buildStreamingUrls(s3Prefix, video.renditions || [], {
+      dash: video.segmentFormat === 'fmp4' && !video.encryption.enabled
+    });
 
     res.json({
       videoId,
       status: 'completed',
-      streamingUrls
+      streamingUrls,
+      playbackUrl: playbackProxy.getPlaybackUrl(videoId)
     });
 
   } catch (error) {
@@ -342,48 +611,183 @@ router.get('/streaming/:videoId', authenticate, async (req, res) => {
   }
 });
 
-// Generate pre-signed URL for direct upload
-router.post('/presigned-url', async (req, res) => {
+// Client errors of a multipart completion, from the upload manager or the storage driver
+const MULTIPART_CLIENT_ERRORS = ['InvalidUpload', 'InvalidPart', 'InvalidPartOrder', 'EntityTooSmall'];
+
+// Load the caller's multipart upload into req.uploadSession; 404 if unknown, 410 once expired
+const loadMultipartSession = async (req, res, next) => {
+  try {
+    const session = await uploadManager.findSession(req.params.uploadId, req.user._id);
+    if (!session || session.protocol !== 'multipart') {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    if (session.state === 'completed') {
+      return res.status(409).json({ error: 'Upload already completed', videoId: session.videoId });
+    }
+    if (uploadManager.isExpired(session)) {
+      return res.status(410).json({ error: 'Upload expired' });
+    }
+    if (uploadManager.isBusy(session.uploadId)) {
+      return res.status(409).json({ error: 'Upload is being completed' });
+    }
+    req.uploadSession = session;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Start a multipart upload straight from the browser to storage (requires authentication)
+router.post('/multipart', authenticate, async (req, res) => {
   try {
-    const { filename, contentType } = req.body;
+    const { filename, contentType, size, displayName, autoEncode, partSize } = req.body;
 
     if (!filename || !contentType) {
-      return res.status(400).json({ 
-        error: 'Filename and content type are required' 
-      });
+      return res.status(400).json({ error: 'Filename and content type are required' });
     }
-
-    // Validate content type
     if (!contentType.startsWith('video/')) {
-      return res.status(400).json({ 
-        error: 'Only video content types are allowed' 
+      return res.status(400).json({ error: 'Only video content types are allowed' });
+    }
+    if (!Number.isSafeInteger(size) || size <= 0) {
+      return res.status(400).json({ error: 'size must be a positive number of bytes' });
+    }
+    if (size > uploadManager.maxSize) {
+      return res.status(413).json({
+        error: `Upload too large. Maximum size is ${Math.floor(uploadManager.maxSize / (1024 * 1024))}MB`
       });
     }
+    if (partSize !== undefined && (!Number.isSafeInteger(partSize) || partSize <= 0)) {
+      return res.status(400).json({ error: 'partSize must be a positive number of bytes' });
+    }
 
-    // Generate unique key
-    const timestamp = Date.now();
-    const uniqueId = uuidv4();
-    const extension = filename.split('.').pop();
-    const key = `videos/${timestamp}-${uniqueId}.${extension}`;
+    const quotaExceeded = await quotaManager.checkStorage(req.user, size);
+    if (quotaExceeded) {
+      return res.status(403).json(quotaExceeded);
+    }
 
-    // Generate pre-signed URL
-    const uploadUrl = await generateUploadUrl(key, contentType, 3600); // 1 hour expiry
+    const session = await uploadManager.createMultipartSession(req.user._id, {
+      length: size,
+      filename,
+      mimetype: contentType,
+      displayName,
+      autoEncode: autoEncode === true,
+      partSize
+    });
 
-    res.json({
-      uploadUrl,
-      key,
-      expiresIn: 3600,
+    res.status(201).json({
+      uploadId: session.uploadId,
+      key: session.s3Key,
+      partSize: session.partSize,
+      partCount: session.partCount,
+      expiresAt: session.expiresAt,
       nextSteps: {
-        convertToHls: `POST /api/upload/convert-to-hls/${uniqueId}`,
-        body: { s3Key: key }
+        partUrls: `POST /api/upload/multipart/${session.uploadId}/parts`,
+        complete: `POST /api/upload/multipart/${session.uploadId}/complete`,
+        abort: `DELETE /api/upload/multipart/${session.uploadId}`
       }
     });
 
   } catch (error) {
-    console.error('Error generating pre-signed URL:', error);
-    res.status(500).json({ 
-      error: 'Failed to generate upload URL',
-      message: error.message 
+    console.error('Error starting multipart upload:', error);
+    res.status(500).json({
+      error: 'Failed to start multipart upload',
+      message: error.message
+    });
+  }
+});
+
+// Presigned PUT URLs for parts of a multipart upload (requires authentication). Body: { partNumbers }
+// (up to 1000; all parts if omitted). Each part's response carries the ETag needed to complete.
+router.post('/multipart/:uploadId/parts', authenticate, loadMultipartSession, async (req, res) => {
+  try {
+    const session = req.uploadSession;
+    const partNumbers = req.body.partNumbers !== undefined
+      ? req.body.partNumbers
+      : Array.from({ length: session.partCount }, (value, index) => index + 1);
+
+    if (!Array.isArray(partNumbers) || partNumbers.length === 0 || partNumbers.length > 1000) {
+      return res.status(400).json({ error: 'partNumbers must list between 1 and 1000 parts' });
+    }
+    const invalid = partNumbers.find(partNumber => !Number.isInteger(partNumber) || partNumber < 1 || partNumber > session.partCount);
+    if (invalid !== undefined) {
+      return res.status(400).json({ error: `Invalid part number ${invalid}; this upload has parts 1-${session.partCount}` });
+    }
+
+    const { parts, expiresIn } = await uploadManager.getPartUrls(session, partNumbers);
+    res.json({
+      uploadId: session.uploadId,
+      partSize: session.partSize,
+      parts,
+      expiresIn,
+      expiresAt: session.expiresAt
+    });
+
+  } catch (error) {
+    console.error('Error generating part URLs:', error);
+    res.status(500).json({
+      error: 'Failed to generate part URLs',
+      message: error.message
+    });
+  }
+});
+
+// Complete a multipart upload and create its video (requires authentication).
+// Body: { parts: [{ partNumber, etag }] } with one entry per part.
+router.post('/multipart/:uploadId/complete', authenticate, loadMultipartSession, async (req, res) => {
+  try {
+    const { parts } = req.body;
+    if (!Array.isArray(parts) || parts.some(part => !part || !Number.isInteger(part.partNumber) || typeof part.etag !== 'string')) {
+      return res.status(400).json({ error: 'parts must be a list of { partNumber, etag }' });
+    }
+
+    const video = await uploadManager.completeMultipartUpload(req.uploadSession, parts, req.user);
+
+    res.status(201).json({
+      message: 'Video uploaded successfully',
+      video: {
+        id: video.videoId,
+        filename: video.filename,
+        originalName: video.originalName,
+        size: video.size,
+        mimetype: video.mimetype,
+        url: video.url,
+        status: video.status,
+        uploadedAt: video.createdAt,
+        metadata: video.metadata,
+        mediaInfo: video.mediaInfo,
+        s3Key: video.s3Key
+      },
+      nextSteps: req.uploadSession.autoEncode
+        ? { monitorProgress: `GET /api/upload/status/${video.videoId}` }
+        : { convertToHls: `POST /api/upload/convert-to-hls/${video.videoId}` }
+    });
+
+  } catch (error) {
+    if (MULTIPART_CLIENT_ERRORS.includes(error.name)) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (error.name === 'NoSuchUpload') {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    console.error('Error completing multipart upload:', error);
+    res.status(500).json({
+      error: 'Failed to complete multipart upload',
+      message: error.message
+    });
+  }
+});
+
+// Abort a multipart upload and discard its parts (requires authentication)
+router.delete('/multipart/:uploadId', authenticate, loadMultipartSession, async (req, res) => {
+  try {
+    await uploadManager.terminate(req.uploadSession);
+    res.json({ message: 'Upload aborted' });
+
+  } catch (error) {
+    console.error('Error aborting multipart upload:', error);
+    res.status(500).json({
+      error: 'Failed to abort multipart upload',
+      message: error.message
     });
   }
 });
@@ -392,12 +796,17 @@ router.post('/presigned-url', async (req, res) => {
 router.get('/videos', authenticate, async (req, res) => {
   try {
     const status = req.query.status; // Optional filter by status
+    const parentVideoId = req.query.parentVideoId; // Optional: only clips of this video
+    const trash = req.query.trash === 'true'; // Optional: the videos in the trash instead
 
     // Build query
-    const query = { userId: req.user._id };
+    const query = { userId: req.user._id, deletedAt: trash ? { $ne: null } : null };
     if (status) {
       query.status = status;
     }
+    if (parentVideoId) {
+      query.parentVideoId = String(parentVideoId);
+    }
 
     // Get all videos for the user (no pagination)
     const videos = await Video.find(query)
@@ -418,6 +827,11 @@ router.get('/videos', authenticate, async (req, res) => {
       encodingCompletedAt: video.encodingCompletedAt,
       error: video.error,
       streamingUrls: video.streamingUrls,
+      mediaInfo: video.mediaInfo,
+      posterUrl: video.thumbnails && video.thumbnails.poster ? video.thumbnails.poster.url || null : null,
+      parentVideoId: video.parentVideoId,
+      deletedAt: video.deletedAt || undefined,
+      purgeAt: video.purgeAt || undefined,
       url: video.url,
       s3Key: video.s3Key
     }));
@@ -442,7 +856,8 @@ router.get('/videos/:videoId', authenticate, async (req, res) => {
 
     const video = await Video.findOne({ 
       videoId: videoId, 
-      userId: req.user._id 
+      userId: req.user._id,
+      deletedAt: null
     }).select('-__v');
 
     if (!video) {
@@ -468,6 +883,16 @@ router.get('/videos/:videoId', authenticate, async (req, res) => {
       url: video.url,
       s3Key: video.s3Key,
       metadata: video.metadata,
+      mediaInfo: video.mediaInfo,
+      renditions: video.renditions,
+      thumbnails: video.thumbnails,
+      captions: video.captions,
+      parentVideoId: video.parentVideoId,
+      clip: video.parentVideoId ? video.clip : undefined,
+      watermark: video.watermark,
+      encryption: { enabled: video.encryption.enabled },
+      normalizeAudio: video.normalizeAudio,
+      sharedWith: video.sharedWith,
       s3Metadata: video.s3Metadata
     };
 
@@ -482,35 +907,628 @@ router.get('/videos/:videoId', authenticate, async (req, res) => {
   }
 });
 
-// Delete a video (requires authentication)
-router.delete('/videos/:videoId', authenticate, async (req, res) => {
+// Change the poster: pick a generated candidate or capture a frame at a timestamp (requires authentication)
+router.put('/videos/:videoId/poster', authenticate, async (req, res) => {
   try {
     const { videoId } = req.params;
-    // Find the video by videoId and userId
-    const video = await Video.findOne({ videoId: videoId, userId: req.user._id });
+    const { candidate, timestamp } = req.body;
+
+    if ((candidate === undefined) === (timestamp === undefined)) {
+      return res.status(400).json({ 
+        error: 'Provide either a candidate index or a timestamp' 
+      });
+    }
+
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
     if (!video) {
-      return res.status(404).json({ error: 'Video not found or access denied' });
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
     }
-    // Delete from S3
-    try {
-      await s3.deleteObject({ Bucket: BUCKET_NAME, Key: video.s3Key }).promise();
-    } catch (s3Error) {
-      console.warn('Failed to delete from S3:', s3Error.message);
+
+    let poster;
+    if (candidate !== undefined) {
+      const candidates = (video.thumbnails && video.thumbnails.candidates) || [];
+      const index = Number(candidate);
+      if (!Number.isInteger(index) || index < 0 || index >= candidates.length) {
+        return res.status(400).json({ 
+          error: `Candidate must be an index between 0 and ${Math.max(0, candidates.length - 1)}`,
+          candidates: candidates.length
+        });
+      }
+      const chosen = candidates[index];
+      poster = { key: chosen.key, url: chosen.url, timestamp: chosen.timestamp, candidate: index };
+    } else {
+      const seconds = Number(timestamp);
+      const duration = video.mediaInfo && video.mediaInfo.duration;
+      if (!Number.isFinite(seconds) || seconds < 0 || (duration && seconds >= duration)) {
+        return res.status(400).json({ 
+          error: duration
+            ? `Timestamp must be between 0 and ${duration} seconds`
+            : 'Timestamp must be a non-negative number of seconds'
+        });
+      }
+      const captured = await videoProcessor.capturePoster(videoId, video.s3Key, seconds, {
+        width: video.mediaInfo && video.mediaInfo.width
+      });
+      poster = { ...captured, candidate: null };
     }
-    // Delete from database
-    await Video.deleteOne({ videoId: videoId, userId: req.user._id });
-    res.json({ message: 'Video deleted successfully' });
+
+    video.set('thumbnails.poster', poster);
+    await video.save();
+
+    res.json({
+      message: 'Poster updated',
+      videoId,
+      poster
+    });
+
   } catch (error) {
-    console.error('Error deleting video:', error);
-    res.status(500).json({ error: 'Failed to delete video', message: error.message });
+    console.error('Error updating poster:', error);
+    res.status(500).json({ 
+      error: 'Failed to update poster',
+      message: error.message 
+    });
   }
 });
 
-// Error handling middleware for multer
-router.use((error, req, res, next) => {
-  console.error('Upload middleware error:', error);
-  
-  if (error instanceof multer.MulterError) {
+// Create a clip from one or more time ranges of a video and encode it as a new video (requires authentication)
+router.post('/videos/:videoId/clips', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const mode = req.body.mode || 'accurate';
+    const priority = req.body.priority !== undefined ? Number(req.body.priority) : 0;
+    const { segmentFormat, encrypt, normalizeAudio } = req.body;
+
+    if (!CLIP_MODES.includes(mode)) {
+      return res.status(400).json({ 
+        error: "Mode must be 'accurate' or 'fast'" 
+      });
+    }
+    if (!Number.isInteger(priority) || priority < -10 || priority > 10) {
+      return res.status(400).json({ 
+        error: 'Priority must be an integer between -10 and 10' 
+      });
+    }
+    if (segmentFormat !== undefined && !['ts', 'fmp4'].includes(segmentFormat)) {
+      return res.status(400).json({ 
+        error: "Segment format must be 'ts' or 'fmp4'" 
+      });
+    }
+    if (encrypt !== undefined && typeof encrypt !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'Encrypt must be true or false' 
+      });
+    }
+    if (normalizeAudio !== undefined && typeof normalizeAudio !== 'boolean') {
+      return res.status(400).json({ 
+        error: 'normalizeAudio must be true or false' 
+      });
+    }
+
+    const parent = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!parent) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    const duration = parent.mediaInfo && parent.mediaInfo.duration;
+    const { segments, error } = parseClipSegments(req.body, duration);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // The clip gets its own source object, written by the encoding job once it is cut
+    const clipId = uuidv4();
+    const extension = mode === 'fast' ? 'mkv' : 'mp4';
+    const s3Key = `videos/${Date.now()}-${clipId}.${extension}`;
+    const baseName = parent.originalName.replace(/\.[^.]+$/, '');
+    const displayName = req.body.displayName || `${parent.displayName || baseName} (clip)`;
+
+    // The parent's source has no watermark, so the clip burns in the parent's by default
+    const { watermark, error: watermarkError } = resolveWatermark(req.body.watermark, {
+      current: parent.watermark ? parent.watermark.toObject() : null,
+      userDefault: req.user.watermark ? req.user.watermark.toObject() : null,
+      imagePrefix: `watermarks/${req.user._id}/`,
+      values: getWatermarkValues({ videoId: clipId, displayName }, req.user)
+    });
+    if (watermarkError) {
+      return res.status(400).json({ error: watermarkError });
+    }
+
+    const quotaExceeded = await quotaManager.checkEncode(req.user, { parentVideoId: parent.videoId, clip: { segments } });
+    if (quotaExceeded) {
+      return res.status(403).json(quotaExceeded);
+    }
+
+    const clip = new Video({
+      videoId: clipId,
+      userId: req.user._id,
+      filename: s3Key,
+      originalName: `${baseName}-clip.${extension}`,
+      size: 0,
+      mimetype: mode === 'fast' ? 'video/x-matroska' : 'video/mp4',
+      url: videoProcessor.getObjectUrl(s3Key),
+      s3Key: s3Key,
+      status: 'processing',
+      encodingStartedAt: new Date(),
+      displayName: displayName,
+      watermark: watermark,
+      parentVideoId: parent.videoId,
+      clip: { mode, sourceKey: parent.s3Key, segments },
+      segmentFormat: segmentFormat || parent.segmentFormat,
+      encryption: { enabled: encrypt !== undefined ? encrypt : parent.encryption.enabled },
+      normalizeAudio: normalizeAudio !== undefined ? normalizeAudio : parent.normalizeAudio
+    });
+    await clip.save();
+
+    const result = await backgroundProcessor.startEncodingJob(clipId, s3Key, {
+      userId: req.user._id,
+      priority: priority,
+      segmentFormat: clip.segmentFormat,
+      encrypt: clip.encryption.enabled,
+      normalizeAudio: clip.normalizeAudio,
+      watermark: watermark,
+      clip: { parentVideoId: parent.videoId, sourceKey: parent.s3Key, segments, mode }
+    });
+
+    res.status(201).json({
+      message: 'Clip created, encoding queued',
+      videoId: clipId,
+      parentVideoId: parent.videoId,
+      mode,
+      segments,
+      duration: getClipDuration(segments),
+      state: result.state,
+      queuePosition: result.queuePosition,
+      jobId: result.jobId,
+      monitorProgress: `GET /api/upload/status/${clipId}`
+    });
+
+  } catch (error) {
+    console.error('Clip creation error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create clip',
+      message: error.message 
+    });
+  }
+});
+
+// Share a video with another user, who can then play it and fetch its encryption key (requires authentication)
+router.post('/videos/:videoId/share', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const { email, username } = req.body;
+
+    if (!email && !username) {
+      return res.status(400).json({ 
+        error: 'Email or username of the user to share with is required' 
+      });
+    }
+
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    const user = await User.findOne(email ? { email: String(email).toLowerCase() } : { username: String(username) });
+    if (!user || !user.isActive) {
+      return res.status(404).json({ 
+        error: 'User not found' 
+      });
+    }
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ 
+        error: 'You already own this video' 
+      });
+    }
+
+    await Video.updateOne({ _id: video._id }, { $addToSet: { sharedWith: user._id } });
+
+    res.json({
+      message: 'Video shared',
+      videoId,
+      sharedWith: { userId: user._id, username: user.username }
+    });
+
+  } catch (error) {
+    console.error('Error sharing video:', error);
+    res.status(500).json({ 
+      error: 'Failed to share video',
+      message: error.message 
+    });
+  }
+});
+
+// Stop sharing a video with a user (requires authentication)
+router.delete('/videos/:videoId/share/:userId', authenticate, async (req, res) => {
+  try {
+    const { videoId, userId } = req.params;
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    if (!video.sharedWith.some(id => id.toString() === userId)) {
+      return res.status(404).json({ 
+        error: 'Video is not shared with this user' 
+      });
+    }
+
+    await Video.updateOne({ _id: video._id }, { $pull: { sharedWith: video.sharedWith.find(id => id.toString() === userId) } });
+
+    res.json({
+      message: 'Video no longer shared with this user',
+      videoId,
+      userId
+    });
+
+  } catch (error) {
+    console.error('Error unsharing video:', error);
+    res.status(500).json({ 
+      error: 'Failed to unshare video',
+      message: error.message 
+    });
+  }
+});
+
+// Storage and encode-minute consumption against the user's quotas (requires authentication)
+router.get('/usage', authenticate, async (req, res) => {
+  try {
+    res.json(await quotaManager.getUsage(req.user));
+  } catch (error) {
+    console.error('Error fetching usage:', error);
+    res.status(500).json({
+      error: 'Failed to fetch usage',
+      message: error.message
+    });
+  }
+});
+
+// Get the default watermark applied to new encodes (requires authentication)
+router.get('/watermark', authenticate, async (req, res) => {
+  res.json({ watermark: req.user.watermark || null });
+});
+
+// Set the default watermark; text is kept as a template and filled in per encode (requires authentication)
+router.put('/watermark', authenticate, async (req, res) => {
+  try {
+    const { watermark, error } = normalizeWatermark(req.body, { imagePrefix: `watermarks/${req.user._id}/` });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { watermark: watermark });
+
+    res.json({
+      message: 'Default watermark updated',
+      watermark
+    });
+
+  } catch (error) {
+    console.error('Error updating watermark:', error);
+    res.status(500).json({ 
+      error: 'Failed to update watermark',
+      message: error.message 
+    });
+  }
+});
+
+// Remove the default watermark; videos keep the watermark they were encoded with (requires authentication)
+router.delete('/watermark', authenticate, async (req, res) => {
+  try {
+    await User.updateOne({ _id: req.user._id }, { watermark: null });
+    res.json({ message: 'Default watermark removed' });
+
+  } catch (error) {
+    console.error('Error removing watermark:', error);
+    res.status(500).json({ 
+      error: 'Failed to remove watermark',
+      message: error.message 
+    });
+  }
+});
+
+// Upload a PNG or JPEG watermark image; use the returned imageKey in watermark settings (requires authentication)
+router.post('/watermark/image', authenticate, watermarkUpload.single('image'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No image provided' 
+      });
+    }
+
+    res.status(201).json({
+      message: 'Watermark image uploaded',
+      imageKey: req.file.key,
+      size: req.file.size,
+      mimetype: req.file.mimetype
+    });
+
+  } catch (error) {
+    console.error('Error uploading watermark image:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload watermark image',
+      message: error.message 
+    });
+  }
+});
+
+// List caption tracks of a video (requires authentication)
+router.get('/videos/:videoId/captions', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null }).select('videoId captions');
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    res.json({
+      videoId,
+      captions: video.captions
+    });
+
+  } catch (error) {
+    console.error('Error fetching captions:', error);
+    res.status(500).json({ 
+      error: 'Failed to fetch captions',
+      message: error.message 
+    });
+  }
+});
+
+// Add or replace the caption track for a language from an SRT or WebVTT file (requires authentication)
+router.put('/videos/:videoId/captions/:language', authenticate, captionUpload.single('caption'), async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const language = toLanguageTag(req.params.language);
+
+    if (!req.file) {
+      return res.status(400).json({ 
+        error: 'No caption file provided' 
+      });
+    }
+    if (language === 'und') {
+      return res.status(400).json({ 
+        error: 'Language must be a valid language code (e.g. en, pt-BR)' 
+      });
+    }
+
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    const cues = parseCaptions(req.file.buffer.toString('utf8'));
+    if (cues.length === 0) {
+      return res.status(400).json({ 
+        error: 'No cues found in the caption file' 
+      });
+    }
+
+    const existing = video.captions.find(caption => caption.id === language);
+    const isDefault = req.body.isDefault !== undefined
+      ? req.body.isDefault === true || req.body.isDefault === 'true'
+      : Boolean(existing && existing.isDefault);
+    const caption = await captionManager.publishCaption(video, {
+      id: language,
+      language,
+      label: req.body.label || (existing && existing.label) || getLanguageName(language),
+      source: 'upload',
+      originalFormat: req.file.originalname.toLowerCase().endsWith('.srt') ? 'srt' : 'vtt',
+      isDefault
+    }, cues);
+
+    video.captions = [
+      ...video.captions
+        .filter(track => track.id !== language)
+        .map(track => ({ ...track.toObject(), isDefault: isDefault ? false : track.isDefault })),
+      caption
+    ];
+    await video.save();
+    const republished = await captionManager.republishManifests(video);
+
+    res.status(existing ? 200 : 201).json({
+      message: existing ? 'Caption track replaced' : 'Caption track added',
+      videoId,
+      caption,
+      manifestsUpdated: republished
+    });
+
+  } catch (error) {
+    console.error('Error uploading caption:', error);
+    res.status(500).json({ 
+      error: 'Failed to upload caption',
+      message: error.message 
+    });
+  }
+});
+
+// Update the label or default flag of a caption track (requires authentication)
+router.patch('/videos/:videoId/captions/:captionId', authenticate, async (req, res) => {
+  try {
+    const { videoId, captionId } = req.params;
+    const { label, isDefault } = req.body;
+
+    if (label === undefined && isDefault === undefined) {
+      return res.status(400).json({ 
+        error: 'Provide a label or isDefault to update' 
+      });
+    }
+    if (label !== undefined && (typeof label !== 'string' || !label.trim())) {
+      return res.status(400).json({ 
+        error: 'Label must be a non-empty string' 
+      });
+    }
+
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    const caption = video.captions.find(track => track.id === captionId);
+    if (!caption) {
+      return res.status(404).json({ 
+        error: 'Caption track not found' 
+      });
+    }
+
+    if (label !== undefined) {
+      caption.label = label.trim();
+    }
+    if (isDefault !== undefined) {
+      // Only one track can be the default
+      video.captions.forEach((track) => {
+        track.isDefault = Boolean(isDefault) && track.id === captionId;
+      });
+    }
+    caption.updatedAt = new Date();
+    await video.save();
+    const republished = await captionManager.republishManifests(video);
+
+    res.json({
+      message: 'Caption track updated',
+      videoId,
+      caption,
+      manifestsUpdated: republished
+    });
+
+  } catch (error) {
+    console.error('Error updating caption:', error);
+    res.status(500).json({ 
+      error: 'Failed to update caption',
+      message: error.message 
+    });
+  }
+});
+
+// Delete a caption track (requires authentication)
+router.delete('/videos/:videoId/captions/:captionId', authenticate, async (req, res) => {
+  try {
+    const { videoId, captionId } = req.params;
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: null });
+    if (!video) {
+      return res.status(404).json({ 
+        error: 'Video not found or access denied' 
+      });
+    }
+
+    if (!video.captions.some(track => track.id === captionId)) {
+      return res.status(404).json({ 
+        error: 'Caption track not found' 
+      });
+    }
+
+    video.captions = video.captions.filter(track => track.id !== captionId);
+    await video.save();
+    // Drop the track from the manifests before its files disappear
+    const republished = await captionManager.republishManifests(video);
+    await captionManager.removeCaption(videoId, captionId);
+
+    res.json({
+      message: 'Caption track deleted',
+      videoId,
+      captionId,
+      manifestsUpdated: republished
+    });
+
+  } catch (error) {
+    console.error('Error deleting caption:', error);
+    res.status(500).json({ 
+      error: 'Failed to delete caption',
+      message: error.message 
+    });
+  }
+});
+
+// Delete a video (requires authentication): cancels its encoding and moves it to the trash, or with
+// ?permanent=true (also for videos already in the trash) removes it and all its artifacts right away
+router.delete('/videos/:videoId', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    // Find the video by videoId and userId, in the trash or not
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found or access denied' });
+    }
+
+    if (req.query.permanent === 'true') {
+      await trashManager.purge(video);
+      return res.json({ message: 'Video deleted permanently', videoId });
+    }
+    if (video.deletedAt) {
+      return res.status(409).json({
+        error: 'Video is already in the trash',
+        deletePermanently: `DELETE /api/upload/videos/${videoId}?permanent=true`
+      });
+    }
+
+    const result = await trashManager.trash(video);
+    if (result.purged) {
+      return res.json({ message: 'Video deleted permanently', videoId });
+    }
+    res.json({
+      message: 'Video moved to trash',
+      videoId,
+      deletedAt: result.deletedAt,
+      purgeAt: result.purgeAt,
+      restore: `POST /api/upload/videos/${videoId}/restore`
+    });
+  } catch (error) {
+    console.error('Error deleting video:', error);
+    res.status(500).json({ error: 'Failed to delete video', message: error.message });
+  }
+});
+
+// Restore a video from the trash (requires authentication). Encoding cancelled by the deletion
+// stays cancelled; retry it with POST /retry/:videoId.
+router.post('/videos/:videoId/restore', authenticate, async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const video = await Video.findOne({ videoId: videoId, userId: req.user._id, deletedAt: { $ne: null } });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found in trash' });
+    }
+
+    await trashManager.restore(video);
+    res.json({
+      message: 'Video restored',
+      videoId,
+      status: video.status,
+      checkStatus: `GET /api/upload/status/${videoId}`
+    });
+  } catch (error) {
+    console.error('Error restoring video:', error);
+    res.status(500).json({ error: 'Failed to restore video', message: error.message });
+  }
+});
+
+// Error handling middleware for multer
+router.use((error, req, res, next) => {
+  console.error('Upload middleware error:', error);
+  
+  if (error instanceof multer.MulterError) {
+    if (error.code === 'LIMIT_FILE_SIZE' && error.field === 'caption') {
+      return res.status(400).json({ 
+        error: `Caption file too large. Maximum size is ${CAPTION_MAX_SIZE_MB}MB` 
+      });
+    }
+    if (error.code === 'LIMIT_FILE_SIZE' && error.field === 'image') {
+      return res.status(400).json({ 
+        error: 'Image too large. Maximum size is 2MB' 
+      });
+    }
     if (error.code === 'LIMIT_FILE_SIZE') {
       return res.status(400).json({ 
         error: 'File too large. Maximum size is 500MB' 
@@ -528,7 +1546,8 @@ router.use((error, req, res, next) => {
     }
   }
   
-  if (error.message === 'Only video files are allowed!') {
+  if (error.message === 'Only video files are allowed!' || error.message === 'Only SRT and WebVTT caption files are allowed!'
+    || error.message === 'Only PNG and JPEG images are allowed!') {
     return res.status(400).json({ error: error.message });
   }
   
@@ -9,7 +9,13 @@ const { Server } = require('socket.io');
 require('dotenv').config();
 
 const uploadRoutes = require('./routes/uploadRoutes');
+const playbackRoutes = require('./routes/playbackRoutes');
+const storageRoutes = require('./routes/storageRoutes');
+const tusRoutes = require('./routes/tusRoutes');
+const storage = require('./services/storage');
 const backgroundProcessor = require('./services/backgroundProcessor');
+const uploadManager = require('./services/uploadManager');
+const trashManager = require('./services/trashManager');
 const authRoutes = require('./routes/auth');
 
 const app = express();
@@ -36,14 +42,29 @@ console.log(process.env.NODE_ENV);
 app.use(helmet());
 
 // CORS configuration
-app.use(cors({
+const corsOptions = {
   origin: process.env.NODE_ENV === 'production' 
     ? ['https://stream-your-videos.netlify.app', 'http://localhost:5000', 'http://localhost:5001'] 
     : ['http://localhost:5000', 'http://localhost:5001', 'http://localhost:3000'],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-}));
+  methods: ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: [
+    'Content-Type', 'Authorization', 'X-Requested-With',
+    'Tus-Resumable', 'Upload-Length', 'Upload-Metadata', 'Upload-Offset'
+  ],
+  exposedHeaders: [
+    'Location', 'Tus-Resumable', 'Tus-Version', 'Tus-Extension', 'Tus-Max-Size',
+    'Upload-Offset', 'Upload-Length', 'Upload-Expires', 'Upload-Video-Id',
+    // Parts of multipart uploads to the local storage driver
+    'ETag'
+  ]
+};
+
+// Resumable uploads answer tus OPTIONS requests themselves, and send one request per chunk,
+// so they sit outside the API rate limit
+app.use('/api/upload/tus', cors({ ...corsOptions, preflightContinue: true }), tusRoutes);
+
+app.use(cors(corsOptions));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -53,6 +74,11 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Files of the local storage driver, served like the S3 bucket (before body parsing, signed PUTs stream the raw body)
+if (storage.name === 'local') {
+  app.use('/storage', storageRoutes);
+}
+
 // Body parsing middleware
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
@@ -62,15 +88,23 @@ app.use(morgan('combined'));
 
 // Routes
 app.use('/api/upload', uploadRoutes);
+app.use('/api/playback', playbackRoutes);
 app.use('/api/auth', authRoutes);
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  let activeJobs = null;
+  try {
+    activeJobs = (await backgroundProcessor.getAllJobs()).length;
+  } catch (error) {
+    console.error('Error counting active jobs:', error.message);
+  }
+
   res.status(200).json({ 
     status: 'OK', 
     message: 'Video upload service is running',
     timestamp: new Date().toISOString(),
-    activeJobs: backgroundProcessor.getAllJobs().length
+    activeJobs
   });
 });
 
@@ -87,8 +121,12 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       upload: '/api/upload',
+      resumableUpload: '/api/upload/tus',
       status: '/api/upload/status/:videoId',
-      jobs: '/api/upload/jobs'
+      jobs: '/api/upload/jobs',
+      usage: '/api/upload/usage',
+      playback: '/api/playback/:videoId/master.m3u8',
+      encryptionKey: '/api/playback/key/:videoId'
     }
   });
 });
@@ -109,7 +147,15 @@ app.use('*', (req, res) => {
 
 // Cleanup job scheduler (run every 30 minutes)
 setInterval(() => {
-  backgroundProcessor.cleanupCompletedJobs();
+  backgroundProcessor.cleanupCompletedJobs().catch((error) => {
+    console.error('❌ Error cleaning up encoding jobs:', error.message);
+  });
+  uploadManager.cleanupExpiredSessions().catch((error) => {
+    console.error('❌ Error cleaning up upload sessions:', error.message);
+  });
+  trashManager.purgeExpired().catch((error) => {
+    console.error('❌ Error purging trashed videos:', error.message);
+  });
 }, 30 * 60 * 1000);
 
 // Initialize Socket.IO
@@ -405,15 +451,33 @@ io.on('connection', (socket) => {
 // Start server after MongoDB connection
 const startServer = async () => {
   await connectDB();
+
+  // Resume queued and orphaned encoding jobs from the persistent queue
+  await backgroundProcessor.start();
   
   server.listen(PORT, () => {
     console.log(`🚀 Server running on port ${PORT}`);
     console.log(`📤 Video upload service ready`);
     console.log(`🔄 Background processing enabled`);
     console.log(`📊 CloudWatch logging enabled`);
+    console.log(`🗄️ Storage driver: ${storage.name}`);
     console.log(`🔗 Health check: http://localhost:${PORT}/health`);
     console.log(`🔌 Socket.IO available at http://localhost:${PORT}`);
   });
 };
 
+// Hand encoding job leases back before exiting so other workers can resume them
+const shutdown = async (signal) => {
+  console.log(`🛑 ${signal} received, shutting down`);
+  try {
+    await backgroundProcessor.shutdown();
+  } catch (error) {
+    console.error('❌ Error releasing encoding jobs:', error.message);
+  }
+  process.exit(0);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 startServer(); 
\ No newline at end of file
@@ -1,44 +1,172 @@
+const os = require('os');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
 const videoProcessor = require('./videoProcessor');
+const captionManager = require('./captionManager');
 const cloudWatchLogger = require('./cloudWatchLogger');
 const Video = require('../models/Video');
-const { BUCKET_NAME } = require('../config/aws');
+const EncodingJob = require('../models/EncodingJob');
+const {
+  getPhaseProgress,
+  getTimemarkFraction,
+  getRenditionWeights,
+  estimateRemainingSeconds
+} = require('../utils/progress');
+const { orderQueuedJobs } = require('../utils/jobQueue');
+const { withRetry, isTransientFfmpegError } = require('../utils/retry');
+const { verifySegmentAlignment } = require('../utils/hlsPlaylist');
+const { buildLoudnormFilter } = require('../utils/loudness');
+const storage = require('./storage');
+const quotaManager = require('./quotaManager');
+
+// Job states mapped onto the status vocabulary used by the Video model and API
+const LEGACY_STATUS = {
+  queued: 'processing',
+  running: 'processing',
+  succeeded: 'completed',
+  failed: 'failed',
+  cancelled: 'cancelled'
+};
+
+// Share of a rendition's progress weight spent uploading it
+const RENDITION_UPLOAD_SHARE = 0.1;
+
+// Folders under hls/<videoId>/ holding uploads rather than encode output; a cancelled encode keeps them
+const KEPT_OUTPUT_PREFIXES = ['captions/', 'posters/'];
+
+// Thrown when the video already has a queued or running job
+const createJobInProgressError = () => {
+  const error = new Error('Video encoding job already in progress');
+  error.code = 'JOB_IN_PROGRESS';
+  return error;
+};
+
+const isDuplicateKeyError = error => error && error.code === 11000;
+
+// Reasons a running job is aborted; only JOB_CANCELLED removes its output
+const createAbortReason = (code, message) => {
+  const error = new Error(message);
+  error.name = 'AbortError';
+  error.code = code;
+  return error;
+};
 
 class BackgroundProcessor {
   constructor() {
-    this.activeJobs = new Map(); // Track active encoding jobs
+    this.activeJobs = new Map(); // Runtime state of jobs leased by this process
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.concurrency = parseInt(process.env.ENCODING_CONCURRENCY, 10) || 2;
+    this.encodeMode = process.env.ENCODING_MODE === 'per-rendition' ? 'per-rendition' : 'single-decode';
+    this.dispatching = null;
+    this.dispatchRequested = false;
+    this.progressWriteInterval = parseInt(process.env.PROGRESS_WRITE_INTERVAL_MS, 10) || 5000;
+    this.leaseDuration = parseInt(process.env.JOB_LEASE_MS, 10) || 60 * 1000;
+    this.jobRetention = (parseFloat(process.env.JOB_RETENTION_HOURS) || 24) * 60 * 60 * 1000;
+    this.phaseRetries = process.env.PHASE_MAX_RETRIES !== undefined ? parseInt(process.env.PHASE_MAX_RETRIES, 10) : 3;
+    this.retryBaseDelay = parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 2000;
+    this.maxAttempts = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3;
+    this.recoveryTimer = null;
+  }
+
+  // Re-queue orphaned jobs, pick up queued work and keep watching for expired leases
+  async start() {
+    await this.recoverOrphanedJobs();
+    await this.dispatch();
+
+    this.recoveryTimer = setInterval(async () => {
+      try {
+        await this.recoverOrphanedJobs();
+        await this.dispatch();
+      } catch (error) {
+        console.error('❌ Error during job recovery:', error);
+      }
+    }, this.leaseDuration);
+    this.recoveryTimer.unref();
+
+    console.log(`🧵 Encoding worker ${this.workerId} started`);
+  }
+
+  // Hand leases back so another worker can pick the jobs up immediately
+  async shutdown() {
+    if (this.recoveryTimer) clearInterval(this.recoveryTimer);
+
+    for (const job of this.activeJobs.values()) {
+      clearInterval(job.heartbeatTimer);
+      job.abortController.abort(createAbortReason('JOB_RELEASED', 'Worker shutting down'));
+    }
+    this.activeJobs.clear();
+
+    // A handed-back lease doesn't count as an attempt
+    const result = await EncodingJob.updateMany(
+      { state: 'running', leaseOwner: this.workerId },
+      { $set: { state: 'queued', leaseOwner: null, leaseExpiresAt: null }, $inc: { attempts: -1 } }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`↩️ Released ${result.modifiedCount} encoding jobs`);
+    }
   }
 
-  async startEncodingJob(videoId, s3Key) {
+  async startEncodingJob(videoId, s3Key, options = {}) {
     try {
       console.log(`🚀 Starting encoding job for video: ${videoId}`);
       console.log(`📁 S3 Key: ${s3Key}`);
       
-      // Check if job is already running
-      if (this.activeJobs.has(videoId)) {
-        throw new Error('Video encoding job already in progress');
+      // Check if job is already queued or running
+      if (await this.hasActiveJob(videoId)) {
+        throw createJobInProgressError();
       }
 
-      // Mark job as active
-      this.activeJobs.set(videoId, {
-        status: 'processing',
-        startTime: new Date(),
-        progress: 0
+      // Persist the job before doing any work so it survives restarts. The unique index on active
+      // jobs catches a concurrent request that got past the check above.
+      const job = await EncodingJob.create({
+        videoId: videoId,
+        userId: options.userId || null,
+        s3Key: s3Key,
+        priority: options.priority || 0,
+        options: {
+          encodeMode: options.encodeMode || this.encodeMode,
+          segmentDuration: videoProcessor.segmentDuration,
+          segmentFormat: options.segmentFormat || videoProcessor.segmentFormat,
+          encryptSegments: Boolean(options.encrypt),
+          normalizeAudio: typeof options.normalizeAudio === 'boolean' ? options.normalizeAudio : videoProcessor.normalizeAudio,
+          loudnessTarget: videoProcessor.loudnessTarget,
+          clip: options.clip || null,
+          watermark: options.watermark || null
+        },
+        state: 'queued'
+      }).catch((error) => {
+        throw isDuplicateKeyError(error) ? createJobInProgressError() : error;
       });
 
       // Log start
       await cloudWatchLogger.logStart(videoId, s3Key);
 
-      // Start processing in background
-      this.processVideo(videoId, s3Key);
+      // Start processing in background if a worker slot is free
+      try {
+        await this.dispatch();
+      } catch (dispatchError) {
+        console.error('❌ Error dispatching encoding jobs:', dispatchError);
+      }
+
+      const status = await this.getJobStatus(videoId);
 
       return {
         success: true,
         videoId,
-        message: 'Video encoding started successfully',
-        status: 'processing'
+        jobId: job._id,
+        message: status.state === 'queued'
+          ? 'Video encoding queued successfully'
+          : 'Video encoding started successfully',
+        status: 'processing',
+        state: status.state,
+        queuePosition: status.queuePosition
       };
 
     } catch (error) {
+      if (error.code === 'JOB_IN_PROGRESS') {
+        throw error;
+      }
       console.error(`❌ Error starting encoding job for ${videoId}:`, error);
       console.error('   Error details:', {
         name: error.name,
@@ -47,12 +175,190 @@ class BackgroundProcessor {
         videoId: videoId,
         s3Key: s3Key
       });
-      this.activeJobs.delete(videoId);
       throw error;
     }
   }
 
-  async processVideo(videoId, s3Key) {
+  async hasActiveJob(videoId) {
+    return (await EncodingJob.exists({ videoId: videoId, state: { $in: ['queued', 'running'] } })) !== null;
+  }
+
+  // Running jobs whose lease expired belong to a crashed or stopped worker. They are re-queued,
+  // unless they already took JOB_MAX_ATTEMPTS leases: a job that keeps taking its worker down is failed.
+  async recoverOrphanedJobs() {
+    const now = new Date();
+    const exhausted = await EncodingJob.find({
+      state: 'running',
+      leaseExpiresAt: { $lt: now },
+      attempts: { $gte: this.maxAttempts }
+    }).select('videoId attempts');
+
+    for (const orphan of exhausted) {
+      const error = `Encoding job was abandoned by its worker ${orphan.attempts} times`;
+      const job = await EncodingJob.findOneAndUpdate(
+        { _id: orphan._id, state: 'running', leaseExpiresAt: { $lt: now } },
+        { state: 'failed', error: error, eta: null, leaseOwner: null, leaseExpiresAt: null, finishedAt: now }
+      );
+      if (!job) continue;
+
+      console.error(`❌ Encoding job for ${orphan.videoId} failed: ${error}`);
+      try {
+        await Video.findOneAndUpdate(
+          { videoId: orphan.videoId },
+          { status: 'failed', estimatedCompletionAt: null, error: error }
+        );
+      } catch (dbError) {
+        console.warn(`⚠️ Failed to update database for failed ${orphan.videoId}:`, dbError);
+      }
+    }
+
+    const result = await EncodingJob.updateMany(
+      { state: 'running', leaseExpiresAt: { $lt: now }, attempts: { $lt: this.maxAttempts } },
+      { state: 'queued', leaseOwner: null, leaseExpiresAt: null }
+    );
+    if (result.modifiedCount > 0) {
+      console.log(`♻️ Re-queued ${result.modifiedCount} orphaned encoding jobs`);
+    }
+    return result.modifiedCount;
+  }
+
+  // Queued jobs in dispatch order: fair across users, then priority, then FIFO
+  async getQueueOrder() {
+    const [queuedJobs, runningCounts] = await Promise.all([
+      EncodingJob.find({ state: 'queued' })
+        .sort({ priority: -1, createdAt: 1 })
+        .select('videoId userId priority createdAt'),
+      EncodingJob.aggregate([
+        { $match: { state: 'running' } },
+        { $group: { _id: '$userId', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    const runningByUser = new Map(runningCounts.map(entry => [String(entry._id), entry.count]));
+    return orderQueuedJobs(queuedJobs, runningByUser);
+  }
+
+  // Atomically take the lease on the next queued job, retrying if another worker wins the race
+  async claimNextJob() {
+    const order = await this.getQueueOrder();
+
+    for (const candidate of order) {
+      const now = new Date();
+      const job = await EncodingJob.findOneAndUpdate(
+        { _id: candidate._id, state: 'queued' },
+        {
+          $set: {
+            state: 'running',
+            leaseOwner: this.workerId,
+            leaseExpiresAt: new Date(now.getTime() + this.leaseDuration),
+            heartbeatAt: now,
+            startedAt: now
+          },
+          $inc: { attempts: 1 }
+        },
+        { new: true }
+      );
+      if (job) {
+        return job;
+      }
+    }
+    return null;
+  }
+
+  // Fill free worker slots; concurrent calls share one pass so the limit holds
+  async dispatch() {
+    this.dispatchRequested = true;
+    if (this.dispatching) {
+      return this.dispatching;
+    }
+
+    this.dispatching = (async () => {
+      // Requests that arrive mid-pass trigger one more pass
+      while (this.dispatchRequested) {
+        this.dispatchRequested = false;
+        while (this.activeJobs.size < this.concurrency) {
+          const job = await this.claimNextJob();
+          if (!job) break;
+          this.runJob(job);
+        }
+      }
+    })();
+
+    try {
+      await this.dispatching;
+    } finally {
+      this.dispatching = null;
+    }
+  }
+
+  runJob(jobDoc) {
+    const runtime = {
+      jobId: jobDoc._id,
+      startTime: jobDoc.startedAt,
+      progress: 0,
+      eta: null,
+      renditionProgress: {},
+      lastPersistedAt: null,
+      abortController: new AbortController()
+    };
+    runtime.heartbeatTimer = setInterval(() => this.heartbeat(jobDoc.videoId, runtime), this.leaseDuration / 3);
+    this.activeJobs.set(jobDoc.videoId, runtime);
+
+    console.log(`🔐 ${this.workerId} leased job ${jobDoc._id} for ${jobDoc.videoId} (attempt ${jobDoc.attempts})`);
+    return this.processVideo(jobDoc).finally(() => {
+      clearInterval(runtime.heartbeatTimer);
+      this.activeJobs.delete(jobDoc.videoId);
+
+      // A slot just freed up
+      this.dispatch().catch((error) => {
+        console.error('❌ Error dispatching encoding jobs:', error);
+      });
+    });
+  }
+
+  // Renew the lease and pick up cancellations requested through another server
+  async heartbeat(videoId, runtime) {
+    const now = new Date();
+    try {
+      const job = await EncodingJob.findOneAndUpdate(
+        { _id: runtime.jobId, state: 'running', leaseOwner: this.workerId },
+        { heartbeatAt: now, leaseExpiresAt: new Date(now.getTime() + this.leaseDuration) },
+        { new: true }
+      );
+      if (!job) {
+        console.warn(`⚠️ Lost lease on encoding job for ${videoId}`);
+        runtime.abortController.abort(createAbortReason('LEASE_LOST', 'Encoding job lease was lost'));
+      } else if (job.cancelRequested) {
+        runtime.abortController.abort(createAbortReason('JOB_CANCELLED', 'Encoding job cancelled'));
+      }
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to renew lease for ${videoId}:`, dbError.message);
+    }
+  }
+
+  // Move a job to a final state and release its lease
+  async finishJob(runtime, state, fields = {}) {
+    try {
+      await EncodingJob.updateOne(
+        { _id: runtime.jobId, leaseOwner: this.workerId },
+        {
+          ...fields,
+          state: state,
+          progress: runtime.progress,
+          eta: state === 'succeeded' ? 0 : null,
+          renditionProgress: runtime.renditionProgress,
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          finishedAt: new Date()
+        }
+      );
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to update encoding job ${runtime.jobId}:`, dbError);
+    }
+  }
+
+  async processVideo(jobDoc) {
+    const { videoId, s3Key } = jobDoc;
     let localVideoPath = null;
     let outputDir = null;
     
@@ -64,144 +370,309 @@ class BackgroundProcessor {
       if (!job) {
         throw new Error('Job not found in active jobs');
       }
+      const { signal } = job.abortController;
 
-      // Download phase (10% of total progress)
-      console.log(`📥 Starting download phase for ${videoId}`);
-      await cloudWatchLogger.logDownload(videoId, 5);
-      job.progress = 5;
-      
-      // Update database with progress
-      try {
-        await Video.findOneAndUpdate(
-          { videoId: videoId },
-          { encodingProgress: 5 }
-        );
-      } catch (dbError) {
-        console.warn(`⚠️ Failed to update progress in database for ${videoId}:`, dbError);
+      await Video.findOneAndUpdate(
+        { videoId: videoId },
+        { status: 'processing', encodingStartedAt: job.startTime, error: null }
+      );
+
+      // Resume from the checkpoint of an earlier attempt, if any
+      const checkpoint = jobDoc.checkpoint || {};
+      const completed = new Set(checkpoint.completedRenditions || []);
+      const variants = new Map((checkpoint.variants || []).map(variant => [variant.name, variant]));
+      let qualities = checkpoint.renditions && checkpoint.renditions.length > 0 ? checkpoint.renditions : null;
+      let audioRenditions = checkpoint.audioRenditions || null;
+      let subtitleTracks = checkpoint.subtitleTracks || [];
+      let duration = checkpoint.duration || null;
+      if (qualities && !audioRenditions) {
+        // Checkpoints from before audio had its own renditions can't be mixed with new output
+        qualities = null;
+        completed.clear();
+        variants.clear();
       }
-      
-      try {
-        localVideoPath = await videoProcessor.downloadFromS3(s3Key);
-        console.log(`✅ Download completed for ${videoId}: ${localVideoPath}`);
-      } catch (downloadError) {
-        console.error(`❌ Download failed for ${videoId}:`, downloadError);
-        throw new Error(`Failed to download video from S3: ${downloadError.message}`);
+      if (completed.size > 0) {
+        console.log(`⏩ Resuming ${videoId} with completed renditions: ${[...completed].join(', ')}`);
       }
-      
-      await cloudWatchLogger.logDownload(videoId, 10);
-      job.progress = 10;
 
-      // Conversion phase (70% of total progress)
-      console.log(`🔄 Starting conversion phase for ${videoId}`);
-      try {
-        outputDir = await videoProcessor.prepareOutputDir(videoId);
-        console.log(`✅ Output directory prepared: ${outputDir}`);
-      } catch (dirError) {
-        console.error(`❌ Failed to prepare output directory for ${videoId}:`, dirError);
-        throw new Error(`Failed to prepare output directory: ${dirError.message}`);
+      // A clip is cut from its parent's source and uploaded as this video's source, then encoded like an upload
+      const clip = jobDoc.options && jobDoc.options.clip;
+      if (clip && !checkpoint.clipCreated) {
+        localVideoPath = await this.createClip(job, videoId, s3Key, clip);
+        await this.saveCheckpoint(job, { clipCreated: true });
       }
-      
-      // Convert to different qualities with progress tracking
-      const qualities = [
-        { name: "360p", resolution: "640x360", bitrate: "500k" },
-        { name: "720p", resolution: "1280x720", bitrate: "2000k" }
-      ];
-
-      for (let i = 0; i < qualities.length; i++) {
-        const quality = qualities[i];
-        const qualityProgress = 10 + (i * 30) + 15; // 10% base + 30% per quality + 15% for current quality
-        
-        console.log(`🔄 Starting ${quality.name} conversion for ${videoId}`);
-        await cloudWatchLogger.logConversion(videoId, quality.name, qualityProgress);
-        job.progress = qualityProgress;
-        
-        // Update database with progress
+
+      const needsSource = !qualities
+        || [...qualities, ...audioRenditions].some(rendition => !completed.has(rendition.name))
+        || !checkpoint.thumbnails
+        || (!checkpoint.captionsExtracted && subtitleTracks.length > 0);
+      if (needsSource) {
+        // Download phase (a freshly cut clip is already local)
+        if (!localVideoPath) {
+          console.log(`📥 Starting download phase for ${videoId}`);
+          await cloudWatchLogger.logDownload(videoId, getPhaseProgress('download', 0));
+
+          localVideoPath = await this.runPhase(job, videoId, 'download', 'Failed to download video from S3',
+            () => videoProcessor.downloadFromS3(s3Key, { signal }));
+          console.log(`✅ Download completed for ${videoId}: ${localVideoPath}`);
+        }
+
+        const downloadedProgress = getPhaseProgress('download', 1);
+        await cloudWatchLogger.logDownload(videoId, downloadedProgress);
+        await this.updateProgress(videoId, job, downloadedProgress, { force: true });
+
+        // Conversion phase
+        console.log(`🔄 Starting conversion phase for ${videoId}`);
+        try {
+          outputDir = await videoProcessor.prepareOutputDir(videoId);
+          console.log(`✅ Output directory prepared: ${outputDir}`);
+        } catch (dirError) {
+          console.error(`❌ Failed to prepare output directory for ${videoId}:`, dirError);
+          throw new Error(`Failed to prepare output directory: ${dirError.message}`);
+        }
+      }
+
+      if (!qualities) {
+        // Build the rendition ladder from the probed source
+        let mediaInfo;
+        try {
+          const analysis = await videoProcessor.analyzeSource(localVideoPath);
+          qualities = analysis.renditions;
+          audioRenditions = analysis.audioRenditions;
+          mediaInfo = analysis.mediaInfo;
+          subtitleTracks = mediaInfo.subtitleTracks || [];
+          duration = mediaInfo.duration;
+          console.log(`📐 Rendition ladder for ${videoId}: ${qualities.map(q => `${q.name} (${q.width}x${q.height})`).join(', ')}`);
+          console.log(`🔊 Audio renditions for ${videoId}: ${audioRenditions.map(a => `${a.name} (${a.language})`).join(', ') || 'none'}`);
+        } catch (probeError) {
+          console.error(`❌ Probe failed for ${videoId}:`, probeError);
+          throw new Error(`Failed to probe source video: ${probeError.message}`);
+        }
+
+        // Refresh technical metadata from the downloaded file
         try {
           await Video.findOneAndUpdate(
             { videoId: videoId },
-            { encodingProgress: qualityProgress }
+            { mediaInfo: mediaInfo }
           );
         } catch (dbError) {
-          console.warn(`⚠️ Failed to update progress in database for ${videoId}:`, dbError);
+          console.warn(`⚠️ Failed to update media info in database for ${videoId}:`, dbError);
         }
-        
+
+        // Later attempts reuse the same ladder so finished renditions stay valid
+        await this.saveCheckpoint(job, {
+          renditions: qualities,
+          audioRenditions: audioRenditions,
+          subtitleTracks: subtitleTracks,
+          duration: duration
+        });
+      }
+
+      const s3Prefix = `hls/${videoId}`;
+      const encodeMode = (jobDoc.options && jobDoc.options.encodeMode) || this.encodeMode;
+      const segmentDuration = (jobDoc.options && jobDoc.options.segmentDuration) || videoProcessor.segmentDuration;
+      const segmentFormat = (jobDoc.options && jobDoc.options.segmentFormat) || 'ts';
+      const encrypt = Boolean(jobDoc.options && jobDoc.options.encryptSegments);
+
+      // Poster, candidate thumbnails and seek-preview sprite; losing them doesn't fail the encode
+      if (!checkpoint.thumbnails) {
+        console.log(`🖼️ Generating thumbnails for ${videoId}`);
+        const largest = qualities.reduce((a, b) => (b.width * b.height > a.width * a.height ? b : a));
+        try {
+          const generated = await this.runPhase(job, videoId, 'thumbnails', 'Failed to generate thumbnails',
+            () => videoProcessor.generateThumbnails(localVideoPath, outputDir,
+              { duration, width: largest.width, height: largest.height }, { signal }),
+            { isRetryable: isTransientFfmpegError });
+          await this.runPhase(job, videoId, 'upload:thumbnails', 'Failed to upload thumbnails to S3',
+            () => videoProcessor.uploadToS3(generated.dir, `${s3Prefix}/thumbnails`, { signal }));
+          await fs.remove(generated.dir);
+
+          const thumbnails = videoProcessor.buildThumbnailRecord(s3Prefix, generated);
+          await this.saveCheckpoint(job, { thumbnails: thumbnails });
+          console.log(`✅ Thumbnails uploaded for ${videoId} (poster at ${thumbnails.poster.timestamp}s)`);
+          try {
+            await Video.findOneAndUpdate({ videoId: videoId }, { thumbnails: thumbnails });
+          } catch (dbError) {
+            console.warn(`⚠️ Failed to store thumbnails in database for ${videoId}:`, dbError);
+          }
+        } catch (thumbnailError) {
+          if (signal.aborted) throw thumbnailError;
+          console.warn(`⚠️ Continuing ${videoId} without thumbnails:`, thumbnailError.message);
+        }
+        await this.updateProgress(videoId, job, getPhaseProgress('thumbnails', 1), { force: true });
+      }
+
+      // Embedded text subtitles become caption tracks, like uploaded ones
+      if (!checkpoint.captionsExtracted && subtitleTracks.length > 0) {
+        console.log(`💬 Extracting ${subtitleTracks.length} embedded subtitle track(s) for ${videoId}`);
         try {
-          await videoProcessor.convertQuality(localVideoPath, outputDir, quality);
-          console.log(`✅ ${quality.name} conversion completed for ${videoId}`);
-        } catch (conversionError) {
-          console.error(`❌ ${quality.name} conversion failed for ${videoId}:`, conversionError);
-          throw new Error(`Failed to convert to ${quality.name}: ${conversionError.message}`);
+          const files = await this.runPhase(job, videoId, 'captions', 'Failed to extract subtitles',
+            () => videoProcessor.extractSubtitles(localVideoPath, outputDir, subtitleTracks, { signal }),
+            { isRetryable: isTransientFfmpegError });
+          const extracted = await Promise.all(files.map(async ({ track, file }) => ({
+            track,
+            text: await fs.readFile(file, 'utf8')
+          })));
+          const captions = await this.runPhase(job, videoId, 'upload:captions', 'Failed to publish subtitles',
+            () => captionManager.addEmbeddedCaptions(videoId, extracted, { segmentFormat }));
+          await this.saveCheckpoint(job, { captionsExtracted: true });
+          console.log(`✅ Published ${captions.filter(c => c.source === 'embedded').length} embedded caption track(s) for ${videoId}`);
+        } catch (captionError) {
+          if (signal.aborted) throw captionError;
+          console.warn(`⚠️ Continuing ${videoId} without embedded subtitles:`, captionError.message);
         }
+      }
+
+      // Convert and upload each rendition, weighting it by its encoding cost
+      const allRenditions = [...qualities, ...audioRenditions];
+      const weights = getRenditionWeights(allRenditions);
+      job.renditionProgress = {};
+      let completedWeight = 0;
+      allRenditions.forEach((quality, i) => {
+        job.renditionProgress[quality.name] = completed.has(quality.name) ? 100 : 0;
+        if (completed.has(quality.name)) completedWeight += weights[i];
+      });
+
+      // Single-decode encodes every pending rendition, audio included, in one ffmpeg run; per-rendition
+      // runs one per video rendition and one for all audio streams
+      const pending = allRenditions.filter(quality => !completed.has(quality.name));
+      const pendingVideo = pending.filter(quality => quality.type !== 'audio');
+      const pendingAudio = pending.filter(quality => quality.type === 'audio');
+      const groups = encodeMode === 'per-rendition'
+        ? [...pendingVideo.map(quality => [quality]), pendingAudio]
+        : [pending];
+      // Every rendition of a video is encrypted with the same key, so resumed renditions stay playable
+      const keyInfoFile = encrypt && pending.length > 0
+        ? await videoProcessor.writeKeyInfo(outputDir, await this.getEncryptionKey(videoId))
+        : null;
+      const watermarkSettings = jobDoc.options && jobDoc.options.watermark;
+      const watermark = watermarkSettings && pendingVideo.length > 0
+        ? await this.runPhase(job, videoId, 'watermark', 'Failed to prepare watermark',
+          () => videoProcessor.prepareWatermark(outputDir, watermarkSettings, { signal }))
+        : null;
+      const loudnorm = jobDoc.options && jobDoc.options.normalizeAudio && pendingAudio.length > 0
+        ? await this.measureLoudness(job, videoId, localVideoPath, pendingAudio,
+          jobDoc.options.loudnessTarget || videoProcessor.loudnessTarget)
+        : null;
+      const metrics = { encodeMode, renditions: pending.length, wallClockMs: 0, cpuUserMs: 0, cpuSystemMs: 0 };
+
+      for (const group of groups.filter(g => g.length > 0)) {
+        const groupNames = group.map(quality => quality.name).join(', ');
+        const groupWeight = group.reduce((sum, quality) => sum + weights[allRenditions.indexOf(quality)], 0);
+        const encodeShare = groupWeight * (1 - RENDITION_UPLOAD_SHARE);
+        const isAudio = group.every(quality => quality.type === 'audio');
+        const encodePhase = isAudio ? 'encode:audio' : (group.length === 1 ? `encode:${group[0].name}` : 'encode');
         
-        await cloudWatchLogger.logConversion(videoId, quality.name, qualityProgress + 15);
-        job.progress = qualityProgress + 15;
+        console.log(`🔄 Starting ${groupNames} conversion for ${videoId} (${encodeMode})`);
+        await cloudWatchLogger.logConversion(videoId, groupNames, job.progress);
         
-        // Update database with progress
+        const usage = await this.runPhase(job, videoId, encodePhase, `Failed to convert to ${groupNames}`,
+          () => videoProcessor.encodeRenditions(localVideoPath, outputDir, group, {
+            signal,
+            segmentDuration,
+            segmentFormat,
+            keyInfoFile,
+            watermark,
+            loudnorm,
+            onProgress: (timemark) => {
+              const fraction = getTimemarkFraction(timemark, duration);
+              group.forEach((quality) => {
+                job.renditionProgress[quality.name] = Math.round(fraction * 100);
+              });
+              const progress = getPhaseProgress('encode', completedWeight + encodeShare * fraction);
+              this.updateProgress(videoId, job, progress);
+            }
+          }),
+          { isRetryable: isTransientFfmpegError });
+        console.log(`✅ ${groupNames} conversion completed for ${videoId} in ${usage.wallClockMs}ms`);
+
+        metrics.wallClockMs += usage.wallClockMs;
+        metrics.cpuUserMs += usage.cpuUserMs || 0;
+        metrics.cpuSystemMs += usage.cpuSystemMs || 0;
+        completedWeight += encodeShare;
+
+        for (const quality of group) {
+          const qualityDir = path.join(outputDir, quality.name);
+          try {
+            variants.set(quality.name, await videoProcessor.analyzeRendition(qualityDir, quality));
+          } catch (analysisError) {
+            console.error(`❌ ${quality.name} analysis failed for ${videoId}:`, analysisError);
+            throw new Error(`Failed to analyze ${quality.name} output: ${analysisError.message}`);
+          }
+          if (keyInfoFile) {
+            await videoProcessor.setKeyUri(qualityDir);
+          }
+
+          // Upload right away so the checkpoint survives a lost /tmp
+          await cloudWatchLogger.logUpload(videoId, job.progress);
+          await this.runPhase(job, videoId, `upload:${quality.name}`, 'Failed to upload HLS files to S3',
+            () => videoProcessor.uploadToS3(qualityDir, `${s3Prefix}/${quality.name}`, { signal }));
+          console.log(`✅ ${quality.name} uploaded to S3 for ${videoId}`);
+          await fs.remove(qualityDir);
+
+          completed.add(quality.name);
+          await this.saveCheckpoint(job, { completedRenditions: [...completed], variants: [...variants.values()] });
+
+          completedWeight += weights[allRenditions.indexOf(quality)] * RENDITION_UPLOAD_SHARE;
+          job.renditionProgress[quality.name] = 100;
+          const completedProgress = getPhaseProgress('encode', completedWeight);
+          await cloudWatchLogger.logConversion(videoId, quality.name, completedProgress);
+          await this.updateProgress(videoId, job, completedProgress, { force: true });
+        }
+      }
+
+      if (pending.length > 0) {
+        console.log(`⏱️ Encode metrics for ${videoId}:`, metrics);
         try {
-          await Video.findOneAndUpdate(
-            { videoId: videoId },
-            { encodingProgress: qualityProgress + 15 }
-          );
+          await EncodingJob.updateOne({ _id: job.jobId }, { metrics: metrics });
         } catch (dbError) {
-          console.warn(`⚠️ Failed to update progress in database for ${videoId}:`, dbError);
+          console.warn(`⚠️ Failed to record encode metrics for ${videoId}:`, dbError.message);
         }
       }
 
-      // Upload phase (20% of total progress)
-      console.log(`📤 Starting upload phase for ${videoId}`);
-      await cloudWatchLogger.logUpload(videoId, 80);
-      job.progress = 80;
-      
-      // Update database with progress
-      try {
-        await Video.findOneAndUpdate(
-          { videoId: videoId },
-          { encodingProgress: 80 }
-        );
-      } catch (dbError) {
-        console.warn(`⚠️ Failed to update progress in database for ${videoId}:`, dbError);
-      }
-      
-      const s3Prefix = `hls/${videoId}`;
-      try {
-        await videoProcessor.uploadToS3(outputDir, s3Prefix);
-        console.log(`✅ S3 upload completed for ${videoId}`);
-      } catch (uploadError) {
-        console.error(`❌ S3 upload failed for ${videoId}:`, uploadError);
-        throw new Error(`Failed to upload HLS files to S3: ${uploadError.message}`);
-      }
-      
-      await cloudWatchLogger.logUpload(videoId, 90);
-      job.progress = 90;
-      
-      // Update database with progress
-      try {
-        await Video.findOneAndUpdate(
-          { videoId: videoId },
-          { encodingProgress: 90 }
-        );
-      } catch (dbError) {
-        console.warn(`⚠️ Failed to update progress in database for ${videoId}:`, dbError);
+      // Players switch quality at segment boundaries, so they must match across the ladder
+      const publishedVariants = qualities.map(quality => variants.get(quality.name));
+      const publishedAudio = audioRenditions.map(rendition => variants.get(rendition.name));
+      const alignmentErrors = verifySegmentAlignment(publishedVariants);
+      if (alignmentErrors.length > 0) {
+        console.error(`❌ Segment boundaries differ between variants for ${videoId}:`, alignmentErrors);
+        throw new Error(`Segment boundaries differ between variants: ${alignmentErrors.join('; ')}`);
       }
 
+      // Captions can be added while the video encodes; publish whatever is attached now
+      const captions = await this.runPhase(job, videoId, 'publish:captions', 'Failed to publish captions',
+        async () => {
+          const video = await Video.findOne({ videoId: videoId });
+          return video ? captionManager.alignCaptions(video, segmentFormat) : [];
+        });
+
       // Generate master playlist
       console.log(`📋 Generating master playlist for ${videoId}`);
-      let masterS3Key;
-      try {
-        masterS3Key = await videoProcessor.generateMasterPlaylist(outputDir, s3Prefix, videoId);
-        console.log(`✅ Master playlist generated: ${masterS3Key}`);
-      } catch (playlistError) {
-        console.error(`❌ Master playlist generation failed for ${videoId}:`, playlistError);
-        throw new Error(`Failed to generate master playlist: ${playlistError.message}`);
+      outputDir = outputDir || await videoProcessor.prepareOutputDir(videoId);
+      const masterS3Key = await this.runPhase(job, videoId, 'publish', 'Failed to generate master playlist',
+        () => videoProcessor.generateMasterPlaylist(outputDir, s3Prefix, videoId, publishedVariants, {
+          signal,
+          segmentFormat,
+          audio: publishedAudio,
+          subtitles: captionManager.getSubtitleRenditions(captions)
+        }));
+      console.log(`✅ Master playlist generated: ${masterS3Key}`);
+
+      // DASH clients read the same CMAF fragments, so an MPD is only published for fMP4 output.
+      // They can't decrypt HLS AES-128 segments, so encrypted videos are HLS only.
+      const publishDash = segmentFormat === 'fmp4' && !encrypt;
+      if (publishDash) {
+        const manifestS3Key = await this.runPhase(job, videoId, 'publish:dash', 'Failed to generate DASH manifest',
+          () => videoProcessor.generateDashManifest(outputDir, s3Prefix, publishedVariants, {
+            signal,
+            segmentDuration,
+            audio: publishedAudio,
+            subtitles: captionManager.getDashSubtitles(captions)
+          }));
+        console.log(`✅ DASH manifest generated: ${manifestS3Key}`);
       }
-      
-      const streamingUrls = {
-        master: `https://${BUCKET_NAME}.s3.amazonaws.com/${masterS3Key}`,
-        qualities: {
-          "360p": `https://${BUCKET_NAME}.s3.amazonaws.com/${s3Prefix}/360p/playlist.m3u8`,
-          "720p": `https://${BUCKET_NAME}.s3.amazonaws.com/${s3Prefix}/720p/playlist.m3u8`
-        }
-      };
+
+      const streamingUrls = videoProcessor.buildStreamingUrls(s3Prefix, qualities, { dash: publishDash });
 
       // Cleanup
       console.log(`🧹 Starting cleanup for ${videoId}`);
@@ -213,26 +684,50 @@ class BackgroundProcessor {
         // Don't throw error for cleanup failures
       }
 
+      // Stored output and encoded length count against the user's quotas
+      let outputSizes = { total: 0, byDirectory: {} };
+      try {
+        outputSizes = await videoProcessor.getOutputSizes(s3Prefix);
+      } catch (storageError) {
+        console.warn(`⚠️ Failed to measure output size for ${videoId}:`, storageError.message);
+      }
+      const encodedSeconds = Math.max(0, ...publishedVariants.map(variant => variant.duration || 0));
+
       // Mark as complete
       await cloudWatchLogger.logComplete(videoId, streamingUrls);
       job.progress = 100;
-      job.status = 'completed';
-      job.endTime = new Date();
-      job.streamingUrls = streamingUrls;
+      job.eta = 0;
+      await this.finishJob(job, 'succeeded', { streamingUrls: streamingUrls, error: null });
 
       // Update video status in database
       try {
-        await Video.findOneAndUpdate(
+        const video = await Video.findOneAndUpdate(
           { videoId: videoId },
           {
             status: 'completed',
             encodingProgress: 100,
+            estimatedCompletionAt: null,
             encodingCompletedAt: new Date(),
             streamingUrls: streamingUrls,
+            renditions: qualities.map(quality => ({
+              ...quality,
+              ...variants.get(quality.name),
+              size: outputSizes.byDirectory[quality.name] || 0
+            })),
+            audioRenditions: publishedAudio.map(rendition => ({
+              ...rendition,
+              size: outputSizes.byDirectory[rendition.name] || 0
+            })),
+            outputSize: outputSizes.total,
+            segmentFormat: segmentFormat,
+            'encryption.enabled': encrypt,
             error: null
           }
         );
         console.log(`✅ Database updated for ${videoId}`);
+        if (video) {
+          await quotaManager.recordEncode(video.userId, encodedSeconds);
+        }
       } catch (dbError) {
         console.warn(`⚠️ Failed to update database for ${videoId}:`, dbError);
         // Don't throw error for database update failures
@@ -242,6 +737,12 @@ class BackgroundProcessor {
       console.log(`📺 Streaming URLs:`, streamingUrls);
 
     } catch (error) {
+      const runtime = this.activeJobs.get(videoId);
+      if (runtime && runtime.abortController.signal.aborted) {
+        await this.handleAbortedJob(videoId, runtime, localVideoPath, outputDir);
+        return;
+      }
+
       console.error(`❌ Error processing video ${videoId}:`, error);
       console.error('   Error details:', {
         name: error.name,
@@ -255,9 +756,8 @@ class BackgroundProcessor {
       
       const job = this.activeJobs.get(videoId);
       if (job) {
-        job.status = 'failed';
-        job.error = error.message;
-        job.endTime = new Date();
+        job.eta = null;
+        await this.finishJob(job, 'failed', { error: error.message });
       }
 
       // Update video status in database
@@ -267,6 +767,7 @@ class BackgroundProcessor {
           {
             status: 'failed',
             encodingProgress: job ? job.progress : 0,
+            estimatedCompletionAt: null,
             error: error.message
           }
         );
@@ -280,57 +781,341 @@ class BackgroundProcessor {
     }
   }
 
-  getJobStatus(videoId) {
-    const job = this.activeJobs.get(videoId);
+  // Run one phase with retries and backoff, recording the current phase on the job
+  async runPhase(job, videoId, phase, failureMessage, operation, options = {}) {
+    try {
+      await EncodingJob.updateOne({ _id: job.jobId }, { phase: phase });
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to record phase ${phase} for ${videoId}:`, dbError.message);
+    }
+
+    try {
+      return await withRetry(operation, {
+        retries: this.phaseRetries,
+        baseDelay: this.retryBaseDelay,
+        signal: job.abortController.signal,
+        isRetryable: options.isRetryable,
+        onRetry: (error, attempt, delay) => {
+          console.warn(`🔁 ${phase} failed for ${videoId} (attempt ${attempt}), retrying in ${delay}ms:`, error.message);
+          cloudWatchLogger.logProgress(videoId, `Retrying ${phase} after error: ${error.message}`, job.progress);
+        }
+      });
+    } catch (error) {
+      if (job.abortController.signal.aborted) throw error;
+      console.error(`❌ ${phase} failed for ${videoId}:`, error);
+      throw new Error(`${failureMessage}: ${error.message}`);
+    }
+  }
+
+  // First loudnorm pass over the source stream of each audio rendition. Stores the measurements in
+  // mediaInfo.loudness and returns the loudnorm filter of each rendition; if measuring fails the audio
+  // is encoded as it is rather than failing the job.
+  async measureLoudness(job, videoId, inputPath, audioRenditions, target) {
+    const { signal } = job.abortController;
+    console.log(`🔊 Measuring loudness of ${audioRenditions.length} audio stream(s) for ${videoId}`);
+    const filters = {};
+    const measurements = [];
+
+    try {
+      for (const rendition of audioRenditions) {
+        const stats = await this.runPhase(job, videoId, 'loudness', `Failed to measure loudness of ${rendition.name}`,
+          () => videoProcessor.measureLoudness(inputPath, rendition.streamIndex, { target, signal }),
+          { isRetryable: isTransientFfmpegError });
+        if (!stats) {
+          console.log(`🔇 ${rendition.name} of ${videoId} is silent, leaving it as it is`);
+          continue;
+        }
+        filters[rendition.name] = buildLoudnormFilter(target, stats);
+        measurements.push({
+          streamIndex: rendition.streamIndex,
+          integrated: stats.integrated,
+          truePeak: stats.truePeak,
+          range: stats.range,
+          threshold: stats.threshold
+        });
+        console.log(`✅ ${rendition.name} of ${videoId} measured at ${stats.integrated} LUFS, normalizing to ${target.integrated} LUFS`);
+      }
+    } catch (loudnessError) {
+      if (signal.aborted) throw loudnessError;
+      console.warn(`⚠️ Continuing ${videoId} without loudness normalization:`, loudnessError.message);
+      return null;
+    }
+
+    try {
+      await Video.findOneAndUpdate({ videoId: videoId }, { 'mediaInfo.loudness': measurements });
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to store loudness in database for ${videoId}:`, dbError);
+    }
+    return filters;
+  }
+
+  // Download the parent's source, cut the clip and upload it as this video's source (s3Key).
+  // Returns the local clip path, which the encode continues from.
+  async createClip(job, videoId, s3Key, clip) {
+    const { signal } = job.abortController;
+    console.log(`✂️ Cutting clip ${videoId} from ${clip.parentVideoId} (${clip.mode}, ${clip.segments.length} segment(s))`);
+
+    const sourcePath = await this.runPhase(job, videoId, 'download', 'Failed to download parent video from S3',
+      () => videoProcessor.downloadFromS3(clip.sourceKey, { signal }));
+    let clipPath;
+    try {
+      clipPath = await this.runPhase(job, videoId, 'clip', 'Failed to cut clip',
+        () => videoProcessor.createClip(sourcePath, clip.segments, { mode: clip.mode, signal }),
+        { isRetryable: isTransientFfmpegError });
+    } finally {
+      await fs.remove(sourcePath);
+    }
+
+    try {
+      const size = await this.runPhase(job, videoId, 'upload:clip', 'Failed to upload clip to S3',
+        () => videoProcessor.uploadFile(clipPath, s3Key, clip.mode === 'fast' ? 'video/x-matroska' : 'video/mp4', { signal }));
+      console.log(`✅ Clip ${videoId} uploaded to ${s3Key} (${size} bytes)`);
+
+      try {
+        await Video.findOneAndUpdate({ videoId: videoId }, { size: size });
+      } catch (dbError) {
+        console.warn(`⚠️ Failed to record clip size for ${videoId}:`, dbError.message);
+      }
+    } catch (uploadError) {
+      await fs.remove(clipPath);
+      throw uploadError;
+    }
+    return clipPath;
+  }
+
+  // The video's AES-128 key as hex, generated the first time the video is encrypted
+  async getEncryptionKey(videoId) {
+    const video = await Video.findOne({ videoId: videoId }).select('+encryption.key');
+    if (!video) {
+      throw new Error('Video not found');
+    }
+    if (video.encryption && video.encryption.key) {
+      return video.encryption.key;
+    }
+
+    const key = crypto.randomBytes(16).toString('hex');
+    // Another attempt may have generated one in the meantime; keep whichever was stored first
+    await Video.updateOne({ videoId: videoId, 'encryption.key': null }, { 'encryption.key': key });
+    const stored = await Video.findOne({ videoId: videoId }).select('+encryption.key');
+    return stored.encryption.key;
+  }
+
+  async saveCheckpoint(job, fields) {
+    const update = {};
+    Object.keys(fields).forEach((key) => {
+      update[`checkpoint.${key}`] = fields[key];
+    });
+    await EncodingJob.updateOne({ _id: job.jobId }, { $set: update });
+  }
+
+  // Put the latest failed job back in the queue; its checkpoint lets it skip finished renditions.
+  // Cancelled jobs are left alone: their output was deleted, so they need a new job.
+  async retryJob(videoId) {
+    const lastJob = await EncodingJob.findOne({ videoId: videoId }).sort({ createdAt: -1 });
+    if (!lastJob || lastJob.state !== 'failed') {
+      return null;
+    }
+
+    const job = await EncodingJob.findOneAndUpdate(
+      { _id: lastJob._id, state: 'failed' },
+      {
+        state: 'queued',
+        error: null,
+        eta: null,
+        phase: null,
+        cancelRequested: false,
+        attempts: 0,
+        finishedAt: null
+      },
+      { new: true }
+    ).catch((error) => {
+      throw isDuplicateKeyError(error) ? createJobInProgressError() : error;
+    });
     if (!job) {
-      return { status: 'not_found', message: 'Job not found' };
+      return null;
     }
 
+    await cloudWatchLogger.logProgress(videoId, 'Video encoding retry requested', job.progress);
+    await this.dispatch();
+    return this.getJobStatus(videoId);
+  }
+
+  // Delete the encoded output of a video, leaving the uploads in KEPT_OUTPUT_PREFIXES; resolves with the count
+  async removeEncodeOutput(videoId) {
+    const prefix = `hls/${videoId}/`;
+    const objects = await storage.list(prefix);
+    const output = objects.filter(object => !KEPT_OUTPUT_PREFIXES.some(kept => object.key.startsWith(`${prefix}${kept}`)));
+    await Promise.all(output.map(object => storage.delete(object.key)));
+    return output.length;
+  }
+
+  // A job stopped mid-flight: always drop temp files; only a cancellation removes output and updates state
+  async handleAbortedJob(videoId, runtime, localVideoPath, outputDir) {
+    const reason = runtime.abortController.signal.reason;
+    console.log(`⏹️ Encoding job for ${videoId} stopped: ${reason.message}`);
+
+    await videoProcessor.cleanup(localVideoPath, outputDir);
+
+    if (reason.code !== 'JOB_CANCELLED') {
+      // The lease was lost or handed back: another worker owns the job now
+      return;
+    }
+
+    try {
+      const deleted = await this.removeEncodeOutput(videoId);
+      console.log(`🗑️ Removed ${deleted} partial HLS objects for ${videoId}`);
+    } catch (storageError) {
+      console.warn(`⚠️ Failed to remove partial HLS output for ${videoId}:`, storageError.message);
+    }
+
+    runtime.eta = null;
+    await this.finishJob(runtime, 'cancelled', { error: null });
+
+    try {
+      await Video.findOneAndUpdate(
+        { videoId: videoId },
+        { status: 'cancelled', estimatedCompletionAt: null, error: null }
+      );
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to update database for cancelled ${videoId}:`, dbError);
+    }
+
+    await cloudWatchLogger.logProgress(videoId, 'Video encoding cancelled', null);
+  }
+
+  // Stop a queued or running job; running jobs on other servers stop at their next heartbeat
+  async cancelJob(videoId) {
+    // A queued job never started, so it can be cancelled directly
+    const queuedJob = await EncodingJob.findOneAndUpdate(
+      { videoId: videoId, state: 'queued' },
+      { state: 'cancelled', cancelRequested: true, finishedAt: new Date() },
+      { new: true }
+    );
+    if (queuedJob) {
+      await Video.findOneAndUpdate(
+        { videoId: videoId },
+        { status: 'cancelled', estimatedCompletionAt: null, error: null }
+      );
+      await cloudWatchLogger.logProgress(videoId, 'Video encoding cancelled', null);
+      return { cancelled: true, state: 'cancelled' };
+    }
+
+    const runningJob = await EncodingJob.findOneAndUpdate(
+      { videoId: videoId, state: 'running' },
+      { cancelRequested: true },
+      { new: true }
+    );
+    if (!runningJob) {
+      return { cancelled: false };
+    }
+
+    const runtime = this.activeJobs.get(videoId);
+    if (runtime) {
+      runtime.abortController.abort(createAbortReason('JOB_CANCELLED', 'Encoding job cancelled'));
+    }
+    return { cancelled: true, state: 'cancelling' };
+  }
+
+  // Record progress and ETA on the job; database writes are throttled unless forced
+  async updateProgress(videoId, job, progress, { force = false } = {}) {
+    job.progress = Math.max(job.progress, progress);
+    job.eta = estimateRemainingSeconds(job.startTime, job.progress);
+
+    const now = Date.now();
+    if (!force && job.lastPersistedAt && now - job.lastPersistedAt < this.progressWriteInterval) {
+      return;
+    }
+    job.lastPersistedAt = now;
+
+    try {
+      await Promise.all([
+        Video.findOneAndUpdate(
+          { videoId: videoId },
+          {
+            encodingProgress: job.progress,
+            estimatedCompletionAt: job.eta !== null ? new Date(now + job.eta * 1000) : null
+          }
+        ),
+        EncodingJob.updateOne(
+          { _id: job.jobId },
+          { progress: job.progress, eta: job.eta, renditionProgress: job.renditionProgress }
+        )
+      ]);
+    } catch (dbError) {
+      console.warn(`⚠️ Failed to update progress in database for ${videoId}:`, dbError);
+    }
+  }
+
+  formatJob(job, queueOrder = []) {
+    const position = queueOrder.findIndex(queued => queued._id.equals(job._id));
     return {
-      videoId,
-      status: job.status,
+      videoId: job.videoId,
+      jobId: job._id,
+      state: job.state,
+      status: LEGACY_STATUS[job.state],
+      priority: job.priority,
+      queuePosition: position >= 0 ? position + 1 : null,
       progress: job.progress,
-      startTime: job.startTime,
-      endTime: job.endTime,
+      eta: job.eta,
+      renditionProgress: job.renditionProgress,
+      attempts: job.attempts,
+      phase: job.phase,
+      completedRenditions: job.checkpoint ? job.checkpoint.completedRenditions : [],
+      metrics: job.metrics,
+      worker: job.leaseOwner,
+      startTime: job.startedAt,
+      endTime: job.finishedAt,
       streamingUrls: job.streamingUrls,
       error: job.error
     };
   }
 
-  getAllJobs() {
-    const jobs = [];
-    for (const [videoId, job] of this.activeJobs) {
-      jobs.push({
-        videoId,
-        status: job.status,
-        progress: job.progress,
-        startTime: job.startTime,
-        endTime: job.endTime
-      });
+  async getJobStatus(videoId) {
+    const job = await EncodingJob.findOne({ videoId: videoId }).sort({ createdAt: -1 });
+    if (!job) {
+      return { status: 'not_found', message: 'Job not found' };
     }
-    return jobs;
+    const queueOrder = job.state === 'queued' ? await this.getQueueOrder() : [];
+    return this.formatJob(job, queueOrder);
   }
 
-  cleanupCompletedJobs() {
-    const completedJobs = [];
-    for (const [videoId, job] of this.activeJobs) {
-      if (job.status === 'completed' || job.status === 'failed') {
-        // Keep completed jobs for 1 hour for status checking
-        const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000);
-        if (job.endTime && job.endTime < oneHourAgo) {
-          completedJobs.push(videoId);
-        }
+  // Latest job of each video, keyed by videoId; videos without a job are left out
+  async getJobStatuses(videoIds) {
+    const jobs = await EncodingJob.find({ videoId: { $in: videoIds } }).sort({ createdAt: -1 });
+    const latest = new Map();
+    jobs.forEach((job) => {
+      if (!latest.has(job.videoId)) {
+        latest.set(job.videoId, job);
       }
-    }
-    
-    completedJobs.forEach(videoId => {
-      this.activeJobs.delete(videoId);
     });
 
-    if (completedJobs.length > 0) {
-      console.log(`🧹 Cleaned up ${completedJobs.length} completed jobs`);
+    const queued = [...latest.values()].some(job => job.state === 'queued');
+    const queueOrder = queued ? await this.getQueueOrder() : [];
+    const statuses = new Map();
+    latest.forEach((job, videoId) => statuses.set(videoId, this.formatJob(job, queueOrder)));
+    return statuses;
+  }
+
+  // Jobs that are queued or running on any worker
+  async getAllJobs() {
+    const [jobs, queueOrder] = await Promise.all([
+      EncodingJob.find({ state: { $in: ['queued', 'running'] } }).sort({ createdAt: 1 }),
+      this.getQueueOrder()
+    ]);
+    return jobs.map(job => this.formatJob(job, queueOrder));
+  }
+
+  async cleanupCompletedJobs() {
+    const cutoff = new Date(Date.now() - this.jobRetention);
+    const result = await EncodingJob.deleteMany({
+      state: { $in: ['succeeded', 'failed', 'cancelled'] },
+      finishedAt: { $lt: cutoff }
+    });
+
+    if (result.deletedCount > 0) {
+      console.log(`🧹 Cleaned up ${result.deletedCount} completed jobs`);
     }
   }
 }
 
-module.exports = new BackgroundProcessor(); 
\ No newline at end of file
+module.exports = new BackgroundProcessor();
@@ -0,0 +1,174 @@
+const storage = require('./storage');
+const videoProcessor = require('./videoProcessor');
+const Video = require('../models/Video');
+const { parseCaptions, buildVtt, segmentCaptions, buildSubtitlePlaylist } = require('../utils/captions');
+const { toLanguageTag, getLanguageName } = require('../utils/renditionLadder');
+
+// Captions are published next to the renditions and wired into the existing manifests,
+// so adding, replacing or removing a track never needs a re-encode
+class CaptionManager {
+  getCaptionPrefix(videoId, captionId) {
+    return `hls/${videoId}/captions/${captionId}`;
+  }
+
+  // Segment cues into WebVTT for HLS, keep the complete file for DASH and downloads,
+  // upload everything and return the record stored in Video.captions
+  async publishCaption(video, caption, cues, options = {}) {
+    const segmentFormat = options.segmentFormat || video.segmentFormat || videoProcessor.segmentFormat;
+    const duration = video.mediaInfo && video.mediaInfo.duration;
+    const segments = segmentCaptions(cues, {
+      segmentDuration: videoProcessor.segmentDuration,
+      duration,
+      segmentFormat
+    });
+
+    const prefix = this.getCaptionPrefix(video.videoId, caption.id);
+    // A shorter replacement must not leave stale segments behind
+    await storage.deletePrefix(`${prefix}/`);
+
+    const files = [
+      { name: 'captions.vtt', body: buildVtt(cues), contentType: 'text/vtt' },
+      { name: 'playlist.m3u8', body: buildSubtitlePlaylist(segments), contentType: 'application/vnd.apple.mpegurl' },
+      ...segments.map((segment, i) => ({
+        name: `segment_${String(i).padStart(3, '0')}.vtt`,
+        body: segment.content,
+        contentType: 'text/vtt'
+      }))
+    ];
+    await Promise.all(files.map(file => storage.put(`${prefix}/${file.name}`, file.body, {
+      contentType: file.contentType
+    })));
+
+    return {
+      ...caption,
+      uri: `captions/${caption.id}/playlist.m3u8`,
+      vttUrl: videoProcessor.getObjectUrl(`${prefix}/captions.vtt`),
+      segmentFormat,
+      cueCount: cues.length,
+      segmentCount: segments.length,
+      updatedAt: new Date()
+    };
+  }
+
+  async readCaption(videoId, captionId) {
+    const key = `${this.getCaptionPrefix(videoId, captionId)}/captions.vtt`;
+    const content = await storage.get(key);
+    if (!content) {
+      throw new Error(`Caption file not found: ${key}`);
+    }
+    return content.toString('utf8');
+  }
+
+  async removeCaption(videoId, captionId) {
+    await storage.deletePrefix(`${this.getCaptionPrefix(videoId, captionId)}/`);
+  }
+
+  // X-TIMESTAMP-MAP depends on the segment format, so captions published before the
+  // video was encoded are segmented again once the format is known
+  async alignCaptions(video, segmentFormat) {
+    const captions = (video.captions || []).map(caption => (caption.toObject ? caption.toObject() : caption));
+    const stale = captions.filter(caption => caption.segmentFormat !== segmentFormat);
+    if (stale.length === 0) {
+      return captions;
+    }
+
+    const aligned = await Promise.all(captions.map(async (caption) => {
+      if (!stale.includes(caption)) {
+        return caption;
+      }
+      const cues = parseCaptions(await this.readCaption(video.videoId, caption.id));
+      return this.publishCaption(video, caption, cues, { segmentFormat });
+    }));
+    await Video.updateOne({ videoId: video.videoId }, { captions: aligned });
+    return aligned;
+  }
+
+  // Publish WebVTT files converted from embedded subtitle streams. Captions uploaded by the
+  // user win over embedded tracks in the same language.
+  async addEmbeddedCaptions(videoId, extracted, options = {}) {
+    const video = await Video.findOne({ videoId: videoId });
+    if (!video) {
+      throw new Error('Video not found');
+    }
+
+    const captions = (video.captions || []).map(caption => caption.toObject());
+    const uploadedLanguages = new Set(captions.filter(c => c.source === 'upload').map(c => c.language));
+    const kept = captions.filter(caption => caption.source !== 'embedded');
+
+    for (const { track, text } of extracted) {
+      const language = toLanguageTag(track.language);
+      const cues = parseCaptions(text);
+      if (uploadedLanguages.has(language) || cues.length === 0) {
+        continue;
+      }
+      const id = kept.some(caption => caption.id === language) ? `${language}_${track.index}` : language;
+      kept.push(await this.publishCaption(video, {
+        id,
+        language,
+        label: track.title || getLanguageName(language),
+        source: 'embedded',
+        originalFormat: 'vtt',
+        isDefault: track.isDefault && !kept.some(caption => caption.isDefault)
+      }, cues, options));
+    }
+
+    video.captions = kept;
+    await video.save();
+    return kept;
+  }
+
+  // Subtitle renditions for the master playlist and the DASH manifest
+  getSubtitleRenditions(captions) {
+    return (captions || []).map(caption => ({
+      id: caption.id,
+      language: caption.language,
+      label: caption.label,
+      isDefault: caption.isDefault,
+      uri: caption.uri
+    }));
+  }
+
+  getDashSubtitles(captions) {
+    return (captions || []).map(caption => ({
+      id: caption.id,
+      language: caption.language,
+      label: caption.label,
+      uri: `captions/${caption.id}/captions.vtt`
+    }));
+  }
+
+  // Rebuild master.m3u8 (and manifest.mpd) of a completed video from its stored renditions.
+  // Returns false when the video has not been published yet; the encoding job picks the captions up then.
+  async republishManifests(video) {
+    if (video.status !== 'completed' || !video.renditions || video.renditions.length === 0) {
+      return false;
+    }
+
+    const s3Prefix = `hls/${video.videoId}`;
+    const toPlain = list => (list || []).map(item => (item.toObject ? item.toObject() : item));
+    const variants = toPlain(video.renditions);
+    const audio = toPlain(video.audioRenditions);
+    const captions = toPlain(video.captions);
+    const segmentFormat = video.segmentFormat || 'ts';
+
+    await videoProcessor.generateMasterPlaylist(null, s3Prefix, video.videoId, variants, {
+      segmentFormat,
+      audio,
+      subtitles: this.getSubtitleRenditions(captions)
+    });
+
+    // The MPD needs segment durations, which videos encoded before they were stored don't have.
+    // Encrypted videos are published without one.
+    const timed = [...variants, ...audio].every(rendition => rendition.segmentDurations && rendition.segmentDurations.length);
+    const encrypted = Boolean(video.encryption && video.encryption.enabled);
+    if (segmentFormat === 'fmp4' && timed && !encrypted) {
+      await videoProcessor.generateDashManifest(null, s3Prefix, variants, {
+        audio,
+        subtitles: this.getDashSubtitles(captions)
+      });
+    }
+    return true;
+  }
+}
+
+module.exports = new CaptionManager();
@@ -0,0 +1,123 @@
+const path = require('path');
+const storage = require('./storage');
+const videoProcessor = require('./videoProcessor');
+const { rewritePlaylistUris } = require('../utils/hlsPlaylist');
+const { generatePlaybackToken } = require('../utils/jwt');
+
+// Serves a video's published files from private storage. Playlists, the DASH manifest and the
+// sprite thumbnail track are rewritten per viewer; every other file redirects to a short-lived
+// signed storage URL.
+class PlaybackProxy {
+  constructor() {
+    // Lifetime of presigned segment URLs and of the playback tokens in proxied URLs
+    this.urlTtl = parseInt(process.env.PLAYBACK_URL_TTL_SECONDS, 10) || 3600;
+  }
+
+  getPlaybackUrl(videoId) {
+    return videoProcessor.getObjectUrl(`hls/${videoId}/master.m3u8`);
+  }
+
+  // Resolve a path under hls/<videoId>/; null if it escapes the prefix
+  resolveKey(videoId, relativePath) {
+    const normalized = path.posix.normalize(relativePath);
+    if (normalized.startsWith('..') || path.posix.isAbsolute(normalized)) {
+      return null;
+    }
+    return `hls/${videoId}/${normalized}`;
+  }
+
+  // Read a playlist from the bucket and rewrite its references for the viewer.
+  // Returns null when the playlist doesn't exist.
+  async renderPlaylist(videoId, playlistPath, userId) {
+    const s3Key = this.resolveKey(videoId, playlistPath);
+    if (!s3Key || !s3Key.endsWith('.m3u8')) {
+      return null;
+    }
+
+    const object = await storage.get(s3Key);
+    if (!object) {
+      return null;
+    }
+    const content = object.toString('utf8');
+
+    // Players may not be able to send headers, so proxied URLs carry a token scoped to this video
+    const token = generatePlaybackToken(userId, videoId, this.urlTtl);
+    const playlistDir = path.posix.dirname(s3Key);
+
+    return rewritePlaylistUris(content, async (uri, tag) => {
+      if (tag === 'EXT-X-KEY') {
+        // Published playlists carry a placeholder key URI; the key route is resolved per request
+        return `${videoProcessor.getKeyUrl(videoId)}?token=${encodeURIComponent(token)}`;
+      }
+      if (/^[a-z][a-z0-9+.-]*:/i.test(uri)) {
+        return uri; // already absolute
+      }
+      if (uri.endsWith('.m3u8')) {
+        // Relative to this playlist, which is itself served by the proxy
+        return `${uri}?token=${encodeURIComponent(token)}`;
+      }
+      const objectKey = path.posix.normalize(path.posix.join(playlistDir, uri));
+      if (!objectKey.startsWith(`hls/${videoId}/`)) {
+        throw new Error(`Playlist ${s3Key} references ${uri} outside the video`);
+      }
+      return storage.getSignedUrl(objectKey, this.urlTtl);
+    });
+  }
+
+  // Read a DASH manifest from the bucket. Segment templates and caption BaseURLs stay relative, so
+  // players fetch them through the proxy, with the playback token appended.
+  // Returns null when the manifest doesn't exist.
+  async renderManifest(videoId, manifestPath, userId) {
+    const s3Key = this.resolveKey(videoId, manifestPath);
+    if (!s3Key || !s3Key.endsWith('.mpd')) {
+      return null;
+    }
+
+    const object = await storage.get(s3Key);
+    if (!object) {
+      return null;
+    }
+
+    const token = encodeURIComponent(generatePlaybackToken(userId, videoId, this.urlTtl));
+    return object.toString('utf8')
+      .replace(/(\s(?:initialization|media))="([^"]*)"/g, (match, name, uri) => `${name}="${uri}?token=${token}"`)
+      .replace(/<BaseURL>([^<]*)<\/BaseURL>/g, (match, uri) => `<BaseURL>${uri}?token=${token}</BaseURL>`);
+  }
+
+  // Read the sprite thumbnail track and sign the sheet every cue points at, keeping the
+  // #xywh fragment. Returns null when the track doesn't exist.
+  async renderThumbnailTrack(videoId, trackPath) {
+    const s3Key = this.resolveKey(videoId, trackPath);
+    if (!s3Key || !s3Key.endsWith('/thumbnails.vtt')) {
+      return null;
+    }
+
+    const object = await storage.get(s3Key);
+    if (!object) {
+      return null;
+    }
+
+    const trackDir = path.posix.dirname(s3Key);
+    const signed = new Map();
+    const lines = await Promise.all(object.toString('utf8').split('\n').map(async (line) => {
+      const match = /^([^\s#/]+\.jpg)(#xywh=[\d,]+)$/.exec(line.trim());
+      if (!match) {
+        return line;
+      }
+      if (!signed.has(match[1])) {
+        signed.set(match[1], storage.getSignedUrl(`${trackDir}/${match[1]}`, this.urlTtl));
+      }
+      return `${await signed.get(match[1])}${match[2]}`;
+    }));
+    return lines.join('\n');
+  }
+
+  // Signed storage URL of any other published file (segments of DASH players, thumbnails, caption
+  // files); null when the path escapes the video
+  async getObjectUrl(videoId, objectPath) {
+    const s3Key = this.resolveKey(videoId, objectPath);
+    return s3Key ? storage.getSignedUrl(s3Key, this.urlTtl) : null;
+  }
+}
+
+module.exports = new PlaybackProxy();
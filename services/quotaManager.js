@@ -0,0 +1,204 @@
+const User = require('../models/User');
+const Video = require('../models/Video');
+const UploadSession = require('../models/UploadSession');
+const { getClipDuration } = require('../utils/clips');
+
+// Quota limit from the environment; 0 means unlimited (null)
+const readLimit = (value, fallback) => {
+  const limit = value !== undefined && value !== '' ? parseFloat(value) : fallback;
+  return Number.isFinite(limit) && limit > 0 ? limit : null;
+};
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) {
+    return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)}GB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)}MB`;
+};
+
+const toMinutes = seconds => Math.round(seconds / 60 * 100) / 100;
+
+// Encode minutes are counted per calendar month (UTC)
+const getPeriod = (date = new Date()) => date.toISOString().slice(0, 7);
+
+const getPeriodEnd = (date = new Date()) => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1));
+
+// Per-user storage and monthly encode-minute quotas. Storage counts every source and the encoded output
+// under hls/<videoId>/ (trashed videos too, until purged), plus the declared size of unfinished resumable
+// uploads. Encode minutes count the duration of every successful encode, and encodes still running
+// are held against the quota too.
+class QuotaManager {
+  constructor() {
+    const storageGb = readLimit(process.env.QUOTA_STORAGE_GB, 50);
+    this.storageLimit = storageGb !== null ? Math.round(storageGb * 1024 * 1024 * 1024) : null;
+    this.encodeMinutesLimit = readLimit(process.env.QUOTA_ENCODE_MINUTES, 600);
+  }
+
+  // A user's limits: their own quota where set, the deployment defaults otherwise
+  getLimits(user) {
+    const quota = user.quota || {};
+    return {
+      storageBytes: quota.storageBytes != null ? quota.storageBytes || null : this.storageLimit,
+      encodeMinutes: quota.encodeMinutes != null ? quota.encodeMinutes || null : this.encodeMinutesLimit
+    };
+  }
+
+  // Seconds an encode of the video produces: the clip's length for clips, the source duration otherwise
+  getEncodeSeconds(video) {
+    if (video.parentVideoId && video.clip && video.clip.segments && video.clip.segments.length > 0) {
+      return getClipDuration(video.clip.segments);
+    }
+    return (video.mediaInfo && video.mediaInfo.duration) || 0;
+  }
+
+  async getStorageUsage(userId) {
+    const [videos] = await Video.aggregate([
+      { $match: { userId: userId } },
+      {
+        $group: {
+          _id: null,
+          count: { $sum: 1 },
+          sources: { $sum: { $ifNull: ['$size', 0] } },
+          outputs: { $sum: { $ifNull: ['$outputSize', 0] } }
+        }
+      }
+    ]);
+    const [uploads] = await UploadSession.aggregate([
+      { $match: { userId: userId, state: 'uploading' } },
+      { $group: { _id: null, bytes: { $sum: '$length' } } }
+    ]);
+
+    const sources = videos ? videos.sources : 0;
+    const outputs = videos ? videos.outputs : 0;
+    const pendingUploads = uploads ? uploads.bytes : 0;
+    return {
+      videos: videos ? videos.count : 0,
+      sources,
+      outputs,
+      pendingUploads,
+      used: sources + outputs + pendingUploads
+    };
+  }
+
+  // Seconds encoded this month, and those of encodes still in progress
+  async getEncodeUsage(user) {
+    const period = getPeriod();
+    const stored = await User.findById(user._id).select('encodeUsage');
+    const usage = stored && stored.encodeUsage;
+    const processing = await Video.find({ userId: user._id, status: 'processing', deletedAt: null })
+      .select('mediaInfo.duration parentVideoId clip');
+
+    return {
+      period,
+      resetsAt: getPeriodEnd(),
+      seconds: usage && usage.period === period ? usage.seconds : 0,
+      pendingSeconds: processing.reduce((sum, video) => sum + this.getEncodeSeconds(video), 0)
+    };
+  }
+
+  // Consumption against the limits, for GET /usage and quota errors
+  async getUsage(user) {
+    const limits = this.getLimits(user);
+    const [storageUsage, encodeUsage] = await Promise.all([
+      this.getStorageUsage(user._id),
+      this.getEncodeUsage(user)
+    ]);
+    const usedMinutes = toMinutes(encodeUsage.seconds);
+
+    return {
+      storage: {
+        ...storageUsage,
+        limit: limits.storageBytes,
+        remaining: limits.storageBytes !== null ? Math.max(limits.storageBytes - storageUsage.used, 0) : null
+      },
+      encodeMinutes: {
+        period: encodeUsage.period,
+        used: usedMinutes,
+        pending: toMinutes(encodeUsage.pendingSeconds),
+        limit: limits.encodeMinutes,
+        remaining: limits.encodeMinutes !== null
+          ? Math.max(toMinutes(limits.encodeMinutes * 60 - encodeUsage.seconds - encodeUsage.pendingSeconds), 0)
+          : null,
+        resetsAt: encodeUsage.resetsAt
+      }
+    };
+  }
+
+  // Error response for storing incomingBytes more (0 when unknown), or null within the quota
+  async checkStorage(user, incomingBytes = 0) {
+    const limit = this.getLimits(user).storageBytes;
+    if (limit === null) {
+      return null;
+    }
+
+    const usage = await this.getUsage(user);
+    const used = usage.storage.used;
+    if (used < limit && used + incomingBytes <= limit) {
+      return null;
+    }
+    return {
+      error: 'Storage quota exceeded',
+      message: incomingBytes > 0
+        ? `This upload needs ${formatBytes(incomingBytes)}, but only ${formatBytes(Math.max(limit - used, 0))} of your ${formatBytes(limit)} storage quota is left`
+        : `All of your ${formatBytes(limit)} storage quota is used; delete videos to free up space`,
+      usage
+    };
+  }
+
+  // Error response for encoding a video, or null within the quotas. Encodes add output, so a full
+  // storage quota blocks them too.
+  async checkEncode(user, video) {
+    const limits = this.getLimits(user);
+    if (limits.storageBytes === null && limits.encodeMinutes === null) {
+      return null;
+    }
+
+    const usage = await this.getUsage(user);
+    if (limits.storageBytes !== null && usage.storage.used >= limits.storageBytes) {
+      return {
+        error: 'Storage quota exceeded',
+        message: `All of your ${formatBytes(limits.storageBytes)} storage quota is used; delete videos to free up space before encoding`,
+        usage
+      };
+    }
+
+    if (limits.encodeMinutes !== null) {
+      const needed = toMinutes(this.getEncodeSeconds(video));
+      // A video that is still processing is already held as pending; encoding it again replaces that encode
+      const held = video.status === 'processing' && !video.deletedAt ? needed : 0;
+      const available = limits.encodeMinutes - usage.encodeMinutes.used - usage.encodeMinutes.pending + held;
+      if (available <= 0 || needed > available) {
+        return {
+          error: 'Encode minutes quota exceeded',
+          message: `This encode needs ${needed} minutes, but only ${Math.round(Math.max(available, 0) * 100) / 100} of your ${limits.encodeMinutes} monthly encode minutes are left (resets ${usage.encodeMinutes.resetsAt.toISOString()})`,
+          usage
+        };
+      }
+    }
+    return null;
+  }
+
+  // Count a finished encode against the user's encode minutes for this month
+  async recordEncode(userId, seconds) {
+    const period = getPeriod();
+    const increment = await User.updateOne(
+      { _id: userId, 'encodeUsage.period': period },
+      { $inc: { 'encodeUsage.seconds': seconds } }
+    );
+    if (increment.matchedCount > 0) {
+      return;
+    }
+
+    // First encode of the month starts a new count
+    const reset = await User.updateOne(
+      { _id: userId, 'encodeUsage.period': { $ne: period } },
+      { encodeUsage: { period: period, seconds: seconds } }
+    );
+    if (reset.matchedCount === 0) {
+      // Another encode started this month's count in between
+      await User.updateOne({ _id: userId, 'encodeUsage.period': period }, { $inc: { 'encodeUsage.seconds': seconds } });
+    }
+  }
+}
+
+module.exports = new QuotaManager();
@@ -0,0 +1,29 @@
+const path = require('path');
+const S3Storage = require('./s3Storage');
+const LocalStorage = require('./localStorage');
+require('dotenv').config();
+
+// Every object the service stores (sources, renditions, thumbnails, captions, watermarks) goes
+// through this driver. STORAGE_DRIVER=local keeps them on disk, for laptops and offline tests.
+const createStorage = () => {
+  const driver = process.env.STORAGE_DRIVER || 's3';
+
+  if (driver === 's3') {
+    return new S3Storage();
+  }
+  if (driver === 'local') {
+    // Every /storage URL is signed, so the driver can't work without a secret
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+    if (!secret) {
+      throw new Error('STORAGE_DRIVER=local requires STORAGE_SIGNING_SECRET or JWT_SECRET');
+    }
+    return new LocalStorage({
+      root: process.env.LOCAL_STORAGE_PATH || path.join(__dirname, '../../storage'),
+      baseUrl: (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, ''),
+      secret
+    });
+  }
+  throw new Error(`Unknown STORAGE_DRIVER '${driver}', expected 's3' or 'local'`);
+};
+
+module.exports = createStorage();
@@ -0,0 +1,295 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+
+// Directories under the root that hold driver state rather than objects
+const RESERVED_DIRS = ['.meta', '.multipart'];
+
+// Errors named like their S3 counterparts, so callers handle both drivers the same way
+const storageError = (name, message) => Object.assign(new Error(message), { name });
+
+// Objects are files under a root directory, with their content type in a sidecar under .meta/.
+// The /storage route serves them, checking signatures the way S3 checks presigned URLs.
+class LocalStorage {
+  constructor(options) {
+    this.name = 'local';
+    this.root = path.resolve(options.root);
+    this.metaRoot = path.join(this.root, '.meta');
+    this.multipartRoot = path.join(this.root, '.multipart');
+    this.baseUrl = options.baseUrl;
+    this.secret = options.secret;
+  }
+
+  // Local path of a key; rejects keys that would escape the root
+  resolvePath(key) {
+    const normalized = path.posix.normalize(String(key));
+    if (!normalized || normalized.startsWith('..') || path.posix.isAbsolute(normalized) ||
+      RESERVED_DIRS.some(dir => normalized === dir || normalized.startsWith(`${dir}/`))) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return path.join(this.root, normalized);
+  }
+
+  getMetaPath(key) {
+    return path.join(this.metaRoot, `${path.posix.normalize(key)}.json`);
+  }
+
+  // Write through a temporary file so readers never see a partial object
+  async put(key, body, options = {}) {
+    if (options.signal) options.signal.throwIfAborted();
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.ensureDir(path.dirname(filePath));
+
+    try {
+      if (Buffer.isBuffer(body) || typeof body === 'string') {
+        await fs.writeFile(tempPath, body);
+      } else {
+        await pipeline(body, fs.createWriteStream(tempPath), { signal: options.signal });
+      }
+      await fs.move(tempPath, filePath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+    await fs.outputJson(this.getMetaPath(key), { contentType: options.contentType || 'application/octet-stream' });
+  }
+
+  async getStream(key) {
+    const filePath = this.resolvePath(key);
+    if (!(await fs.pathExists(filePath))) return null;
+    return fs.createReadStream(filePath);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async head(key) {
+    let stats;
+    try {
+      stats = await fs.stat(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+    if (!stats.isFile()) return null;
+
+    const meta = await fs.readJson(this.getMetaPath(key)).catch(() => ({}));
+    return {
+      size: stats.size,
+      contentType: meta.contentType || 'application/octet-stream',
+      lastModified: stats.mtime,
+      etag: `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`
+    };
+  }
+
+  async exists(key) {
+    return (await this.head(key)) !== null;
+  }
+
+  async delete(key) {
+    await fs.remove(this.resolvePath(key));
+    await fs.remove(this.getMetaPath(key));
+  }
+
+  async deletePrefix(prefix) {
+    const objects = await this.list(prefix);
+    await Promise.all(objects.map(object => this.delete(object.key)));
+    return objects.length;
+  }
+
+  // Prefixes match key strings like S3 does, so 'hls/abc' also lists 'hls/abcd/...'
+  async list(prefix) {
+    const objects = [];
+    const walk = async (dir, keyPrefix) => {
+      let entries;
+      try {
+        entries = await fs.readdir(dir, { withFileTypes: true });
+      } catch (error) {
+        if (error.code === 'ENOENT') return;
+        throw error;
+      }
+      for (const entry of entries) {
+        const key = `${keyPrefix}${entry.name}`;
+        if (entry.isDirectory()) {
+          if (!RESERVED_DIRS.includes(key) && (prefix.startsWith(`${key}/`) || `${key}/`.startsWith(prefix))) {
+            await walk(path.join(dir, entry.name), `${key}/`);
+          }
+        } else if (key.startsWith(prefix) && !key.endsWith('.tmp')) {
+          const stats = await fs.stat(path.join(dir, entry.name));
+          objects.push({ key, size: stats.size, lastModified: stats.mtime });
+        }
+      }
+    };
+    await walk(this.root, '');
+    return objects.sort((a, b) => (a.key < b.key ? -1 : 1));
+  }
+
+  getObjectPath(key) {
+    return `${this.baseUrl}/storage/${key.split('/').map(encodeURIComponent).join('/')}`;
+  }
+
+  getPublicUrl(key) {
+    return this.getObjectPath(key);
+  }
+
+  // part ('<uploadId>:<partNumber>') only takes part in signatures of multipart part uploads
+  sign(method, key, expires, contentType = '', part = '') {
+    return crypto.createHmac('sha256', this.secret)
+      .update(`${method}\n${key}\n${expires}\n${contentType}${part ? `\n${part}` : ''}`)
+      .digest('hex');
+  }
+
+  // Check the signature of a request to the /storage route
+  verify(method, key, query, contentType = '') {
+    const expires = parseInt(query.expires, 10);
+    if (!expires || expires < Math.floor(Date.now() / 1000) || typeof query.signature !== 'string') {
+      return false;
+    }
+    const part = query.uploadId !== undefined ? `${query.uploadId}:${query.partNumber}` : '';
+    const expected = Buffer.from(this.sign(method, key, expires, contentType, part));
+    const actual = Buffer.from(query.signature);
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  async getSignedUrl(key, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.getObjectPath(key)}?expires=${expires}&signature=${this.sign('GET', key, expires)}`;
+  }
+
+  async getSignedUploadUrl(key, contentType, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    return `${this.getObjectPath(key)}?expires=${expires}&signature=${this.sign('PUT', key, expires, contentType || '')}`;
+  }
+
+  getMultipartDir(uploadId) {
+    if (!/^[0-9a-f-]{36}$/.test(String(uploadId))) {
+      throw storageError('NoSuchUpload', 'The specified upload does not exist');
+    }
+    return path.join(this.multipartRoot, uploadId);
+  }
+
+  // Multipart uploads keep their parts under .multipart/<uploadId>/ until completed or aborted
+  async createMultipartUpload(key, contentType) {
+    this.resolvePath(key);
+    const uploadId = uuidv4();
+    await fs.outputJson(path.join(this.getMultipartDir(uploadId), 'upload.json'), {
+      key,
+      contentType: contentType || 'application/octet-stream'
+    });
+    return uploadId;
+  }
+
+  async getMultipartUpload(key, uploadId) {
+    const upload = await fs.readJson(path.join(this.getMultipartDir(uploadId), 'upload.json')).catch(() => null);
+    if (!upload || upload.key !== key) {
+      throw storageError('NoSuchUpload', 'The specified upload does not exist');
+    }
+    return upload;
+  }
+
+  async getSignedPartUrl(key, uploadId, partNumber, expiresIn = 3600) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const signature = this.sign('PUT', key, expires, '', `${uploadId}:${partNumber}`);
+    return `${this.getObjectPath(key)}?partNumber=${partNumber}&uploadId=${uploadId}&expires=${expires}&signature=${signature}`;
+  }
+
+  // Store one part from the /storage route; resolves with its ETag (quoted MD5, as on S3)
+  async putPart(key, uploadId, partNumber, body) {
+    await this.getMultipartUpload(key, uploadId);
+    const partPath = path.join(this.getMultipartDir(uploadId), String(partNumber));
+    const tempPath = `${partPath}.${uuidv4()}.tmp`;
+    const hash = crypto.createHash('md5');
+    body.on('data', chunk => hash.update(chunk));
+
+    try {
+      await pipeline(body, fs.createWriteStream(tempPath));
+      await fs.move(tempPath, partPath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+    return `"${hash.digest('hex')}"`;
+  }
+
+  // Concatenate the parts ([{ partNumber, etag }] in ascending order) into the object,
+  // checking each against its ETag on the way
+  async completeMultipartUpload(key, uploadId, parts) {
+    const upload = await this.getMultipartUpload(key, uploadId);
+    if (parts.length === 0) {
+      throw storageError('InvalidPart', 'At least one part is required');
+    }
+    const dir = this.getMultipartDir(uploadId);
+    const filePath = this.resolvePath(key);
+    const tempPath = `${filePath}.${uuidv4()}.tmp`;
+    await fs.ensureDir(path.dirname(filePath));
+
+    try {
+      for (const [index, part] of parts.entries()) {
+        if (index > 0 && part.partNumber <= parts[index - 1].partNumber) {
+          throw storageError('InvalidPartOrder', 'The list of parts was not in ascending order');
+        }
+        const partPath = path.join(dir, String(part.partNumber));
+        if (!(await fs.pathExists(partPath))) {
+          throw storageError('InvalidPart', `Part ${part.partNumber} was not uploaded`);
+        }
+        const hash = crypto.createHash('md5');
+        const source = fs.createReadStream(partPath);
+        source.on('data', chunk => hash.update(chunk));
+        await pipeline(source, fs.createWriteStream(tempPath, { flags: 'a' }));
+        if (`"${hash.digest('hex')}"` !== `"${String(part.etag).replace(/"/g, '')}"`) {
+          throw storageError('InvalidPart', `ETag of part ${part.partNumber} does not match`);
+        }
+      }
+      await fs.move(tempPath, filePath, { overwrite: true });
+    } catch (error) {
+      await fs.remove(tempPath);
+      throw error;
+    }
+    await fs.outputJson(this.getMetaPath(key), { contentType: upload.contentType });
+    await fs.remove(dir);
+  }
+
+  async abortMultipartUpload(key, uploadId) {
+    await fs.remove(this.getMultipartDir(uploadId));
+  }
+
+  // ffmpeg and ffprobe read the file directly
+  async getInputUrl(key) {
+    return this.resolvePath(key);
+  }
+
+  // Multer storage engine writing uploads under the root; same options and file fields as the S3 engine
+  createMulterStorage(options) {
+    const storage = this;
+    const callback = (fn, req, file) => new Promise((resolve, reject) => {
+      if (!fn) return resolve(undefined);
+      fn(req, file, (error, value) => (error ? reject(error) : resolve(value)));
+    });
+
+    return {
+      _handleFile(req, file, cb) {
+        (async () => {
+          const key = await callback(options.key, req, file);
+          const metadata = await callback(options.metadata, req, file);
+          await storage.put(key, file.stream, { contentType: file.mimetype });
+          const { size } = await storage.head(key);
+          return { key, size, metadata, contentType: file.mimetype, location: storage.getPublicUrl(key) };
+        })().then(info => cb(null, info), cb);
+      },
+      _removeFile(req, file, cb) {
+        storage.delete(file.key).then(() => cb(null), cb);
+      }
+    };
+  }
+}
+
+module.exports = LocalStorage;
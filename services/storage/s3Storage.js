@@ -0,0 +1,214 @@
+const multerS3 = require('multer-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand
+} = require('@aws-sdk/client-s3');
+const { s3Client, BUCKET_NAME } = require('../../config/aws');
+
+const isNotFound = error => error.name === 'NoSuchKey' || error.name === 'NotFound';
+
+// Objects live in the private AWS_S3_BUCKET bucket; reads go through presigned URLs
+class S3Storage {
+  constructor() {
+    this.name = 's3';
+  }
+
+  // body is a Buffer, a string or a stream; streams need options.contentLength.
+  // options.signal (AbortSignal) aborts the transfer
+  async put(key, body, options = {}) {
+    await s3Client.send(new PutObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      Body: body,
+      ContentLength: options.contentLength,
+      ContentType: options.contentType
+    }), { abortSignal: options.signal });
+  }
+
+  // Readable stream of an object, or null if it doesn't exist
+  async getStream(key, options = {}) {
+    try {
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }), {
+        abortSignal: options.signal
+      });
+      return response.Body;
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  // Whole object as a Buffer, or null if it doesn't exist
+  async get(key, options = {}) {
+    try {
+      const response = await s3Client.send(new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }), {
+        abortSignal: options.signal
+      });
+      return Buffer.from(await response.Body.transformToByteArray());
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  // { size, contentType, lastModified, etag }, or null if the object doesn't exist
+  async head(key) {
+    try {
+      const result = await s3Client.send(new HeadObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+      return {
+        size: result.ContentLength,
+        contentType: result.ContentType,
+        lastModified: result.LastModified,
+        etag: result.ETag
+      };
+    } catch (error) {
+      if (isNotFound(error)) return null;
+      throw error;
+    }
+  }
+
+  async exists(key) {
+    return (await this.head(key)) !== null;
+  }
+
+  async delete(key) {
+    await s3Client.send(new DeleteObjectCommand({ Bucket: BUCKET_NAME, Key: key }));
+  }
+
+  // Delete every object under a prefix (batched, 1000 keys per request); resolves with the count
+  async deletePrefix(prefix) {
+    let deleted = 0;
+    let continuationToken;
+
+    do {
+      const page = await s3Client.send(new ListObjectsV2Command({
+        Bucket: BUCKET_NAME,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (page.Contents || []).map(object => ({ Key: object.Key }));
+      if (objects.length > 0) {
+        const result = await s3Client.send(new DeleteObjectsCommand({
+          Bucket: BUCKET_NAME,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+        if (result.Errors && result.Errors.length > 0) {
+          throw new Error(`Failed to delete ${result.Errors.length} objects under ${prefix}: ${result.Errors[0].Message}`);
+        }
+        deleted += objects.length;
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return deleted;
+  }
+
+  // Every object under a prefix as { key, size, lastModified }
+  async list(prefix) {
+    const objects = [];
+    let continuationToken;
+
+    do {
+      const page = await s3Client.send(new ListObjectsV2Command({
+        Bucket: BUCKET_NAME,
+        Prefix: prefix,
+        ContinuationToken: continuationToken
+      }));
+      (page.Contents || []).forEach((object) => {
+        objects.push({ key: object.Key, size: object.Size, lastModified: object.LastModified });
+      });
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return objects;
+  }
+
+  getPublicUrl(key) {
+    return `https://${BUCKET_NAME}.s3.amazonaws.com/${key}`;
+  }
+
+  // Presigned GET URL
+  async getSignedUrl(key, expiresIn = 3600) {
+    return getSignedUrl(s3Client, new GetObjectCommand({ Bucket: BUCKET_NAME, Key: key }), { expiresIn });
+  }
+
+  // Presigned PUT URL; the upload must send the same Content-Type
+  async getSignedUploadUrl(key, contentType, expiresIn = 3600) {
+    return getSignedUrl(s3Client, new PutObjectCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      ContentType: contentType
+    }), { expiresIn });
+  }
+
+  // Start a multipart upload the client sends straight to the bucket; resolves with its upload id
+  async createMultipartUpload(key, contentType) {
+    const result = await s3Client.send(new CreateMultipartUploadCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      ContentType: contentType
+    }));
+    return result.UploadId;
+  }
+
+  // Presigned PUT URL for one part (1-10000); the response's ETag header identifies the part on completion
+  async getSignedPartUrl(key, uploadId, partNumber, expiresIn = 3600) {
+    return getSignedUrl(s3Client, new UploadPartCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      UploadId: uploadId,
+      PartNumber: partNumber
+    }), { expiresIn });
+  }
+
+  // Assemble the parts ([{ partNumber, etag }] in ascending order) into the object
+  async completeMultipartUpload(key, uploadId, parts) {
+    await s3Client.send(new CompleteMultipartUploadCommand({
+      Bucket: BUCKET_NAME,
+      Key: key,
+      UploadId: uploadId,
+      MultipartUpload: {
+        Parts: parts.map(part => ({ PartNumber: part.partNumber, ETag: part.etag }))
+      }
+    }));
+  }
+
+  // Discard an unfinished multipart upload and its parts; unknown uploads are ignored
+  async abortMultipartUpload(key, uploadId) {
+    try {
+      await s3Client.send(new AbortMultipartUploadCommand({ Bucket: BUCKET_NAME, Key: key, UploadId: uploadId }));
+    } catch (error) {
+      if (error.name !== 'NoSuchUpload') throw error;
+    }
+  }
+
+  // What ffmpeg and ffprobe read an object from: a short-lived presigned URL
+  async getInputUrl(key, expiresIn = 3600) {
+    return this.getSignedUrl(key, expiresIn);
+  }
+
+  // Multer storage engine writing uploads straight to the bucket. options.key(req, file, cb) names
+  // the object, options.metadata(req, file, cb) adds user metadata. Files get key, location and size.
+  createMulterStorage(options) {
+    return multerS3({
+      s3: s3Client,
+      bucket: BUCKET_NAME,
+      contentType: multerS3.AUTO_CONTENT_TYPE,
+      metadata: options.metadata,
+      key: options.key
+    });
+  }
+}
+
+module.exports = S3Storage;
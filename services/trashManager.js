@@ -0,0 +1,68 @@
+const Video = require('../models/Video');
+const EncodingJob = require('../models/EncodingJob');
+const storage = require('./storage');
+const backgroundProcessor = require('./backgroundProcessor');
+
+// Deleted videos wait in the trash for TRASH_RETENTION_DAYS (0 deletes them right away), then are
+// purged with every artifact: the source and everything under hls/<videoId>/ (HLS and DASH
+// renditions, thumbnails, captions)
+class TrashManager {
+  constructor() {
+    const retentionDays = parseFloat(process.env.TRASH_RETENTION_DAYS);
+    this.retentionMs = (Number.isFinite(retentionDays) && retentionDays >= 0 ? retentionDays : 30) * 24 * 60 * 60 * 1000;
+  }
+
+  // Cancel the video's encoding job and move it to the trash; purges at once without retention
+  async trash(video) {
+    await backgroundProcessor.cancelJob(video.videoId);
+
+    if (this.retentionMs === 0) {
+      await this.purge(video);
+      return { purged: true };
+    }
+
+    const deletedAt = new Date();
+    const purgeAt = new Date(deletedAt.getTime() + this.retentionMs);
+    await Video.updateOne({ _id: video._id }, { deletedAt: deletedAt, purgeAt: purgeAt });
+    console.log(`🗑️ Video ${video.videoId} moved to trash until ${purgeAt.toISOString()}`);
+    return { purged: false, deletedAt, purgeAt };
+  }
+
+  async restore(video) {
+    await Video.updateOne({ _id: video._id }, { deletedAt: null, purgeAt: null });
+    console.log(`♻️ Video ${video.videoId} restored from trash`);
+  }
+
+  // Delete every artifact, then the record. A storage failure keeps the record, so the next purge retries.
+  async purge(video) {
+    await backgroundProcessor.cancelJob(video.videoId);
+
+    const deleted = await storage.deletePrefix(`hls/${video.videoId}/`);
+    await storage.delete(video.s3Key);
+
+    // A job still winding down its cancellation finishes on its own and expires with the other jobs
+    await EncodingJob.deleteMany({ videoId: video.videoId, state: { $ne: 'running' } });
+    await Video.deleteOne({ _id: video._id });
+    console.log(`🗑️ Purged video ${video.videoId} (${deleted} output objects)`);
+  }
+
+  // Purge videos whose retention has run out
+  async purgeExpired() {
+    const expired = await Video.find({ purgeAt: { $lte: new Date() } });
+    let purged = 0;
+    for (const video of expired) {
+      try {
+        await this.purge(video);
+        purged++;
+      } catch (error) {
+        console.warn(`⚠️ Failed to purge video ${video.videoId}:`, error.message);
+      }
+    }
+    if (purged > 0) {
+      console.log(`🧹 Purged ${purged} videos from the trash`);
+    }
+    return purged;
+  }
+}
+
+module.exports = new TrashManager();
@@ -0,0 +1,351 @@
+const path = require('path');
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { v4: uuidv4 } = require('uuid');
+const UploadSession = require('../models/UploadSession');
+const Video = require('../models/Video');
+const storage = require('./storage');
+const videoProcessor = require('./videoProcessor');
+const backgroundProcessor = require('./backgroundProcessor');
+const quotaManager = require('./quotaManager');
+const { resolveWatermark, getWatermarkValues } = require('../utils/watermark');
+
+// Limits of S3 multipart uploads, which the local driver follows too
+const MIN_PART_SIZE = 5 * 1024 * 1024;
+const MAX_PART_SIZE = 5 * 1024 * 1024 * 1024;
+const MAX_PARTS = 10000;
+const DEFAULT_PART_SIZE = 64 * 1024 * 1024;
+const PART_URL_TTL_SECONDS = 3600;
+
+// Errors the client can fix, named like the storage errors they sit beside
+const uploadError = message => Object.assign(new Error(message), { name: 'InvalidUpload' });
+
+// Resumable uploads. tus chunks are appended to a local file, which is moved into storage and
+// turned into a Video once every byte has arrived. Multipart uploads send parts straight to
+// storage through presigned URLs; completing them assembles the object and creates the Video.
+class UploadManager {
+  constructor() {
+    this.uploadDir = process.env.TUS_UPLOAD_DIR || '/tmp/video-uploads';
+    this.maxSize = (parseInt(process.env.TUS_MAX_SIZE_MB, 10) || 10240) * 1024 * 1024;
+    this.expirationMs = (parseFloat(process.env.TUS_EXPIRATION_HOURS) || 24) * 60 * 60 * 1000;
+    // Uploads with a chunk being written on this server; a second concurrent chunk is rejected
+    this.writing = new Set();
+  }
+
+  getExpiry() {
+    return new Date(Date.now() + this.expirationMs);
+  }
+
+  isExpired(session) {
+    return session.expiresAt < new Date();
+  }
+
+  isBusy(uploadId) {
+    return this.writing.has(uploadId);
+  }
+
+  async createSession(userId, { length, filename, mimetype, displayName, autoEncode }) {
+    await fs.ensureDir(this.uploadDir);
+    const uploadId = uuidv4();
+    const localPath = path.join(this.uploadDir, uploadId);
+    await fs.writeFile(localPath, Buffer.alloc(0));
+
+    return UploadSession.create({
+      uploadId,
+      userId,
+      length,
+      filename,
+      mimetype,
+      displayName: displayName || '',
+      autoEncode: Boolean(autoEncode),
+      localPath,
+      expiresAt: this.getExpiry()
+    });
+  }
+
+  async findSession(uploadId, userId) {
+    return UploadSession.findOne({ uploadId: uploadId, userId: userId });
+  }
+
+  // Append a chunk at the session's offset. Whatever arrived before the client disconnected is
+  // kept, so the client can resume from the new offset. The chunk that completes the upload also
+  // stores it (an empty chunk retries that if it failed). Resolves with the new offset.
+  async appendChunk(session, stream, user) {
+    this.writing.add(session.uploadId);
+    try {
+      const remaining = session.length - session.offset;
+      let received = 0;
+      const limit = new Transform({
+        transform(chunk, encoding, callback) {
+          received += chunk.length;
+          if (received > remaining) {
+            return callback(new Error('Chunk goes past Upload-Length'));
+          }
+          callback(null, chunk);
+        }
+      });
+
+      let streamError = null;
+      try {
+        await pipeline(stream, limit, fs.createWriteStream(session.localPath, { flags: 'a' }));
+      } catch (error) {
+        streamError = error;
+      }
+
+      const { size } = await fs.stat(session.localPath);
+      const offset = Math.min(size, session.length);
+      await UploadSession.updateOne({ _id: session._id }, { offset: offset, expiresAt: this.getExpiry() });
+      session.offset = offset;
+
+      if (streamError && offset < session.length) {
+        throw streamError;
+      }
+      if (offset === session.length && session.state === 'uploading') {
+        await this.completeUpload(session, user);
+      }
+      return offset;
+    } finally {
+      this.writing.delete(session.uploadId);
+    }
+  }
+
+  // Move a fully received upload into storage and create its Video; starts encoding for autoEncode sessions.
+  // The key is kept on the session before storing, so retrying a failed completion reuses the object
+  // instead of orphaning it.
+  async completeUpload(session, user) {
+    if (!session.s3Key) {
+      const extension = path.extname(session.filename).slice(1) || 'mp4';
+      const s3Key = `videos/${Date.now()}-${uuidv4()}.${extension}`;
+      await UploadSession.updateOne({ _id: session._id }, { s3Key: s3Key });
+      session.s3Key = s3Key;
+    }
+
+    const stored = await storage.head(session.s3Key);
+    if (!stored || stored.size !== session.length) {
+      await videoProcessor.uploadFile(session.localPath, session.s3Key, session.mimetype);
+      console.log(`📦 Resumable upload ${session.uploadId} stored as ${session.s3Key}`);
+    }
+
+    const video = await this.createVideo(session, session.s3Key, session.localPath);
+    await fs.remove(session.localPath);
+
+    if (session.autoEncode) {
+      await this.startEncoding(video, user);
+    }
+    return video;
+  }
+
+  // Create the Video of a stored upload and mark the session completed. probeInput is what
+  // ffprobe reads the media info from. A retry after the Video was saved only completes the session.
+  async createVideo(session, s3Key, probeInput) {
+    const existing = await Video.findOne({ s3Key: s3Key, userId: session.userId });
+    if (existing) {
+      await UploadSession.updateOne({ _id: session._id }, { state: 'completed', videoId: existing.videoId, localPath: null });
+      session.state = 'completed';
+      session.videoId = existing.videoId;
+      return existing;
+    }
+
+    const videoId = uuidv4();
+    const video = new Video({
+      videoId: videoId,
+      userId: session.userId,
+      filename: s3Key,
+      originalName: session.filename,
+      size: session.length,
+      mimetype: session.mimetype,
+      url: videoProcessor.getObjectUrl(s3Key),
+      s3Key: s3Key,
+      metadata: {
+        fieldName: session.protocol,
+        originalName: session.filename,
+        contentType: session.mimetype,
+        uploadedAt: new Date().toISOString()
+      },
+      status: 'uploaded',
+      displayName: session.displayName
+    });
+
+    try {
+      video.s3Metadata = await storage.head(s3Key) || {};
+    } catch (metadataError) {
+      console.warn('Could not fetch storage metadata:', metadataError.message);
+    }
+    try {
+      video.mediaInfo = await videoProcessor.getMediaInfo(probeInput);
+    } catch (probeError) {
+      console.warn('Could not probe video metadata:', probeError.message);
+    }
+    await video.save();
+
+    await UploadSession.updateOne({ _id: session._id }, { state: 'completed', videoId: videoId, localPath: null });
+    session.state = 'completed';
+    session.videoId = videoId;
+    return video;
+  }
+
+  // Part layout of a multipart upload: the requested part size (64MB by default), raised as far
+  // as needed to stay within 10000 parts
+  getPartLayout(length, requestedPartSize) {
+    const partSize = Math.min(
+      Math.max(requestedPartSize || DEFAULT_PART_SIZE, MIN_PART_SIZE, Math.ceil(length / MAX_PARTS)),
+      MAX_PART_SIZE
+    );
+    return { partSize, partCount: Math.max(Math.ceil(length / partSize), 1) };
+  }
+
+  async createMultipartSession(userId, { length, filename, mimetype, displayName, autoEncode, partSize }) {
+    const extension = path.extname(filename).slice(1) || 'mp4';
+    const s3Key = `videos/${Date.now()}-${uuidv4()}.${extension}`;
+    const layout = this.getPartLayout(length, partSize);
+    const storageUploadId = await storage.createMultipartUpload(s3Key, mimetype);
+
+    try {
+      return await UploadSession.create({
+        uploadId: uuidv4(),
+        userId,
+        protocol: 'multipart',
+        length,
+        filename,
+        mimetype,
+        displayName: displayName || '',
+        autoEncode: Boolean(autoEncode),
+        s3Key,
+        storageUploadId,
+        partSize: layout.partSize,
+        partCount: layout.partCount,
+        expiresAt: this.getExpiry()
+      });
+    } catch (error) {
+      await storage.abortMultipartUpload(s3Key, storageUploadId).catch(() => {});
+      throw error;
+    }
+  }
+
+  // Presigned PUT URLs for parts of a multipart upload; pushes back its expiry
+  async getPartUrls(session, partNumbers) {
+    const parts = await Promise.all(partNumbers.map(async partNumber => ({
+      partNumber,
+      url: await storage.getSignedPartUrl(session.s3Key, session.storageUploadId, partNumber, PART_URL_TTL_SECONDS)
+    })));
+
+    session.expiresAt = this.getExpiry();
+    await UploadSession.updateOne({ _id: session._id }, { expiresAt: session.expiresAt });
+    return { parts, expiresIn: PART_URL_TTL_SECONDS };
+  }
+
+  // Why a stored object isn't what the session declared, or null if it is
+  checkStoredObject(session, object) {
+    if (!object) {
+      return 'The uploaded object was not found';
+    }
+    if (object.size !== session.length) {
+      return `Uploaded ${object.size} bytes, but ${session.length} were declared`;
+    }
+    if (object.contentType !== session.mimetype) {
+      return `Uploaded content type ${object.contentType}, but ${session.mimetype} was declared`;
+    }
+    return null;
+  }
+
+  // Assemble a multipart upload from its parts ([{ partNumber, etag }], one per part) and create its
+  // Video, once the stored object has the declared size and content type. A mismatching object is
+  // discarded along with the session. The object only exists once storage assembled it, so a retry
+  // after a later step failed skips straight to creating the Video.
+  async completeMultipartUpload(session, parts, user) {
+    this.writing.add(session.uploadId);
+    try {
+      const byNumber = new Map(parts.map(part => [part.partNumber, part]));
+      for (let partNumber = 1; partNumber <= session.partCount; partNumber++) {
+        if (!byNumber.has(partNumber)) {
+          throw uploadError(`Part ${partNumber} is missing`);
+        }
+      }
+      if (byNumber.size !== parts.length || byNumber.size !== session.partCount) {
+        throw uploadError(`Expected exactly one entry for each of the ${session.partCount} parts`);
+      }
+
+      let object = await storage.head(session.s3Key);
+      if (!object) {
+        const ordered = [...byNumber.values()].sort((a, b) => a.partNumber - b.partNumber);
+        await storage.completeMultipartUpload(session.s3Key, session.storageUploadId, ordered);
+        object = await storage.head(session.s3Key);
+      }
+
+      const mismatch = this.checkStoredObject(session, object);
+      if (mismatch) {
+        await storage.delete(session.s3Key);
+        await UploadSession.deleteOne({ _id: session._id });
+        throw uploadError(mismatch);
+      }
+      console.log(`📦 Multipart upload ${session.uploadId} stored as ${session.s3Key}`);
+
+      const probeInput = await storage.getInputUrl(session.s3Key, 900);
+      const video = await this.createVideo(session, session.s3Key, probeInput);
+      if (session.autoEncode) {
+        await this.startEncoding(video, user);
+      }
+      return video;
+    } finally {
+      this.writing.delete(session.uploadId);
+    }
+  }
+
+  // Encode with the user's defaults, like POST /convert-to-hls without options. A failure, or an
+  // exceeded quota, leaves the video uploaded, so it can still be converted by hand.
+  async startEncoding(video, user) {
+    try {
+      const quotaExceeded = await quotaManager.checkEncode(user, video);
+      if (quotaExceeded) {
+        console.warn(`⚠️ Not encoding uploaded video ${video.videoId}: ${quotaExceeded.message}`);
+        return;
+      }
+
+      const { watermark } = resolveWatermark(undefined, {
+        userDefault: user.watermark ? user.watermark.toObject() : null,
+        values: getWatermarkValues(video, user)
+      });
+      await Video.updateOne(
+        { _id: video._id },
+        { status: 'processing', encodingStartedAt: new Date(), watermark: watermark || null }
+      );
+      await backgroundProcessor.startEncodingJob(video.videoId, video.s3Key, {
+        userId: user._id,
+        watermark: watermark || null
+      });
+      video.status = 'processing';
+    } catch (error) {
+      console.warn(`⚠️ Failed to start encoding for uploaded video ${video.videoId}:`, error.message);
+      await Video.updateOne({ _id: video._id }, { status: 'uploaded', encodingStartedAt: null });
+    }
+  }
+
+  async terminate(session) {
+    if (session.localPath) {
+      await fs.remove(session.localPath);
+    }
+    if (session.storageUploadId && session.state === 'uploading') {
+      await storage.abortMultipartUpload(session.s3Key, session.storageUploadId);
+    } else if (session.s3Key && session.state === 'uploading') {
+      // A resumable upload whose completion failed after storing the file
+      await storage.delete(session.s3Key);
+    }
+    await UploadSession.deleteOne({ _id: session._id });
+  }
+
+  // Remove expired sessions and their partial data
+  async cleanupExpiredSessions() {
+    const expired = await UploadSession.find({ expiresAt: { $lt: new Date() } });
+    for (const session of expired) {
+      if (this.isBusy(session.uploadId)) continue;
+      await this.terminate(session);
+    }
+    if (expired.length > 0) {
+      console.log(`🧹 Removed ${expired.length} expired upload sessions`);
+    }
+    return expired.length;
+  }
+}
+
+module.exports = new UploadManager();
@@ -1,12 +1,56 @@
 const ffmpeg = require("fluent-ffmpeg");
 const fs = require("fs-extra");
 const path = require("path");
-const { s3Client, BUCKET_NAME } = require("../config/aws");
-const { PutObjectCommand, GetObjectCommand } = require("@aws-sdk/client-s3");
+const { pipeline } = require("stream/promises");
+const storage = require("./storage");
+const { getVideoStreamInfo, parseMediaInfo, parseRational } = require("../utils/mediaInfo");
+const { buildLadder, buildAudioRenditions } = require("../utils/renditionLadder");
+const { buildSplitScaleGraph, buildConcatGraph, parseBenchmark } = require("../utils/filterGraph");
+const {
+  parseMediaPlaylist,
+  getVariantBandwidth,
+  getCodecString,
+  buildMasterPlaylist,
+  validateMediaPlaylist,
+  validateMasterPlaylist,
+  setKeyUri
+} = require("../utils/hlsPlaylist");
+const { buildDashManifest } = require("../utils/dashManifest");
+const { getCandidateTimestamps, scoreFrame, pickPoster, buildSpriteVtt } = require("../utils/thumbnails");
+const { getLoudnessTarget, getLoudnormMeasureFilter, parseLoudnormStats } = require("../utils/loudness");
+const { getStreamCopyOptions } = require("../utils/clips");
+
+// Content types for everything we publish under a video's prefix, keyed by extension
+const CONTENT_TYPES = {
+  ".m3u8": "application/vnd.apple.mpegurl",
+  ".ts": "video/mp2t",
+  ".mp4": "video/mp4", // fMP4 init segment
+  ".m4s": "video/iso.segment",
+  ".jpg": "image/jpeg",
+  ".vtt": "text/vtt"
+};
+
+// Small grayscale frames are enough to score brightness and sharpness
+const SCORE_FRAME_WIDTH = 160;
+const SCORE_FRAME_HEIGHT = 90;
+
+// EXT-X-KEY URI of published playlists, replaced by the playback proxy when it serves them
+const KEY_URI_PLACEHOLDER = "key.bin";
 
 class VideoProcessor {
   constructor() {
     this.tempDir = "/tmp/video-processing";
+    this.segmentDuration = parseFloat(process.env.HLS_SEGMENT_DURATION) || 6;
+    this.segmentFormat = process.env.HLS_SEGMENT_FORMAT === "fmp4" ? "fmp4" : "ts";
+    this.thumbnailCandidates = parseInt(process.env.THUMBNAIL_CANDIDATES, 10) || 5;
+    this.spriteInterval = parseFloat(process.env.SPRITE_INTERVAL_SECONDS) || 10;
+    // Two-pass EBU R128 loudness normalization of audio renditions, unless a request says otherwise
+    this.normalizeAudio = process.env.LOUDNORM_ENABLED === "true";
+    this.loudnessTarget = getLoudnessTarget();
+    // drawtext falls back to fontconfig's default font when unset
+    this.watermarkFontFile = process.env.WATERMARK_FONT_FILE || null;
+    // Where players reach this API; the playback proxy builds its URLs and the EXT-X-KEY URI from it
+    this.publicBaseUrl = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 4000}`).replace(/\/+$/, "");
     this.ensureTempDir();
     ffmpeg.setFfmpegPath("/usr/bin/ffmpeg");
     ffmpeg.setFfprobePath("/usr/bin/ffprobe");
@@ -16,51 +60,285 @@ class VideoProcessor {
     await fs.ensureDir(this.tempDir);
   }
 
-  async downloadFromS3(s3Key) {
+  // options.signal (AbortSignal) aborts the transfer. A failed or aborted download leaves no partial file.
+  async downloadFromS3(s3Key, options = {}) {
     const localPath = path.join(this.tempDir, `${Date.now()}-${path.basename(s3Key)}`);
-    const command = new GetObjectCommand({ Bucket: BUCKET_NAME, Key: s3Key });
-    const response = await s3Client.send(command);
-    const fileStream = fs.createWriteStream(localPath);
-    
+    const body = await storage.getStream(s3Key, { signal: options.signal });
+    if (!body) {
+      throw new Error(`Object not found in storage: ${s3Key}`);
+    }
+
+    try {
+      await pipeline(body, fs.createWriteStream(localPath), { signal: options.signal });
+      return localPath;
+    } catch (error) {
+      await fs.remove(localPath);
+      throw options.signal && options.signal.aborted ? options.signal.reason : error;
+    }
+  }
+
+  async probe(inputPath) {
     return new Promise((resolve, reject) => {
-      response.Body.pipe(fileStream);
-      fileStream.on("finish", () => resolve(localPath));
-      fileStream.on("error", reject);
+      ffmpeg.ffprobe(inputPath, (err, data) => {
+        if (err) return reject(err);
+        resolve(data);
+      });
     });
   }
 
+  // Probe a local path or URL and return its normalized technical metadata
+  async getMediaInfo(input) {
+    const probeData = await this.probe(input);
+    return parseMediaInfo(probeData);
+  }
+
+  // Probe the source once for both its metadata and its rendition ladder
+  async analyzeSource(inputPath) {
+    const probeData = await this.probe(inputPath);
+    const source = getVideoStreamInfo(probeData);
+    if (!source) {
+      throw new Error("No video stream found in source file");
+    }
+    const mediaInfo = parseMediaInfo(probeData);
+    return {
+      mediaInfo,
+      renditions: buildLadder(source),
+      audioRenditions: buildAudioRenditions(mediaInfo.audioTracks)
+    };
+  }
+
+  // Build the rendition ladder from the probed source geometry and frame rate
+  async getRenditions(inputPath) {
+    const { renditions } = await this.analyzeSource(inputPath);
+    return renditions;
+  }
+
+  // Closed GOPs with a keyframe forced at every segment boundary (scene-cut keyframes disabled),
+  // so segments start at the same timestamps in every rendition
+  getKeyframeOptions(rendition, segmentDuration) {
+    const options = [
+      `-force_key_frames expr:gte(t,n_forced*${segmentDuration})`,
+      `-sc_threshold 0`,
+      `-flags +cgop`
+    ];
+    if (rendition.frameRate) {
+      const gopSize = Math.round(rendition.frameRate * segmentDuration);
+      options.push(`-g ${gopSize}`, `-keyint_min ${gopSize}`);
+    }
+    return options;
+  }
+
+  // HLS muxer options shared by video and audio renditions.
+  // options.segmentFormat "fmp4" writes CMAF fragments (init.mp4 + .m4s) instead of MPEG-TS
+  getHlsOutputOptions(qualityDir, options = {}) {
+    const segmentDuration = options.segmentDuration || this.segmentDuration;
+    const segmentOptions = options.segmentFormat === "fmp4"
+      ? [
+        `-hls_segment_type fmp4`,
+        `-hls_fmp4_init_filename init.mp4`,
+        `-hls_segment_filename ${qualityDir}/segment_%03d.m4s`
+      ]
+      : [`-hls_segment_filename ${qualityDir}/segment_%03d.ts`];
+
+    return [
+      `-hls_time ${segmentDuration}`,
+      `-hls_list_size 0`,
+      `-hls_playlist_type vod`,
+      `-hls_flags independent_segments`,
+      ...segmentOptions,
+      ...(options.keyInfoFile ? [`-hls_key_info_file ${options.keyInfoFile}`] : []),
+      `-f hls`
+    ];
+  }
+
+  getKeyUrl(videoId) {
+    return `${this.publicBaseUrl}/api/playback/key/${videoId}`;
+  }
+
+  // Write the AES-128 key and ffmpeg's key info file outside the rendition directories, so they
+  // are never uploaded. The playlists reference the local key file until setKeyUri rewrites them,
+  // which lets ffprobe decrypt the segments while the rendition is analyzed.
+  async writeKeyInfo(outputDir, keyHex) {
+    const keyDir = path.join(outputDir, "encryption");
+    await fs.ensureDir(keyDir);
+    const keyFile = path.join(keyDir, "key.bin");
+    const keyInfoFile = path.join(keyDir, "key_info");
+    await fs.writeFile(keyFile, Buffer.from(keyHex, "hex"), { mode: 0o600 });
+    await fs.writeFile(keyInfoFile, `${keyFile}\n${keyFile}\n`, { mode: 0o600 });
+    return keyInfoFile;
+  }
+
+  // Replace the local key file in the rendition playlist's EXT-X-KEY before publishing. The published
+  // playlist only carries a placeholder: the playback proxy points it at the key route on every request.
+  async setKeyUri(qualityDir) {
+    const playlistPath = path.join(qualityDir, "playlist.m3u8");
+    await fs.writeFile(playlistPath, setKeyUri(await fs.readFile(playlistPath, "utf8"), KEY_URI_PLACEHOLDER));
+  }
+
+  // Output options for one video rendition; the video comes from the labelled filter graph pad.
+  // Audio is published separately as its own renditions.
+  getRenditionOutputOptions(rendition, qualityDir, videoPad, options = {}) {
+    const segmentDuration = options.segmentDuration || this.segmentDuration;
+    return [
+      `-map [${videoPad}]`,
+      `-an`,
+      `-c:v libx264`,
+      `-b:v ${rendition.videoBitrate}k`,
+      `-maxrate ${rendition.maxBitrate}k`,
+      `-bufsize ${rendition.bufferSize}k`,
+      ...this.getKeyframeOptions(rendition, segmentDuration),
+      ...this.getHlsOutputOptions(qualityDir, options)
+    ];
+  }
+
+  // Output options for one audio rendition: a single source audio stream, downmixed to stereo at most.
+  // options.loudnorm maps rendition names to the loudnorm filter built from their measured loudness.
+  getAudioOutputOptions(rendition, qualityDir, options = {}) {
+    const loudnorm = options.loudnorm && options.loudnorm[rendition.name];
+    return [
+      `-map 0:a:${rendition.streamIndex}`,
+      `-vn`,
+      ...(loudnorm ? [`-af ${loudnorm}`] : []),
+      `-c:a aac`,
+      `-b:a ${rendition.audioBitrate}k`,
+      `-ac ${rendition.channels}`,
+      `-ar 48000`,
+      ...this.getHlsOutputOptions(qualityDir, options)
+    ];
+  }
+
+  // options.dash adds the MPD URL (only published for fMP4 output)
+  buildStreamingUrls(s3Prefix, renditions, options = {}) {
+    const qualities = {};
+    renditions.forEach((rendition) => {
+      qualities[rendition.name] = this.getObjectUrl(`${s3Prefix}/${rendition.name}/playlist.m3u8`);
+    });
+    return {
+      master: this.getObjectUrl(`${s3Prefix}/master.m3u8`),
+      dash: options.dash ? this.getObjectUrl(`${s3Prefix}/manifest.mpd`) : null,
+      qualities
+    };
+  }
+
   async prepareOutputDir(videoId) {
     const outputDir = path.join(this.tempDir, videoId);
     await fs.ensureDir(outputDir);
     return outputDir;
   }
 
-  async convertQuality(inputPath, outputDir, quality) {
+  // Kill the ffmpeg child when the signal aborts; returns a function that stops watching
+  watchSignal(command, signal) {
+    if (!signal) return () => {};
+    const onAbort = () => command.kill("SIGKILL");
+    signal.addEventListener("abort", onAbort, { once: true });
+    return () => signal.removeEventListener("abort", onAbort);
+  }
+
+  // Run a prepared ffmpeg command with progress, abort and benchmark handling.
+  // Resolves with the wall-clock time and ffmpeg's benchmark CPU times.
+  async runEncode(command, options = {}) {
+    if (options.signal) options.signal.throwIfAborted();
+    const startedAt = Date.now();
+
     return new Promise((resolve, reject) => {
-      const qualityDir = path.join(outputDir, quality.name);
+      command
+        .on("progress", (progress) => {
+          if (options.onProgress) options.onProgress(progress.timemark);
+        })
+        .on("end", (stdout, stderr) => {
+          unwatch();
+          const benchmark = parseBenchmark(stderr) || {};
+          resolve({
+            wallClockMs: Date.now() - startedAt,
+            cpuUserMs: benchmark.cpuUserMs || null,
+            cpuSystemMs: benchmark.cpuSystemMs || null
+          });
+        })
+        .on("error", (err) => {
+          unwatch();
+          reject(options.signal && options.signal.aborted ? options.signal.reason : err);
+        });
+
+      const unwatch = this.watchSignal(command, options.signal);
+      command.run();
+    });
+  }
+
+  // Encode several renditions in one ffmpeg run: the source is demuxed and decoded once, the video
+  // is split and scaled per video rendition and each audio rendition maps its source audio stream.
+  // Resolves with ffmpeg's benchmark times.
+  // options.onProgress receives the ffmpeg timemark of the output,
+  // options.signal (AbortSignal) kills the ffmpeg process
+  // options.watermark (from prepareWatermark) is burned into every video rendition
+  async encodeRenditions(inputPath, outputDir, renditions, options = {}) {
+    const { watermark } = options;
+    const video = renditions.filter((rendition) => rendition.type !== "audio");
+    const audio = renditions.filter((rendition) => rendition.type === "audio");
+    const command = ffmpeg(inputPath).inputOptions(["-benchmark"]);
+
+    if (video.length > 0) {
+      const graph = buildSplitScaleGraph(video, { watermark });
+      if (watermark && watermark.type === "image") {
+        command.input(watermark.imagePath);
+      }
+      command.complexFilter(graph.filter);
+
+      video.forEach((rendition, i) => {
+        const qualityDir = path.join(outputDir, rendition.name);
+        fs.ensureDirSync(qualityDir);
+        command
+          .output(path.join(qualityDir, "playlist.m3u8"))
+          .outputOptions(this.getRenditionOutputOptions(rendition, qualityDir, graph.outputs[i], options));
+      });
+    }
+
+    audio.forEach((rendition) => {
+      const qualityDir = path.join(outputDir, rendition.name);
       fs.ensureDirSync(qualityDir);
-      
-      const command = ffmpeg(inputPath)
+      command
         .output(path.join(qualityDir, "playlist.m3u8"))
+        .outputOptions(this.getAudioOutputOptions(rendition, qualityDir, options));
+    });
+
+    return this.runEncode(command, options);
+  }
+
+  // First loudnorm pass over one source audio stream. Resolves with the measured loudness,
+  // or null when the stream is silent.
+  async measureLoudness(inputPath, streamIndex, options = {}) {
+    if (options.signal) options.signal.throwIfAborted();
+    const target = options.target || this.loudnessTarget;
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .output("-")
         .outputOptions([
-          `-c:v libx264`,
-          `-c:a aac`,
-          `-b:v ${quality.bitrate}`,
-          `-maxrate ${quality.bitrate}`,
-          `-bufsize ${parseInt(quality.bitrate) * 2}k`,
-          `-vf scale=${quality.resolution}`,
-          `-hls_time 6`,
-          `-hls_list_size 0`,
-          `-hls_segment_filename ${qualityDir}/segment_%03d.ts`,
-          `-f hls`
+          `-map 0:a:${streamIndex}`,
+          `-vn`,
+          `-af ${getLoudnormMeasureFilter(target)}`,
+          `-f null`
         ])
-        .on("end", () => resolve())
-        .on("error", (err) => reject(err))
-        .run();
+        .on("end", (stdout, stderr) => {
+          unwatch();
+          resolve(parseLoudnormStats(stderr));
+        })
+        .on("error", (err) => {
+          unwatch();
+          reject(options.signal && options.signal.aborted ? options.signal.reason : err);
+        });
+
+      const unwatch = this.watchSignal(command, options.signal);
+      command.run();
     });
   }
 
-  async uploadToS3(localDir, s3Prefix) {
+  async convertQuality(inputPath, outputDir, quality, options = {}) {
+    return this.encodeRenditions(inputPath, outputDir, [quality], options);
+  }
+
+  // options.signal (AbortSignal) aborts in-flight uploads
+  async uploadToS3(localDir, s3Prefix, options = {}) {
+    if (options.signal) options.signal.throwIfAborted();
     const files = await fs.readdir(localDir, { withFileTypes: true });
     const uploadPromises = [];
 
@@ -69,50 +347,449 @@ class VideoProcessor {
       if (file.isDirectory()) {
         // Recursively upload subdirectories
         const subPrefix = `${s3Prefix}/${file.name}`;
-        uploadPromises.push(this.uploadToS3(localPath, subPrefix));
-      } else if (file.name.endsWith(".m3u8") || file.name.endsWith(".ts")) {
+        uploadPromises.push(this.uploadToS3(localPath, subPrefix, options));
+      } else if (CONTENT_TYPES[path.extname(file.name)]) {
         const s3Key = `${s3Prefix}/${file.name}`;
         const fileContent = await fs.readFile(localPath);
-        const command = new PutObjectCommand({
-          Bucket: BUCKET_NAME,
-          Key: s3Key,
-          Body: fileContent,
-          ContentType: file.name.endsWith(".m3u8")
-            ? "application/vnd.apple.mpegurl"
-            : "video/mp2t",
-        });
-        uploadPromises.push(s3Client.send(command));
+        uploadPromises.push(storage.put(s3Key, fileContent, {
+          contentType: CONTENT_TYPES[path.extname(file.name)],
+          signal: options.signal
+        }));
       }
     }
     await Promise.all(uploadPromises);
   }
 
-  async generateMasterPlaylist(outputDir, s3Prefix, videoId) {
-    const qualities = ["360p", "720p"];
-    let masterContent = "#EXTM3U\n#EXT-X-VERSION:3\n";
-  
-    qualities.forEach((quality) => {
-      const bandwidth = quality === "360p" ? "500000" : "2000000";
-      const resolution = quality === "360p" ? "640x360" : "1280x720";
-      masterContent += `#EXT-X-STREAM-INF:BANDWIDTH=${bandwidth},RESOLUTION=${resolution}\n`;
-      masterContent += `${quality}/playlist.m3u8\n`; // ✅ Relative path
+  // Bytes stored under an output prefix, in total and per top-level directory (one per rendition)
+  async getOutputSizes(s3Prefix) {
+    const objects = await storage.list(`${s3Prefix}/`);
+    const byDirectory = {};
+    let total = 0;
+    objects.forEach((object) => {
+      const relativeKey = object.key.slice(s3Prefix.length + 1);
+      if (relativeKey.includes("/")) {
+        const directory = relativeKey.split("/")[0];
+        byDirectory[directory] = (byDirectory[directory] || 0) + object.size;
+      }
+      total += object.size;
+    });
+    return { total, byDirectory };
+  }
+
+  // Measure an encoded rendition from its playlist and segments: bandwidth, codecs, real geometry
+  async analyzeRendition(qualityDir, rendition) {
+    const playlist = parseMediaPlaylist(await fs.readFile(path.join(qualityDir, "playlist.m3u8"), "utf8"));
+    const playlistErrors = validateMediaPlaylist(playlist);
+    if (playlistErrors.length > 0) {
+      throw new Error(`Invalid ${rendition.name} playlist: ${playlistErrors.join("; ")}`);
+    }
+
+    const segments = await Promise.all(playlist.segments.map(async (segment) => {
+      const stats = await fs.stat(path.join(qualityDir, segment.uri));
+      return { duration: segment.duration, size: stats.size };
+    }));
+    const { peakBandwidth, averageBandwidth } = getVariantBandwidth(segments);
+
+    // fMP4 fragments can't be probed without their init segment, nor encrypted segments
+    // without their key, so probe through the playlist
+    const probeTarget = playlist.map || playlist.key ? "playlist.m3u8" : playlist.segments[0].uri;
+    const probeData = await this.probe(path.join(qualityDir, probeTarget));
+    const videoStream = probeData.streams.find(stream => stream.codec_type === "video");
+    const audioStream = probeData.streams.find(stream => stream.codec_type === "audio");
+    const frameRate = videoStream && (parseRational(videoStream.avg_frame_rate) || parseRational(videoStream.r_frame_rate));
+
+    const measured = {
+      name: rendition.name,
+      uri: `${rendition.name}/playlist.m3u8`,
+      bandwidth: peakBandwidth,
+      averageBandwidth,
+      codecs: [getCodecString(videoStream), getCodecString(audioStream)].filter(Boolean).join(","),
+      segmentCount: segments.length,
+      segmentDurations: segments.map(segment => segment.duration),
+      duration: Math.round(segments.reduce((sum, segment) => sum + segment.duration, 0) * 1000) / 1000
+    };
+
+    if (rendition.type === "audio") {
+      return {
+        ...measured,
+        type: "audio",
+        language: rendition.language,
+        label: rendition.label,
+        channels: audioStream ? audioStream.channels : rendition.channels,
+        isDefault: rendition.isDefault
+      };
+    }
+    return {
+      ...measured,
+      width: videoStream ? videoStream.width : rendition.width,
+      height: videoStream ? videoStream.height : rendition.height,
+      frameRate: frameRate ? Math.round(frameRate * 1000) / 1000 : rendition.frameRate
+    };
+  }
+
+  // Build the master playlist from measured variants, validate it, then publish it
+  // options.segmentFormat "fmp4" needs EXT-X-VERSION 7 (EXT-X-MAP in the variant playlists)
+  // options.audio lists the measured audio renditions referenced from every variant,
+  // options.subtitles the published caption tracks. A local copy is only kept when outputDir is set.
+  async generateMasterPlaylist(outputDir, s3Prefix, videoId, variants, options = {}) {
+    const version = options.segmentFormat === "fmp4" ? 7 : 3;
+    const masterContent = buildMasterPlaylist(variants, {
+      version,
+      independentSegments: true,
+      audio: options.audio,
+      subtitles: options.subtitles
     });
 
-    const masterPath = path.join(outputDir, "master.m3u8");
-    await fs.writeFile(masterPath, masterContent);
+    const validationErrors = validateMasterPlaylist(masterContent);
+    if (validationErrors.length > 0) {
+      throw new Error(`Master playlist failed validation: ${validationErrors.join("; ")}`);
+    }
+
+    if (outputDir) {
+      await fs.writeFile(path.join(outputDir, "master.m3u8"), masterContent);
+    }
 
     const masterS3Key = `${s3Prefix}/master.m3u8`;
-    const command = new PutObjectCommand({
-      Bucket: BUCKET_NAME,
-      Key: masterS3Key,
-      Body: masterContent,
-      ContentType: "application/vnd.apple.mpegurl"
+    await storage.put(masterS3Key, masterContent, {
+      contentType: "application/vnd.apple.mpegurl",
+      signal: options.signal
     });
-
-    await s3Client.send(command);
     return masterS3Key;
   }
 
+  // Build the DASH manifest over the CMAF segments already uploaded for HLS, then publish it
+  async generateDashManifest(outputDir, s3Prefix, variants, options = {}) {
+    const manifestContent = buildDashManifest(variants, {
+      audio: options.audio,
+      subtitles: options.subtitles,
+      segmentDuration: options.segmentDuration || this.segmentDuration
+    });
+
+    if (outputDir) {
+      await fs.writeFile(path.join(outputDir, "manifest.mpd"), manifestContent);
+    }
+
+    const manifestS3Key = `${s3Prefix}/manifest.mpd`;
+    await storage.put(manifestS3Key, manifestContent, {
+      contentType: "application/dash+xml",
+      signal: options.signal
+    });
+    return manifestS3Key;
+  }
+
+  // Convert embedded text subtitle streams to WebVTT files (subtitles/<index>.vtt), one ffmpeg run for all
+  async extractSubtitles(inputPath, outputDir, tracks, options = {}) {
+    const subtitlesDir = path.join(outputDir, "subtitles");
+    await fs.emptyDir(subtitlesDir);
+    const command = ffmpeg(inputPath);
+    const files = tracks.map((track) => {
+      const file = path.join(subtitlesDir, `${track.index}.vtt`);
+      command.output(file).outputOptions([`-map 0:s:${track.index}`, `-c:s webvtt`, `-f webvtt`]);
+      return { track, file };
+    });
+
+    await this.runEncode(command, options);
+    return files;
+  }
+
+  // The bucket is private: published files under hls/<videoId>/ are read through the playback proxy,
+  // which checks access on every request
+  getObjectUrl(s3Key) {
+    const match = /^hls\/([^/]+)\/(.+)$/.exec(s3Key);
+    if (!match) {
+      return storage.getPublicUrl(s3Key);
+    }
+    return `${this.publicBaseUrl}/api/playback/${match[1]}/${match[2].split("/").map(encodeURIComponent).join("/")}`;
+  }
+
+  // Decode one frame at a timestamp as raw 8-bit grayscale pixels
+  async extractGrayFrame(input, timestamp, options = {}) {
+    const chunks = [];
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(input)
+        .seekInput(timestamp)
+        .outputOptions([
+          `-frames:v 1`,
+          `-vf scale=${SCORE_FRAME_WIDTH}:${SCORE_FRAME_HEIGHT},format=gray`,
+          `-f rawvideo`
+        ])
+        .on("error", (err) => {
+          unwatch();
+          reject(options.signal && options.signal.aborted ? options.signal.reason : err);
+        });
+
+      const unwatch = this.watchSignal(command, options.signal);
+      const stream = command.pipe();
+      stream.on("data", chunk => chunks.push(chunk));
+      stream.on("end", () => {
+        unwatch();
+        const pixels = Buffer.concat(chunks);
+        if (pixels.length < SCORE_FRAME_WIDTH * SCORE_FRAME_HEIGHT) {
+          return reject(new Error(`No frame decoded at ${timestamp}s`));
+        }
+        resolve(pixels);
+      });
+    });
+  }
+
+  // Write one frame at a timestamp as a JPEG, scaled to the given width
+  async extractFrameImage(input, timestamp, outputPath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(input)
+        .seekInput(timestamp)
+        .output(outputPath)
+        .outputOptions([
+          `-frames:v 1`,
+          `-vf scale=${options.width || 1280}:-2`,
+          `-q:v 3`
+        ])
+        .on("end", () => {
+          unwatch();
+          resolve(outputPath);
+        })
+        .on("error", (err) => {
+          unwatch();
+          reject(options.signal && options.signal.aborted ? options.signal.reason : err);
+        });
+
+      const unwatch = this.watchSignal(command, options.signal);
+      command.run();
+    });
+  }
+
+  // Tile one frame every `interval` seconds into sprite sheets (sprite_001.jpg, sprite_002.jpg, ...)
+  async generateSprite(input, outputDir, sprite, options = {}) {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(input)
+        .output(path.join(outputDir, "sprite_%03d.jpg"))
+        .outputOptions([
+          `-an`,
+          `-vf fps=1/${sprite.interval},scale=${sprite.tileWidth}:${sprite.tileHeight},tile=${sprite.columns}x${sprite.rows}`,
+          `-q:v 5`
+        ])
+        .on("end", () => {
+          unwatch();
+          resolve();
+        })
+        .on("error", (err) => {
+          unwatch();
+          reject(options.signal && options.signal.aborted ? options.signal.reason : err);
+        });
+
+      const unwatch = this.watchSignal(command, options.signal);
+      command.run();
+    });
+
+    const files = await fs.readdir(outputDir);
+    return files.filter(file => /^sprite_\d+\.jpg$/.test(file)).sort();
+  }
+
+  // Candidate thumbnails scored for brightness and sharpness, the chosen poster,
+  // seek-preview sprite sheets and their WebVTT track, written to <outputDir>/thumbnails.
+  // source carries the duration and display size of the video.
+  async generateThumbnails(inputPath, outputDir, source, options = {}) {
+    const thumbnailsDir = path.join(outputDir, "thumbnails");
+    await fs.emptyDir(thumbnailsDir);
+    const imageWidth = Math.min(1280, source.width || 1280);
+
+    // One frame at a time: each seek decodes from the previous keyframe
+    const candidates = [];
+    for (const [i, timestamp] of getCandidateTimestamps(source.duration, this.thumbnailCandidates).entries()) {
+      const pixels = await this.extractGrayFrame(inputPath, timestamp, options);
+      const file = `candidate_${i}.jpg`;
+      await this.extractFrameImage(inputPath, timestamp, path.join(thumbnailsDir, file), { ...options, width: imageWidth });
+      candidates.push({ file, timestamp, ...scoreFrame(pixels, SCORE_FRAME_WIDTH, SCORE_FRAME_HEIGHT) });
+    }
+
+    const posterIndex = pickPoster(candidates);
+    await fs.copy(path.join(thumbnailsDir, candidates[posterIndex].file), path.join(thumbnailsDir, "poster.jpg"));
+
+    const tileWidth = 160;
+    const aspect = source.width && source.height ? source.height / source.width : 9 / 16;
+    const sprite = {
+      interval: this.spriteInterval,
+      columns: 10,
+      rows: 10,
+      tileWidth,
+      tileHeight: Math.round((tileWidth * aspect) / 2) * 2
+    };
+    const sheets = await this.generateSprite(inputPath, thumbnailsDir, sprite, options);
+    const vtt = buildSpriteVtt({
+      ...sprite,
+      duration: source.duration,
+      sheetName: index => sheets[Math.min(index, sheets.length - 1)]
+    });
+    await fs.writeFile(path.join(thumbnailsDir, "thumbnails.vtt"), vtt);
+
+    return {
+      dir: thumbnailsDir,
+      poster: { file: "poster.jpg", timestamp: candidates[posterIndex].timestamp, candidate: posterIndex },
+      candidates,
+      sprite: { ...sprite, sheets, vtt: "thumbnails.vtt" }
+    };
+  }
+
+  // Turn the local thumbnail files into the S3 keys and URLs stored on the video
+  buildThumbnailRecord(s3Prefix, thumbnails) {
+    const toObject = (file) => {
+      const key = `${s3Prefix}/thumbnails/${file}`;
+      return { key, url: this.getObjectUrl(key) };
+    };
+    return {
+      poster: {
+        ...toObject(thumbnails.poster.file),
+        timestamp: thumbnails.poster.timestamp,
+        candidate: thumbnails.poster.candidate
+      },
+      candidates: thumbnails.candidates.map(candidate => ({
+        ...toObject(candidate.file),
+        timestamp: candidate.timestamp,
+        brightness: candidate.brightness,
+        sharpness: candidate.sharpness
+      })),
+      sprite: {
+        vtt: toObject(thumbnails.sprite.vtt).url,
+        sheets: thumbnails.sprite.sheets.map(file => toObject(file).url),
+        interval: thumbnails.sprite.interval,
+        columns: thumbnails.sprite.columns,
+        rows: thumbnails.sprite.rows,
+        tileWidth: thumbnails.sprite.tileWidth,
+        tileHeight: thumbnails.sprite.tileHeight
+      }
+    };
+  }
+
+  // Grab a poster at a chosen timestamp straight from the stored source and publish it; it lives outside
+  // thumbnails/ so cancelling an encode doesn't delete the user's choice
+  async capturePoster(videoId, s3Key, timestamp, options = {}) {
+    const outputDir = path.join(this.tempDir, `poster-${videoId}-${Date.now()}`);
+    await fs.ensureDir(outputDir);
+    try {
+      const sourceUrl = await storage.getInputUrl(s3Key);
+      const localPath = await this.extractFrameImage(sourceUrl, timestamp, path.join(outputDir, "poster.jpg"), {
+        width: Math.min(1280, options.width || 1280)
+      });
+
+      const posterKey = `hls/${videoId}/posters/poster_${Math.round(timestamp * 1000)}.jpg`;
+      await storage.put(posterKey, await fs.readFile(localPath), { contentType: "image/jpeg" });
+      return { key: posterKey, url: this.getObjectUrl(posterKey), timestamp };
+    } finally {
+      await fs.remove(outputDir);
+    }
+  }
+
+  // Fetch what a watermark needs into the work directory: the image from storage, or the text as a
+  // file for drawtext (which spares escaping it inside the filter graph). Returns the settings
+  // extended with those local paths.
+  async prepareWatermark(outputDir, watermark, options = {}) {
+    const watermarkDir = path.join(outputDir, "watermark");
+    await fs.ensureDir(watermarkDir);
+
+    if (watermark.type === "image") {
+      const imagePath = path.join(watermarkDir, `image${path.extname(watermark.imageKey) || ".png"}`);
+      const image = await storage.get(watermark.imageKey, { signal: options.signal });
+      if (!image) {
+        throw new Error(`Watermark image not found: ${watermark.imageKey}`);
+      }
+      await fs.writeFile(imagePath, image);
+      return { ...watermark, imagePath };
+    }
+
+    const textFile = path.join(watermarkDir, "text.txt");
+    await fs.writeFile(textFile, watermark.text);
+    return { ...watermark, textFile, fontFile: this.watermarkFontFile };
+  }
+
+  // Cut a clip from a local source: one [start, end] per segment, joined in order.
+  // "accurate" re-encodes (frame-exact cuts, MP4); "fast" copies the streams, so every cut
+  // snaps to the keyframe at or before its start (Matroska accepts any source codec).
+  // The first video stream and every audio stream are kept; subtitles are not. Resolves with the clip path.
+  async createClip(inputPath, segments, options = {}) {
+    const mode = options.mode || "accurate";
+    const workDir = path.join(this.tempDir, `clip-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`);
+    const clipPath = `${workDir}.${mode === "fast" ? "mkv" : "mp4"}`;
+    await fs.ensureDir(workDir);
+
+    try {
+      if (mode === "fast") {
+        await this.cutClipFast(inputPath, segments, workDir, clipPath, options);
+      } else {
+        await this.cutClipAccurate(inputPath, segments, clipPath, options);
+      }
+      return clipPath;
+    } catch (error) {
+      await fs.remove(clipPath);
+      throw error;
+    } finally {
+      await fs.remove(workDir);
+    }
+  }
+
+  // Seek each input to its segment, then decode and concatenate everything in one run
+  async cutClipAccurate(inputPath, segments, clipPath, options = {}) {
+    const probeData = await this.probe(inputPath);
+    const audioStreams = probeData.streams.filter(stream => stream.codec_type === "audio").length;
+    const graph = buildConcatGraph(segments.length, audioStreams);
+
+    const command = ffmpeg();
+    segments.forEach((segment) => {
+      command.input(inputPath).inputOptions([`-ss ${segment.start}`, `-t ${segment.end - segment.start}`]);
+    });
+    command
+      .complexFilter(graph.filter)
+      .output(clipPath)
+      .outputOptions([
+        `-map [${graph.video}]`,
+        ...graph.audio.map(pad => `-map [${pad}]`),
+        `-c:v libx264`,
+        `-preset veryfast`,
+        `-crf 18`,
+        `-pix_fmt yuv420p`,
+        `-c:a aac`,
+        `-b:a 192k`,
+        `-movflags +faststart`
+      ]);
+    await this.runEncode(command, options);
+  }
+
+  // Stream-copy each segment to its own file, then join them with the concat demuxer
+  async cutClipFast(inputPath, segments, workDir, clipPath, options = {}) {
+    const parts = [];
+    for (const [i, segment] of segments.entries()) {
+      const partPath = path.join(workDir, `part_${String(i).padStart(3, "0")}.mkv`);
+      const command = ffmpeg(inputPath)
+        .inputOptions([`-ss ${segment.start}`])
+        .output(partPath)
+        .outputOptions(getStreamCopyOptions(segment));
+      await this.runEncode(command, options);
+      parts.push(partPath);
+    }
+
+    if (parts.length === 1) {
+      await fs.move(parts[0], clipPath, { overwrite: true });
+      return;
+    }
+
+    const listPath = path.join(workDir, "parts.txt");
+    await fs.writeFile(listPath, parts.map(part => `file '${part}'`).join("\n"));
+    const command = ffmpeg(listPath)
+      .inputOptions([`-f concat`, `-safe 0`])
+      .output(clipPath)
+      .outputOptions([`-map 0`, `-c copy`]);
+    await this.runEncode(command, options);
+  }
+
+  // Upload one local file without buffering it in memory
+  async uploadFile(localPath, s3Key, contentType, options = {}) {
+    const stats = await fs.stat(localPath);
+    await storage.put(s3Key, fs.createReadStream(localPath), {
+      contentLength: stats.size,
+      contentType: contentType,
+      signal: options.signal
+    });
+    return stats.size;
+  }
+
   async cleanup(localVideoPath, outputDir) {
     try {
       if (await fs.pathExists(localVideoPath)) await fs.remove(localVideoPath);
@@ -124,39 +801,9 @@ class VideoProcessor {
 
   // Legacy method for backward compatibility
   async convertToHLS(inputPath, outputDir, videoId) {
-    return new Promise((resolve, reject) => {
-      const qualities = [
-        { name: "360p", resolution: "640x360", bitrate: "500k" },
-        { name: "720p", resolution: "1280x720", bitrate: "2000k" }
-      ];
-
-      let command = ffmpeg(inputPath);
-
-      qualities.forEach((quality) => {
-        const qualityDir = path.join(outputDir, quality.name);
-        fs.ensureDirSync(qualityDir);
-        
-        command = command
-          .output(path.join(qualityDir, "playlist.m3u8"))
-          .outputOptions([
-            `-c:v libx264`,
-            `-c:a aac`,
-            `-b:v ${quality.bitrate}`,
-            `-maxrate ${quality.bitrate}`,
-            `-bufsize ${parseInt(quality.bitrate) * 2}k`,
-            `-vf scale=${quality.resolution}`,
-            `-hls_time 6`,
-            `-hls_list_size 0`,
-            `-hls_segment_filename ${qualityDir}/segment_%03d.ts`,
-            `-f hls`
-          ]);
-      });
-
-      command
-        .on("end", () => resolve())
-        .on("error", (err) => reject(err))
-        .run();
-    });
+    const { renditions, audioRenditions } = await this.analyzeSource(inputPath);
+    await this.encodeRenditions(inputPath, outputDir, [...renditions, ...audioRenditions]);
+    return { renditions, audioRenditions };
   }
 
   async convertVideoToHLS(s3Key, videoId) {
@@ -168,24 +815,22 @@ class VideoProcessor {
       await fs.ensureDir(outputDir);
 
       localVideoPath = await this.downloadFromS3(s3Key);
-      await this.convertToHLS(localVideoPath, outputDir, videoId);
+      const { renditions, audioRenditions } = await this.convertToHLS(localVideoPath, outputDir, videoId);
+      const analyze = rendition => this.analyzeRendition(path.join(outputDir, rendition.name), rendition);
+      const variants = await Promise.all(renditions.map(analyze));
+      const audio = await Promise.all(audioRenditions.map(analyze));
 
       const s3Prefix = `hls/${videoId}`;
       await this.uploadToS3(outputDir, s3Prefix);
-      const masterS3Key = await this.generateMasterPlaylist(outputDir, s3Prefix, videoId);
+      const masterS3Key = await this.generateMasterPlaylist(outputDir, s3Prefix, videoId, variants, { audio });
 
-      const streamingUrls = {
-        master: `https://${BUCKET_NAME}.s3.amazonaws.com/${masterS3Key}`,
-        qualities: {
-          "360p": `https://${BUCKET_NAME}.s3.amazonaws.com/${s3Prefix}/360p/playlist.m3u8`,
-          "720p": `https://${BUCKET_NAME}.s3.amazonaws.com/${s3Prefix}/720p/playlist.m3u8`
-        }
-      };
+      const streamingUrls = this.buildStreamingUrls(s3Prefix, renditions);
 
       return {
         success: true,
         videoId,
         masterPlaylist: masterS3Key,
+        renditions,
         streamingUrls
       };
 
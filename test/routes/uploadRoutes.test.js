@@ -0,0 +1,131 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const express = require('express');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-routes-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+process.env.JWT_SECRET = 'test-secret';
+
+const User = require('../../models/User');
+const Video = require('../../models/Video');
+const backgroundProcessor = require('../../services/backgroundProcessor');
+const quotaManager = require('../../services/quotaManager');
+const { generateToken } = require('../../utils/jwt');
+const uploadRoutes = require('../../routes/uploadRoutes');
+
+const user = { _id: '64b000000000000000000001', isActive: true };
+const token = generateToken(user._id);
+
+describe('uploadRoutes', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, route) => {
+    const response = await fetch(`${baseUrl}/api/upload${route}`, {
+      method,
+      headers: { Authorization: `Bearer ${token}` }
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/upload', uploadRoutes);
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.remove(storageRoot);
+  });
+
+  beforeEach(() => {
+    mock.method(User, 'findById', () => ({ select: async () => user }));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  describe('POST /retry/:videoId', () => {
+    let video;
+    let saved;
+
+    // Video.findOne and updateOne against a single stored video, honouring the trash filter
+    const stubVideo = (fields) => {
+      video = new Video({
+        videoId: 'v1',
+        userId: user._id,
+        s3Key: 'videos/v1.mp4',
+        mediaInfo: { duration: 60 },
+        ...fields
+      });
+      saved = [];
+      mock.method(video, 'save', async () => {
+        saved.push(video.status);
+        return video;
+      });
+      mock.method(Video, 'findOne', async (filter) => {
+        const trashed = video.deletedAt !== null;
+        return filter.videoId === video.videoId && trashed === (filter.deletedAt !== null) ? video : null;
+      });
+      mock.method(Video, 'updateOne', async (filter, update) => {
+        video.set(update);
+        return { modifiedCount: 1 };
+      });
+      mock.method(quotaManager, 'checkEncode', async () => null);
+    };
+
+    it('starts a new encode for a video restored after its encode was cancelled', async () => {
+      stubVideo({ status: 'cancelled', deletedAt: new Date(), purgeAt: new Date() });
+      const started = [];
+      mock.method(backgroundProcessor, 'retryJob', async () => null);
+      mock.method(backgroundProcessor, 'startEncodingJob', async (videoId, s3Key, options) => {
+        started.push([videoId, s3Key, options.clip]);
+        return { success: true };
+      });
+      mock.method(backgroundProcessor, 'getJobStatus', async () => ({ jobId: 'job-2', state: 'queued', queuePosition: 1 }));
+
+      assert.equal((await request('POST', '/retry/v1')).status, 404);
+
+      const restored = await request('POST', '/videos/v1/restore');
+      assert.equal(restored.status, 200);
+      assert.equal(restored.body.status, 'cancelled');
+
+      const retried = await request('POST', '/retry/v1');
+      assert.equal(retried.status, 200);
+      assert.equal(retried.body.message, 'Video encoding restarted');
+      assert.equal(retried.body.jobId, 'job-2');
+      assert.deepEqual(started, [['v1', 'videos/v1.mp4', null]]);
+      assert.deepEqual(saved, ['processing']);
+    });
+
+    it('leaves the video as it was when the job cannot be queued', async () => {
+      stubVideo({ status: 'failed', error: 'ffmpeg exited with code 1' });
+      mock.method(backgroundProcessor, 'retryJob', async () => {
+        throw Object.assign(new Error('Video encoding job already in progress'), { code: 'JOB_IN_PROGRESS' });
+      });
+
+      const response = await request('POST', '/retry/v1');
+
+      assert.equal(response.status, 409);
+      assert.deepEqual(saved, []);
+      assert.equal(video.status, 'failed');
+      assert.equal(video.error, 'ffmpeg exited with code 1');
+    });
+
+    it('refuses videos that are neither failed nor cancelled', async () => {
+      stubVideo({ status: 'completed' });
+
+      const response = await request('POST', '/retry/v1');
+
+      assert.equal(response.status, 409);
+      assert.equal(response.body.error, 'Only failed or cancelled videos can be retried (current status: completed)');
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { describe, it, before, after, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+
+const storageRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'background-processor-'));
+process.env.STORAGE_DRIVER = 'local';
+process.env.LOCAL_STORAGE_PATH = storageRoot;
+process.env.STORAGE_SIGNING_SECRET = 'test-secret';
+
+const Video = require('../../models/Video');
+const EncodingJob = require('../../models/EncodingJob');
+const storage = require('../../services/storage');
+const videoProcessor = require('../../services/videoProcessor');
+const cloudWatchLogger = require('../../services/cloudWatchLogger');
+const backgroundProcessor = require('../../services/backgroundProcessor');
+
+// A running job whose abort signal carries the given reason code
+const abortedRuntime = (code) => {
+  const abortController = new AbortController();
+  const reason = new Error('stopped');
+  reason.code = code;
+  abortController.abort(reason);
+  return { jobId: 'job-1', abortController, eta: 120 };
+};
+
+const putAll = keys => Promise.all(keys.map(key => storage.put(key, Buffer.from(key))));
+const listKeys = async prefix => (await storage.list(prefix)).map(object => object.key).sort();
+
+describe('backgroundProcessor', () => {
+  before(() => fs.ensureDir(storageRoot));
+  after(() => fs.remove(storageRoot));
+  afterEach(async () => {
+    mock.restoreAll();
+    await storage.deletePrefix('hls/');
+  });
+
+  describe('handleAbortedJob', () => {
+    const captions = [
+      'hls/v1/captions/en/captions.vtt',
+      'hls/v1/captions/en/playlist.m3u8',
+      'hls/v1/captions/en/segment_000.vtt'
+    ];
+    const poster = 'hls/v1/posters/poster_42500.jpg';
+    const output = [
+      'hls/v1/master.m3u8',
+      'hls/v1/360p/playlist.m3u8',
+      'hls/v1/360p/segment_000.ts',
+      'hls/v1/thumbnails/poster.jpg'
+    ];
+
+    const stubJobUpdates = () => {
+      const finished = [];
+      const videoUpdates = [];
+      mock.method(videoProcessor, 'cleanup', async () => {});
+      mock.method(cloudWatchLogger, 'logProgress', async () => {});
+      mock.method(backgroundProcessor, 'finishJob', async (runtime, state) => finished.push(state));
+      mock.method(Video, 'findOneAndUpdate', async (filter, update) => videoUpdates.push(update));
+      return { finished, videoUpdates };
+    };
+
+    it('removes the output of a cancelled captioned video and keeps its captions and poster', async () => {
+      await putAll([...captions, poster, ...output, 'hls/v10/master.m3u8']);
+      const { finished, videoUpdates } = stubJobUpdates();
+
+      await backgroundProcessor.handleAbortedJob('v1', abortedRuntime('JOB_CANCELLED'), '/tmp/in.mp4', '/tmp/out');
+
+      assert.deepEqual(await listKeys('hls/v1/'), [...captions, poster]);
+      assert.deepEqual(await listKeys('hls/v10/'), ['hls/v10/master.m3u8']);
+      assert.deepEqual(finished, ['cancelled']);
+      assert.equal(videoUpdates[0].status, 'cancelled');
+    });
+
+    it('leaves the output alone when the lease was lost', async () => {
+      await putAll([...captions, ...output]);
+      const { finished } = stubJobUpdates();
+
+      await backgroundProcessor.handleAbortedJob('v1', abortedRuntime('LEASE_LOST'), '/tmp/in.mp4', '/tmp/out');
+
+      assert.deepEqual(await listKeys('hls/v1/'), [...captions, ...output].sort());
+      assert.deepEqual(finished, []);
+    });
+  });
+
+  describe('getJobStatuses', () => {
+    const job = (videoId, state, createdAt) => new EncodingJob({ videoId, state, createdAt, s3Key: `videos/${videoId}.mp4` });
+
+    it('formats the latest job of each video against one queue order', async () => {
+      const queuedA = job('a', 'queued', new Date(3000));
+      const queuedB = job('b', 'queued', new Date(2000));
+      const jobs = [queuedA, queuedB, job('c', 'running', new Date(1500)), job('a', 'failed', new Date(1000))];
+      const queries = [];
+      mock.method(EncodingJob, 'find', (filter) => {
+        queries.push(filter);
+        return { sort: async () => jobs };
+      });
+      const getQueueOrder = mock.method(backgroundProcessor, 'getQueueOrder', async () => [queuedB, queuedA]);
+
+      const statuses = await backgroundProcessor.getJobStatuses(['a', 'b', 'c', 'd']);
+
+      assert.deepEqual(queries, [{ videoId: { $in: ['a', 'b', 'c', 'd'] } }]);
+      assert.equal(getQueueOrder.mock.callCount(), 1);
+      assert.deepEqual([...statuses.keys()], ['a', 'b', 'c']);
+      assert.equal(statuses.get('a').state, 'queued');
+      assert.equal(statuses.get('a').queuePosition, 2);
+      assert.equal(statuses.get('b').queuePosition, 1);
+      assert.equal(statuses.get('c').status, 'processing');
+      assert.equal(statuses.get('c').queuePosition, null);
+    });
+
+    it('skips the queue order when nothing is queued', async () => {
+      mock.method(EncodingJob, 'find', () => ({ sort: async () => [job('c', 'running', new Date())] }));
+      const getQueueOrder = mock.method(backgroundProcessor, 'getQueueOrder', async () => []);
+
+      await backgroundProcessor.getJobStatuses(['c']);
+
+      assert.equal(getQueueOrder.mock.callCount(), 0);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.QUOTA_STORAGE_GB = '1';
+process.env.QUOTA_ENCODE_MINUTES = '60';
+
+const User = require('../../models/User');
+const Video = require('../../models/Video');
+const UploadSession = require('../../models/UploadSession');
+const quotaManager = require('../../services/quotaManager');
+
+const GB = 1024 * 1024 * 1024;
+const MB = 1024 * 1024;
+const period = new Date().toISOString().slice(0, 7);
+
+// Stub the queries behind getUsage: stored totals, unfinished uploads, this month's encodes and running encodes
+const stubUsage = ({ sources = 0, outputs = 0, pendingUploads = 0, encodedSeconds = 0, processing = [] } = {}) => {
+  mock.method(Video, 'aggregate', async () => [{ count: 1, sources, outputs }]);
+  mock.method(UploadSession, 'aggregate', async () => (pendingUploads ? [{ bytes: pendingUploads }] : []));
+  mock.method(User, 'findById', () => ({ select: async () => ({ encodeUsage: { period, seconds: encodedSeconds } }) }));
+  mock.method(Video, 'find', () => ({ select: async () => processing }));
+};
+
+const user = { _id: 'user-1' };
+
+describe('quotaManager', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('getLimits', () => {
+    it('uses the deployment defaults', () => {
+      assert.deepEqual(quotaManager.getLimits({}), { storageBytes: GB, encodeMinutes: 60 });
+    });
+
+    it('prefers the user quota, where 0 means unlimited', () => {
+      assert.deepEqual(quotaManager.getLimits({ quota: { storageBytes: 5 * GB, encodeMinutes: 0 } }), {
+        storageBytes: 5 * GB,
+        encodeMinutes: null
+      });
+      assert.deepEqual(quotaManager.getLimits({ quota: { storageBytes: null, encodeMinutes: 120 } }), {
+        storageBytes: GB,
+        encodeMinutes: 120
+      });
+    });
+  });
+
+  describe('getEncodeSeconds', () => {
+    it('counts the source duration, or the clip length for clips', () => {
+      assert.equal(quotaManager.getEncodeSeconds({ mediaInfo: { duration: 90 } }), 90);
+      assert.equal(quotaManager.getEncodeSeconds({
+        parentVideoId: 'parent',
+        mediaInfo: { duration: 90 },
+        clip: { segments: [{ start: 0, end: 10 }, { start: 30, end: 35.5 }] }
+      }), 15.5);
+      assert.equal(quotaManager.getEncodeSeconds({}), 0);
+    });
+  });
+
+  describe('getUsage', () => {
+    it('adds up storage and encode minutes against the limits', async () => {
+      stubUsage({
+        sources: 300 * MB,
+        outputs: 200 * MB,
+        pendingUploads: 100 * MB,
+        encodedSeconds: 1800,
+        processing: [{ mediaInfo: { duration: 600 } }]
+      });
+
+      const usage = await quotaManager.getUsage(user);
+
+      assert.equal(usage.storage.used, 600 * MB);
+      assert.equal(usage.storage.pendingUploads, 100 * MB);
+      assert.equal(usage.storage.remaining, GB - 600 * MB);
+      assert.equal(usage.encodeMinutes.used, 30);
+      assert.equal(usage.encodeMinutes.pending, 10);
+      assert.equal(usage.encodeMinutes.remaining, 20);
+      assert.equal(usage.encodeMinutes.period, period);
+    });
+
+    it('starts a new month at zero', async () => {
+      stubUsage();
+      mock.method(User, 'findById', () => ({ select: async () => ({ encodeUsage: { period: '2000-01', seconds: 3600 } }) }));
+
+      const usage = await quotaManager.getUsage(user);
+
+      assert.equal(usage.encodeMinutes.used, 0);
+      assert.equal(usage.encodeMinutes.remaining, 60);
+    });
+  });
+
+  describe('checkStorage', () => {
+    beforeEach(() => stubUsage({ sources: 900 * MB }));
+
+    it('allows uploads that fit', async () => {
+      assert.equal(await quotaManager.checkStorage(user, 100 * MB), null);
+    });
+
+    it('rejects uploads past the quota with the usage', async () => {
+      const exceeded = await quotaManager.checkStorage(user, 200 * MB);
+
+      assert.equal(exceeded.error, 'Storage quota exceeded');
+      assert.match(exceeded.message, /needs 200\.0MB, but only 124\.0MB of your 1\.00GB/);
+      assert.equal(exceeded.usage.storage.used, 900 * MB);
+    });
+
+    it('never checks unlimited users', async () => {
+      assert.equal(await quotaManager.checkStorage({ ...user, quota: { storageBytes: 0 } }, 10 * GB), null);
+    });
+  });
+
+  describe('checkEncode', () => {
+    it('allows encodes that fit in the minutes left', async () => {
+      stubUsage({ encodedSeconds: 1800, processing: [{ mediaInfo: { duration: 600 } }] });
+
+      assert.equal(await quotaManager.checkEncode(user, { status: 'uploaded', mediaInfo: { duration: 1200 } }), null);
+    });
+
+    it('holds running encodes against the quota', async () => {
+      stubUsage({ encodedSeconds: 1800, processing: [{ mediaInfo: { duration: 600 } }] });
+
+      const exceeded = await quotaManager.checkEncode(user, { status: 'uploaded', mediaInfo: { duration: 1260 } });
+
+      assert.equal(exceeded.error, 'Encode minutes quota exceeded');
+      assert.match(exceeded.message, /needs 21 minutes, but only 20 of your 60 monthly encode minutes are left/);
+    });
+
+    it('does not hold a video that is encoded again while processing twice', async () => {
+      const video = { status: 'processing', deletedAt: null, mediaInfo: { duration: 1800 } };
+      stubUsage({ encodedSeconds: 1200, processing: [video] });
+
+      assert.equal(await quotaManager.checkEncode(user, video), null);
+    });
+
+    it('blocks encodes once storage is full', async () => {
+      stubUsage({ sources: GB });
+
+      const exceeded = await quotaManager.checkEncode(user, { status: 'uploaded', mediaInfo: { duration: 60 } });
+
+      assert.equal(exceeded.error, 'Storage quota exceeded');
+    });
+  });
+
+  describe('recordEncode', () => {
+    it('adds to this month', async () => {
+      const updates = [];
+      mock.method(User, 'updateOne', async (filter, update) => {
+        updates.push([filter, update]);
+        return { matchedCount: 1 };
+      });
+
+      await quotaManager.recordEncode('user-1', 90);
+
+      assert.deepEqual(updates, [[
+        { _id: 'user-1', 'encodeUsage.period': period },
+        { $inc: { 'encodeUsage.seconds': 90 } }
+      ]]);
+    });
+
+    it('starts the count of a new month', async () => {
+      const updates = [];
+      mock.method(User, 'updateOne', async (filter, update) => {
+        updates.push([filter, update]);
+        return { matchedCount: updates.length === 2 ? 1 : 0 };
+      });
+
+      await quotaManager.recordEncode('user-1', 90);
+
+      assert.equal(updates.length, 2);
+      assert.deepEqual(updates[1], [
+        { _id: 'user-1', 'encodeUsage.period': { $ne: period } },
+        { encodeUsage: { period, seconds: 90 } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const storage = require('../../services/storage');
+const uploadManager = require('../../services/uploadManager');
+
+const session = {
+  _id: 'session-1',
+  uploadId: 'upload-1',
+  s3Key: 'videos/upload-1.mp4',
+  storageUploadId: 'storage-upload-1',
+  length: 10 * 1024 * 1024,
+  mimetype: 'video/mp4',
+  partCount: 2,
+  autoEncode: false
+};
+const parts = [{ partNumber: 2, etag: '"b"' }, { partNumber: 1, etag: '"a"' }];
+
+describe('uploadManager', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('completeMultipartUpload', () => {
+    // Storage where the object appears once the multipart upload is completed
+    const stubStorage = () => {
+      let stored = null;
+      const completed = [];
+      mock.method(storage, 'head', async () => stored);
+      mock.method(storage, 'completeMultipartUpload', async (key, storageUploadId, ordered) => {
+        completed.push(ordered.map(part => part.partNumber));
+        stored = { size: session.length, contentType: session.mimetype };
+      });
+      mock.method(storage, 'getInputUrl', async key => `https://storage.example.com/${key}`);
+      return completed;
+    };
+
+    it('assembles the parts in order and creates the video', async () => {
+      const completed = stubStorage();
+      mock.method(uploadManager, 'createVideo', async () => ({ videoId: 'v1' }));
+
+      const video = await uploadManager.completeMultipartUpload({ ...session }, parts, {});
+
+      assert.equal(video.videoId, 'v1');
+      assert.deepEqual(completed, [[1, 2]]);
+      assert.equal(uploadManager.isBusy(session.uploadId), false);
+    });
+
+    it('does not complete the upload again when retried after creating the video failed', async () => {
+      const completed = stubStorage();
+      let attempts = 0;
+      mock.method(uploadManager, 'createVideo', async () => {
+        attempts++;
+        if (attempts === 1) {
+          throw new Error('Database unavailable');
+        }
+        return { videoId: 'v1' };
+      });
+
+      await assert.rejects(uploadManager.completeMultipartUpload({ ...session }, parts, {}), /Database unavailable/);
+      const video = await uploadManager.completeMultipartUpload({ ...session }, parts, {});
+
+      assert.equal(video.videoId, 'v1');
+      assert.deepEqual(completed, [[1, 2]]);
+    });
+
+    it('rejects missing parts before touching storage', async () => {
+      const completed = stubStorage();
+
+      await assert.rejects(
+        uploadManager.completeMultipartUpload({ ...session }, [parts[0]], {}),
+        { name: 'InvalidUpload', message: 'Part 1 is missing' }
+      );
+      assert.deepEqual(completed, []);
+    });
+  });
+});
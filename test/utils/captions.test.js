@@ -0,0 +1,139 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseCueTimestamp,
+  parseCaptions,
+  buildVtt,
+  segmentCaptions,
+  buildSubtitlePlaylist
+} = require('../../utils/captions');
+
+const SRT = [
+  '\uFEFF1',
+  '00:00:05,000 --> 00:00:07,500',
+  'Second line',
+  '',
+  '2',
+  '00:00:01,250 --> 00:00:03,000',
+  'First line',
+  'continues here',
+  '',
+  '3',
+  '00:00:09,000 --> 00:00:08,000',
+  'Ends before it starts',
+  ''
+].join('\r\n');
+
+const VTT = [
+  'WEBVTT - Talk',
+  '',
+  'NOTE written by hand',
+  '',
+  'STYLE',
+  '::cue { color: yellow }',
+  '',
+  'intro',
+  '01:02.5 --> 01:04.000 align:start position:10%',
+  '<v Ada>Hello',
+  ''
+].join('\n');
+
+describe('parseCueTimestamp', () => {
+  it('reads SRT and WebVTT timestamps, with or without hours', () => {
+    assert.equal(parseCueTimestamp('00:01:02,500'), 62.5);
+    assert.equal(parseCueTimestamp(' 01:02:03.004 '), 3723.004);
+    assert.equal(parseCueTimestamp('01:02.5'), 62.5);
+  });
+
+  it('rejects malformed timestamps', () => {
+    ['', '1:02', '00:01:02', '00:01:2,500', 'aa:bb.ccc'].forEach((value) => {
+      assert.equal(parseCueTimestamp(value), null, value);
+    });
+  });
+});
+
+describe('parseCaptions', () => {
+  it('converts SRT cues, sorted by start, dropping counters and invalid cues', () => {
+    assert.deepEqual(parseCaptions(SRT), [
+      { start: 1.25, end: 3, text: 'First line\ncontinues here' },
+      { start: 5, end: 7.5, text: 'Second line' }
+    ]);
+  });
+
+  it('reads WebVTT cues, dropping headers, notes, styles and cue settings', () => {
+    assert.deepEqual(parseCaptions(VTT), [{ start: 62.5, end: 64, text: '<v Ada>Hello' }]);
+  });
+
+  it('is empty for text without cues', () => {
+    assert.deepEqual(parseCaptions('WEBVTT\n\n'), []);
+    assert.deepEqual(parseCaptions('not captions at all'), []);
+  });
+});
+
+describe('buildVtt', () => {
+  it('writes a WebVTT document that parses back to the same cues', () => {
+    const cues = parseCaptions(SRT);
+    const vtt = buildVtt(cues, ['X-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000']);
+
+    assert.ok(vtt.startsWith('WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000\n\n00:00:01.250 --> 00:00:03.000\nFirst line\ncontinues here\n'));
+    assert.deepEqual(parseCaptions(vtt), cues);
+  });
+});
+
+describe('segmentCaptions', () => {
+  const cues = [
+    { start: 1, end: 2, text: 'one' },
+    { start: 5, end: 8, text: 'across' },
+    { start: 13, end: 14, text: 'three' }
+  ];
+
+  it('repeats cues in every segment they overlap', () => {
+    const segments = segmentCaptions(cues, { segmentDuration: 6, duration: 15 });
+
+    assert.deepEqual(segments.map(segment => segment.duration), [6, 6, 3]);
+    assert.deepEqual(segments.map(segment => parseCaptions(segment.content).map(cue => cue.text)), [
+      ['one', 'across'],
+      ['across'],
+      ['three']
+    ]);
+  });
+
+  it('aligns cues with the MPEG-TS or fMP4 timeline of the video', () => {
+    const [ts] = segmentCaptions(cues, { segmentDuration: 6, duration: 15 });
+    const [fmp4] = segmentCaptions(cues, { segmentDuration: 6, duration: 15, segmentFormat: 'fmp4' });
+
+    assert.match(ts.content, /^WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:126000,LOCAL:00:00:00.000\n/);
+    assert.match(fmp4.content, /^WEBVTT\nX-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000\n/);
+  });
+
+  it('runs to the last cue without a duration, and always has a segment', () => {
+    assert.deepEqual(segmentCaptions(cues, { segmentDuration: 6 }).map(segment => segment.duration), [6, 6, 2]);
+    assert.equal(segmentCaptions([], { segmentDuration: 6 }).length, 1);
+  });
+});
+
+describe('buildSubtitlePlaylist', () => {
+  it('lists the segments of a VOD subtitle playlist', () => {
+    const playlist = buildSubtitlePlaylist([{ duration: 6 }, { duration: 6 }, { duration: 2.5 }]);
+
+    assert.equal(playlist, [
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      '#EXT-X-TARGETDURATION:6',
+      '#EXT-X-MEDIA-SEQUENCE:0',
+      '#EXT-X-PLAYLIST-TYPE:VOD',
+      '#EXTINF:6.000,',
+      'segment_000.vtt',
+      '#EXTINF:6.000,',
+      'segment_001.vtt',
+      '#EXTINF:2.500,',
+      'segment_002.vtt',
+      '#EXT-X-ENDLIST',
+      ''
+    ].join('\n'));
+  });
+
+  it('rounds the target duration up', () => {
+    assert.match(buildSubtitlePlaylist([{ duration: 6.2 }]), /#EXT-X-TARGETDURATION:7\n/);
+  });
+});
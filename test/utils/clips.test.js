@@ -0,0 +1,65 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_CLIP_SEGMENTS, parseClipSegments, getClipDuration, getStreamCopyOptions } = require('../../utils/clips');
+
+describe('parseClipSegments', () => {
+  it('accepts a single start and end pair', () => {
+    assert.deepEqual(parseClipSegments({ start: 10, end: 25.5 }, 60), { segments: [{ start: 10, end: 25.5 }] });
+  });
+
+  it('keeps segments in the given order, rounded to milliseconds', () => {
+    assert.deepEqual(parseClipSegments({
+      segments: [{ start: '30', end: 40.00049 }, { start: 1.23456, end: 5 }]
+    }, 60), {
+      segments: [{ start: 30, end: 40 }, { start: 1.235, end: 5 }]
+    });
+  });
+
+  it('clamps an end within a millisecond past the duration', () => {
+    assert.deepEqual(parseClipSegments({ start: 50, end: 60.0005 }, 60), { segments: [{ start: 50, end: 60 }] });
+  });
+
+  it('allows any end when the duration is unknown', () => {
+    assert.deepEqual(parseClipSegments({ start: 0, end: 5000 }, null), { segments: [{ start: 0, end: 5000 }] });
+  });
+
+  it('rejects missing, negative, too short and out of range segments', () => {
+    assert.equal(parseClipSegments({}, 60).error, 'start and end must be non-negative numbers of seconds');
+    assert.equal(parseClipSegments({ start: -1, end: 5 }, 60).error, 'start and end must be non-negative numbers of seconds');
+    assert.equal(parseClipSegments({ start: 5, end: 5.05 }, 60).error, 'end must be at least 0.1s after start');
+    assert.equal(parseClipSegments({ start: 50, end: 61 }, 60).error, 'end is past the end of the video (60s)');
+  });
+
+  it('names the failing segment of a multi-segment clip', () => {
+    const { error } = parseClipSegments({ segments: [{ start: 0, end: 5 }, { start: 8, end: 4 }] }, 60);
+
+    assert.equal(error, 'Segment 1: end must be at least 0.1s after start');
+  });
+
+  it('rejects empty and oversized segment lists', () => {
+    assert.equal(parseClipSegments({ segments: [] }, 60).error, 'Provide start and end, or a non-empty segments array');
+    assert.equal(parseClipSegments({ segments: 'all' }, 60).error, 'Provide start and end, or a non-empty segments array');
+
+    const segments = Array.from({ length: MAX_CLIP_SEGMENTS + 1 }, (_, i) => ({ start: i, end: i + 1 }));
+    assert.equal(parseClipSegments({ segments }, 60).error, `A clip can have at most ${MAX_CLIP_SEGMENTS} segments`);
+  });
+});
+
+describe('getClipDuration', () => {
+  it('adds up the segment lengths', () => {
+    assert.equal(getClipDuration([{ start: 0.1, end: 0.3 }, { start: 10, end: 12.5 }]), 2.7);
+    assert.equal(getClipDuration([]), 0);
+  });
+});
+
+describe('getStreamCopyOptions', () => {
+  it('copies the first video stream and every audio stream for the segment length', () => {
+    assert.deepEqual(getStreamCopyOptions({ start: 30.1, end: 40 }), [
+      '-t 9.9',
+      '-map 0:v:0',
+      '-map 0:a?',
+      '-c copy',
+      '-avoid_negative_ts make_zero'
+    ]);
+  });
+});
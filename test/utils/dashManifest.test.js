@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toIsoDuration, escapeXml, buildSegmentTimeline, buildDashManifest } = require('../../utils/dashManifest');
+
+const variant = (name, bandwidth, width, height, segmentDurations = [6, 6, 2.5]) => ({
+  name,
+  bandwidth,
+  codecs: 'avc1.64001F',
+  width,
+  height,
+  frameRate: 29.97,
+  segmentDurations
+});
+
+describe('toIsoDuration', () => {
+  it('writes seconds with millisecond precision', () => {
+    assert.equal(toIsoDuration(62.5), 'PT62.500S');
+    assert.equal(toIsoDuration(6), 'PT6.000S');
+    assert.equal(toIsoDuration(1.23456), 'PT1.235S');
+  });
+});
+
+describe('escapeXml', () => {
+  it('escapes attribute delimiters and markup', () => {
+    assert.equal(escapeXml('Tom & "Jerry" <en>'), 'Tom &amp; &quot;Jerry&quot; &lt;en&gt;');
+    assert.equal(escapeXml(42), '42');
+  });
+});
+
+describe('buildSegmentTimeline', () => {
+  it('collapses runs of equal segments with a repeat count', () => {
+    assert.deepEqual(buildSegmentTimeline([6, 6, 6, 2.5]), [
+      { t: 0, d: 6000, r: 2 },
+      { t: 18000, d: 2500, r: 0 }
+    ]);
+  });
+
+  it('rounds cumulative boundaries so durations never drift', () => {
+    // Summing rounded durations would end at 3000; the media ends at 3001.2ms
+    assert.deepEqual(buildSegmentTimeline([1.0004, 1.0004, 1.0004]), [
+      { t: 0, d: 1000, r: 0 },
+      { t: 1000, d: 1001, r: 0 },
+      { t: 2001, d: 1000, r: 0 }
+    ]);
+  });
+
+  it('is empty without segments', () => {
+    assert.deepEqual(buildSegmentTimeline([]), []);
+  });
+});
+
+describe('buildDashManifest', () => {
+  it('lists video representations by bandwidth in one adaptation set', () => {
+    const mpd = buildDashManifest([
+      variant('720p', 3000000, 1280, 720),
+      variant('360p', 900000, 640, 360)
+    ]);
+
+    assert.match(mpd, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<MPD /);
+    assert.match(mpd, /type="static" mediaPresentationDuration="PT14.500S" minBufferTime="PT6.000S"/);
+    assert.match(mpd, /<AdaptationSet id="0" contentType="video" mimeType="video\/mp4" segmentAlignment="true" startWithSAP="1" maxWidth="1280" maxHeight="720">/);
+    assert.ok(mpd.indexOf('id="360p"') < mpd.indexOf('id="720p"'));
+    assert.match(mpd, /<Representation id="360p" bandwidth="900000" codecs="avc1.64001F" width="640" height="360" frameRate="29970\/1000" sar="1:1">/);
+    assert.match(mpd, /<SegmentTemplate timescale="1000" startNumber="0" initialization="360p\/init.mp4" media="360p\/segment_\$Number%03d\$.m4s">/);
+    assert.match(mpd, /<S t="0" d="6000" r="1"\/>\n {12}<S t="12000" d="2500"\/>/);
+    assert.ok(mpd.endsWith('</MPD>\n'));
+  });
+
+  it('gives each audio rendition and subtitle track its own adaptation set', () => {
+    const mpd = buildDashManifest([variant('360p', 900000, 640, 360)], {
+      audio: [
+        { name: 'audio_0', bandwidth: 130000, codecs: 'mp4a.40.2', language: 'en', label: 'English', channels: 2, isDefault: true, segmentDurations: [6, 6, 3] },
+        { name: 'audio_1', bandwidth: 66000, codecs: 'mp4a.40.2', language: 'fr', label: 'Fran & co', isDefault: false, segmentDurations: [6, 6, 2.5] }
+      ],
+      subtitles: [{ id: 'en', language: 'en', label: 'English', uri: 'captions/en/captions.vtt' }],
+      segmentDuration: 4,
+      initSegment: 'init.m4s',
+      mediaTemplate: 'chunk_$Number$.m4s'
+    });
+
+    assert.match(mpd, /mediaPresentationDuration="PT15.000S" minBufferTime="PT4.000S"/);
+    assert.match(mpd, /<AdaptationSet id="1" contentType="audio" mimeType="audio\/mp4" lang="en" segmentAlignment="true" startWithSAP="1">\n {6}<Label>English<\/Label>\n {6}<Role schemeIdUri="urn:mpeg:dash:role:2011" value="main"\/>/);
+    assert.match(mpd, /<AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="2"\/>/);
+    assert.match(mpd, /<AdaptationSet id="2" contentType="audio"[^>]*lang="fr"[^>]*>\n {6}<Label>Fran &amp; co<\/Label>\n {6}<Role [^>]*value="alternate"\/>\n {6}<Representation id="audio_1" bandwidth="66000" codecs="mp4a.40.2">\n {8}<SegmentTemplate/);
+    assert.match(mpd, /initialization="audio_0\/init.m4s" media="audio_0\/chunk_\$Number\$.m4s"/);
+    assert.match(mpd, /<AdaptationSet id="3" contentType="text" mimeType="text\/vtt" lang="en">/);
+    assert.match(mpd, /<Representation id="captions_en" bandwidth="256">\n {8}<BaseURL>captions\/en\/captions.vtt<\/BaseURL>/);
+  });
+});
@@ -0,0 +1,254 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseAttributes,
+  parseMediaPlaylist,
+  getVariantBandwidth,
+  getCodecString,
+  buildMasterPlaylist,
+  validateMediaPlaylist,
+  validateMasterPlaylist,
+  verifySegmentAlignment,
+  setKeyUri,
+  rewritePlaylistUris
+} = require('../../utils/hlsPlaylist');
+
+const MEDIA_PLAYLIST = [
+  '#EXTM3U',
+  '#EXT-X-VERSION:6',
+  '#EXT-X-TARGETDURATION:6',
+  '#EXT-X-INDEPENDENT-SEGMENTS',
+  '#EXT-X-MAP:URI="init.mp4"',
+  '#EXT-X-KEY:METHOD=AES-128,URI="/tmp/work/encryption/key.bin",IV=0x0123',
+  '#EXTINF:6.000000,',
+  'segment_000.m4s',
+  '#EXTINF:3.500000,',
+  'segment_001.m4s',
+  '#EXT-X-ENDLIST',
+  ''
+].join('\n');
+
+const variant = (name, bandwidth, width, height) => ({
+  uri: `${name}/playlist.m3u8`,
+  bandwidth,
+  averageBandwidth: Math.round(bandwidth * 0.8),
+  width,
+  height,
+  frameRate: 30,
+  codecs: 'avc1.64001F'
+});
+
+describe('parseAttributes', () => {
+  it('reads plain and quoted values, commas included', () => {
+    assert.deepEqual(parseAttributes('BANDWIDTH=800000,CODECS="avc1.64001F,mp4a.40.2",RESOLUTION=640x360'), {
+      BANDWIDTH: '800000',
+      CODECS: 'avc1.64001F,mp4a.40.2',
+      RESOLUTION: '640x360'
+    });
+  });
+});
+
+describe('parseMediaPlaylist', () => {
+  it('reads the header tags and segments', () => {
+    const playlist = parseMediaPlaylist(MEDIA_PLAYLIST);
+
+    assert.equal(playlist.version, 6);
+    assert.equal(playlist.targetDuration, 6);
+    assert.equal(playlist.map, 'init.mp4');
+    assert.equal(playlist.key.METHOD, 'AES-128');
+    assert.equal(playlist.endList, true);
+    assert.deepEqual(playlist.segments, [
+      { duration: 6, uri: 'segment_000.m4s' },
+      { duration: 3.5, uri: 'segment_001.m4s' }
+    ]);
+    assert.deepEqual(playlist.tags, ['#EXTM3U', '#EXT-X-INDEPENDENT-SEGMENTS']);
+  });
+});
+
+describe('validateMediaPlaylist', () => {
+  it('accepts a complete VOD playlist', () => {
+    assert.deepEqual(validateMediaPlaylist(parseMediaPlaylist(MEDIA_PLAYLIST)), []);
+  });
+
+  it('reports missing tags, fMP4 without an init segment and long segments', () => {
+    const errors = validateMediaPlaylist(parseMediaPlaylist([
+      '#EXTM3U',
+      '#EXT-X-TARGETDURATION:4',
+      '#EXTINF:6.0,',
+      'segment_000.m4s'
+    ].join('\n')));
+
+    assert.deepEqual(errors, [
+      'VOD playlist is missing EXT-X-ENDLIST',
+      'fMP4 segments require an EXT-X-MAP init segment',
+      'Segment 0 (6s) exceeds EXT-X-TARGETDURATION 4'
+    ]);
+  });
+
+  it('requires version 6 for EXT-X-MAP and a URI for encryption keys', () => {
+    const errors = validateMediaPlaylist(parseMediaPlaylist(MEDIA_PLAYLIST
+      .replace('#EXT-X-VERSION:6', '#EXT-X-VERSION:3')
+      .replace(',URI="/tmp/work/encryption/key.bin"', '')));
+
+    assert.deepEqual(errors, [
+      'EXT-X-MAP requires EXT-X-VERSION 6 or later',
+      'EXT-X-KEY with METHOD=AES-128 requires a URI'
+    ]);
+  });
+
+  it('reports playlists without segments or target duration', () => {
+    assert.deepEqual(validateMediaPlaylist(parseMediaPlaylist('#EXTM3U\n#EXT-X-ENDLIST\n')), [
+      'Missing EXT-X-TARGETDURATION',
+      'Playlist has no segments'
+    ]);
+  });
+});
+
+describe('getVariantBandwidth', () => {
+  it('measures the peak segment bit rate and the average bit rate', () => {
+    assert.deepEqual(getVariantBandwidth([
+      { duration: 6, size: 600000 },
+      { duration: 2, size: 400000 }
+    ]), { peakBandwidth: 1600000, averageBandwidth: 1000000 });
+  });
+
+  it('is zero without segments', () => {
+    assert.deepEqual(getVariantBandwidth([]), { peakBandwidth: 0, averageBandwidth: 0 });
+  });
+});
+
+describe('getCodecString', () => {
+  it('builds RFC 6381 strings from ffprobe streams', () => {
+    assert.equal(getCodecString({ codec_name: 'h264', profile: 'High', level: 31 }), 'avc1.64001F');
+    assert.equal(getCodecString({ codec_name: 'h264', profile: 'Constrained Baseline', level: 30 }), 'avc1.42E01E');
+    assert.equal(getCodecString({ codec_name: 'aac', profile: 'LC' }), 'mp4a.40.2');
+    assert.equal(getCodecString({ codec_name: 'aac', profile: 'HE-AAC' }), 'mp4a.40.5');
+  });
+
+  it('returns null for unknown codecs', () => {
+    assert.equal(getCodecString({ codec_name: 'vp9' }), null);
+    assert.equal(getCodecString(null), null);
+  });
+});
+
+describe('buildMasterPlaylist', () => {
+  it('lists variants sorted by bandwidth and passes validation', () => {
+    const content = buildMasterPlaylist([
+      variant('720p', 3000000, 1280, 720),
+      variant('360p', 900000, 640, 360)
+    ], { independentSegments: true });
+
+    assert.deepEqual(validateMasterPlaylist(content), []);
+    assert.deepEqual(content.split('\n').filter(line => line && !line.startsWith('#')), [
+      '360p/playlist.m3u8',
+      '720p/playlist.m3u8'
+    ]);
+    assert.match(content, /#EXT-X-STREAM-INF:BANDWIDTH=900000,AVERAGE-BANDWIDTH=720000,CODECS="avc1.64001F",RESOLUTION=640x360,FRAME-RATE=30.000/);
+  });
+
+  it('adds the largest audio rendition to every variant and an audio-only variant', () => {
+    const content = buildMasterPlaylist([variant('360p', 900000, 640, 360)], {
+      audio: [
+        { uri: 'audio_0/playlist.m3u8', language: 'en', label: 'English', channels: 2, isDefault: true, bandwidth: 130000, averageBandwidth: 128000, codecs: 'mp4a.40.2' },
+        { uri: 'audio_1/playlist.m3u8', language: 'fr', label: 'French', channels: 1, isDefault: false, bandwidth: 66000, averageBandwidth: 64000, codecs: 'mp4a.40.2' }
+      ],
+      subtitles: [{ uri: 'captions/en/playlist.m3u8', language: 'en', label: 'English', isDefault: false }]
+    });
+
+    assert.deepEqual(validateMasterPlaylist(content), []);
+    assert.match(content, /#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",LANGUAGE="en",NAME="English",DEFAULT=YES,AUTOSELECT=YES,CHANNELS="2",URI="audio_0\/playlist.m3u8"/);
+    assert.match(content, /#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="subs"/);
+    assert.match(content, /#EXT-X-STREAM-INF:BANDWIDTH=130000,AVERAGE-BANDWIDTH=128000,CODECS="mp4a.40.2",AUDIO="audio",SUBTITLES="subs"\naudio_0\/playlist.m3u8/);
+    assert.match(content, /BANDWIDTH=1030000,AVERAGE-BANDWIDTH=848000,CODECS="avc1.64001F,mp4a.40.2"/);
+  });
+
+  it('strips quotes from rendition names', () => {
+    const content = buildMasterPlaylist([variant('360p', 900000, 640, 360)], {
+      audio: [{ uri: 'audio_0/playlist.m3u8', language: 'en', label: 'The "Director"', isDefault: true, bandwidth: 1, codecs: 'mp4a.40.2' }]
+    });
+
+    assert.match(content, /NAME="The Director"/);
+    assert.deepEqual(validateMasterPlaylist(content), []);
+  });
+});
+
+describe('validateMasterPlaylist', () => {
+  it('reports the problems an HLS validator would', () => {
+    const errors = validateMasterPlaylist([
+      '#EXT-X-VERSION:3',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",URI="a/playlist.m3u8"',
+      '#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="English",URI="b/playlist.m3u8"',
+      '#EXT-X-STREAM-INF:BANDWIDTH=900000,AVERAGE-BANDWIDTH=950000,RESOLUTION=640,AUDIO="aac"',
+      '360p/playlist.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=500000,CODECS="avc1.64001F",FRAME-RATE=29.9701',
+      '360p/playlist.m3u8'
+    ].join('\n'));
+
+    assert.deepEqual(errors, [
+      'Playlist must start with #EXTM3U',
+      'Rendition NAME "English" is listed twice in group audio',
+      'Variant 1 has AVERAGE-BANDWIDTH above BANDWIDTH',
+      'Variant 1 is missing CODECS',
+      'Variant 1 has an invalid RESOLUTION',
+      'Variant 1 references unknown AUDIO group aac',
+      'Variant 2 has an invalid FRAME-RATE',
+      'Variant URI 360p/playlist.m3u8 is listed twice',
+      'Variants are not sorted by BANDWIDTH'
+    ]);
+  });
+
+  it('requires variants', () => {
+    assert.deepEqual(validateMasterPlaylist('#EXTM3U\n#EXT-X-VERSION:3\n'), ['Master playlist has no variants']);
+  });
+});
+
+describe('verifySegmentAlignment', () => {
+  it('accepts boundaries within one frame of each other', () => {
+    assert.deepEqual(verifySegmentAlignment([
+      { name: '360p', frameRate: 30, segmentDurations: [6, 6, 2] },
+      { name: '720p', frameRate: 30, segmentDurations: [6.02, 5.99, 2] },
+      { name: 'legacy' }
+    ]), []);
+  });
+
+  it('reports differing segment counts and drifting boundaries', () => {
+    assert.deepEqual(verifySegmentAlignment([
+      { name: '360p', frameRate: 30, segmentDurations: [6, 6, 2] },
+      { name: '480p', frameRate: 30, segmentDurations: [6, 8] },
+      { name: '720p', frameRate: 30, segmentDurations: [6, 6.5, 1.5] }
+    ]), [
+      '480p has 2 segments, 360p has 3',
+      '720p segment 1 ends at 12.500s, 360p at 12.000s'
+    ]);
+  });
+});
+
+describe('setKeyUri', () => {
+  it('points every EXT-X-KEY at the new URI and leaves other lines alone', () => {
+    const content = setKeyUri(MEDIA_PLAYLIST, 'key.bin');
+
+    assert.match(content, /#EXT-X-KEY:METHOD=AES-128,URI="key.bin",IV=0x0123/);
+    assert.doesNotMatch(content, /\/tmp\/work/);
+    assert.equal(content.replace('URI="key.bin"', 'URI="/tmp/work/encryption/key.bin"'), MEDIA_PLAYLIST);
+  });
+});
+
+describe('rewritePlaylistUris', () => {
+  it('rewrites URI lines and URI attributes, passing the tag name', async () => {
+    const seen = [];
+    const content = await rewritePlaylistUris(MEDIA_PLAYLIST, async (uri, tag) => {
+      seen.push([uri, tag]);
+      return `https://cdn.example.com/${uri}`;
+    });
+
+    assert.deepEqual(seen, [
+      ['init.mp4', 'EXT-X-MAP'],
+      ['/tmp/work/encryption/key.bin', 'EXT-X-KEY'],
+      ['segment_000.m4s', null],
+      ['segment_001.m4s', null]
+    ]);
+    assert.match(content, /#EXT-X-MAP:URI="https:\/\/cdn.example.com\/init.mp4"/);
+    assert.match(content, /\nhttps:\/\/cdn.example.com\/segment_001.m4s\n/);
+    assert.match(content, /#EXT-X-TARGETDURATION:6/);
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { orderQueuedJobs } = require('../../utils/jobQueue');
+
+// Jobs created a minute apart in the order given
+const jobs = specs => specs.map(([id, userId, priority], i) => ({
+  id,
+  userId,
+  priority,
+  createdAt: new Date(Date.UTC(2024, 0, 1, 0, i))
+}));
+const ids = ordered => ordered.map(job => job.id);
+
+describe('orderQueuedJobs', () => {
+  it('runs a single user\'s jobs by priority, then oldest first', () => {
+    const queued = jobs([['a', 'u1', 0], ['b', 'u1', 5], ['c', 'u1', 0], ['d', 'u1']]);
+
+    assert.deepEqual(ids(orderQueuedJobs(queued)), ['b', 'a', 'c', 'd']);
+  });
+
+  it('interleaves a batch with the jobs of other users', () => {
+    const queued = jobs([['a1', 'u1'], ['a2', 'u1'], ['a3', 'u1'], ['b1', 'u2'], ['c1', 'u3'], ['b2', 'u2']]);
+
+    assert.deepEqual(ids(orderQueuedJobs(queued)), ['a1', 'b1', 'c1', 'a2', 'b2', 'a3']);
+  });
+
+  it('counts running jobs as turns already taken', () => {
+    const queued = jobs([['a1', 'u1'], ['b1', 'u2'], ['a2', 'u1']]);
+    const runningByUser = new Map([['u1', 2]]);
+
+    assert.deepEqual(ids(orderQueuedJobs(queued, runningByUser)), ['b1', 'a1', 'a2']);
+  });
+
+  it('lets priority win within a turn, not across turns', () => {
+    const queued = jobs([['a1', 'u1', 0], ['a2', 'u1', 0], ['b1', 'u2', 10]]);
+
+    assert.deepEqual(ids(orderQueuedJobs(queued)), ['b1', 'a1', 'a2']);
+    assert.deepEqual(ids(orderQueuedJobs(queued, new Map([['u2', 1]]))), ['a1', 'b1', 'a2']);
+  });
+
+  it('matches user ids of any type by their string form', () => {
+    const userId = { toString: () => 'u1' };
+    const queued = jobs([['a1', userId], ['a2', 'u1'], ['b1', 'u2']]);
+
+    assert.deepEqual(ids(orderQueuedJobs(queued)), ['a1', 'b1', 'a2']);
+  });
+
+  it('leaves the input order alone', () => {
+    const queued = jobs([['a', 'u1', 0], ['b', 'u1', 5]]);
+
+    orderQueuedJobs(queued);
+
+    assert.deepEqual(ids(queued), ['a', 'b']);
+  });
+});
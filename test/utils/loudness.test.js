@@ -0,0 +1,97 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  getLoudnessTarget,
+  getLoudnormMeasureFilter,
+  parseLoudnormStats,
+  buildLoudnormFilter
+} = require('../../utils/loudness');
+
+// What ffmpeg prints after a measuring pass with print_format=json
+const loudnormOutput = stats => [
+  'size=N/A time=00:01:00.00 bitrate=N/A speed= 120x',
+  '[Parsed_loudnorm_0 @ 0x55d0c8a1b2c0] ',
+  '{',
+  `\t"input_i" : "${stats.input_i}",`,
+  `\t"input_tp" : "${stats.input_tp}",`,
+  '\t"input_lra" : "7.30",',
+  '\t"input_thresh" : "-27.93",',
+  '\t"output_i" : "-23.05",',
+  '\t"output_tp" : "-2.43",',
+  '\t"output_lra" : "6.80",',
+  '\t"output_thresh" : "-33.20",',
+  '\t"normalization_type" : "dynamic",',
+  `\t"target_offset" : "${stats.target_offset}"`,
+  '}',
+  ''
+].join('\n');
+
+describe('getLoudnessTarget', () => {
+  it('defaults to EBU R128', () => {
+    assert.deepEqual(getLoudnessTarget({}), { integrated: -23, truePeak: -1, range: 11 });
+  });
+
+  it('reads the target from the environment within sane bounds', () => {
+    assert.deepEqual(getLoudnessTarget({ LOUDNORM_TARGET_LUFS: '-16', LOUDNORM_TRUE_PEAK: '-1.5' }), {
+      integrated: -16,
+      truePeak: -1.5,
+      range: 11
+    });
+    assert.deepEqual(getLoudnessTarget({ LOUDNORM_TARGET_LUFS: '-3', LOUDNORM_TRUE_PEAK: '2' }), {
+      integrated: -23,
+      truePeak: -1,
+      range: 11
+    });
+    assert.equal(getLoudnessTarget({ LOUDNORM_TARGET_LUFS: 'loud' }).integrated, -23);
+  });
+});
+
+describe('getLoudnormMeasureFilter', () => {
+  it('measures against the target and prints JSON', () => {
+    assert.equal(
+      getLoudnormMeasureFilter({ integrated: -16, truePeak: -1.5, range: 11 }),
+      'loudnorm=I=-16:TP=-1.5:LRA=11:print_format=json'
+    );
+  });
+});
+
+describe('parseLoudnormStats', () => {
+  it('reads the measured input loudness and the suggested offset', () => {
+    const stderr = loudnormOutput({ input_i: '-18.42', input_tp: '-0.31', target_offset: '0.05' });
+
+    assert.deepEqual(parseLoudnormStats(stderr), {
+      integrated: -18.42,
+      truePeak: -0.31,
+      range: 7.3,
+      threshold: -27.93,
+      offset: 0.05
+    });
+  });
+
+  it('uses the last block when several streams were measured', () => {
+    const stderr = loudnormOutput({ input_i: '-30.00', input_tp: '-9.00', target_offset: '0.10' })
+      + loudnormOutput({ input_i: '-14.20', input_tp: '0.40', target_offset: '-0.20' });
+
+    assert.equal(parseLoudnormStats(stderr).integrated, -14.2);
+    assert.equal(parseLoudnormStats(stderr).offset, -0.2);
+  });
+
+  it('is null without statistics, for broken JSON and for silence', () => {
+    assert.equal(parseLoudnormStats(''), null);
+    assert.equal(parseLoudnormStats(undefined), null);
+    assert.equal(parseLoudnormStats('Conversion failed!'), null);
+    assert.equal(parseLoudnormStats('{ "input_i" : "-18.0", }'), null);
+    assert.equal(parseLoudnormStats(loudnormOutput({ input_i: '-inf', input_tp: '-inf', target_offset: 'inf' })), null);
+  });
+});
+
+describe('buildLoudnormFilter', () => {
+  it('applies the measured values in linear mode', () => {
+    const stats = parseLoudnormStats(loudnormOutput({ input_i: '-18.42', input_tp: '-0.31', target_offset: '0.05' }));
+
+    assert.equal(
+      buildLoudnormFilter({ integrated: -23, truePeak: -1, range: 11 }, stats),
+      'loudnorm=I=-23:TP=-1:LRA=11:measured_I=-18.42:measured_TP=-0.31:measured_LRA=7.3:measured_thresh=-27.93:offset=0.05:linear=true'
+    );
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  PHASES,
+  parseTimemark,
+  getTimemarkFraction,
+  getPhaseProgress,
+  getRenditionWeights,
+  estimateRemainingSeconds
+} = require('../../utils/progress');
+
+describe('parseTimemark', () => {
+  it('reads hours, minutes and seconds', () => {
+    assert.equal(parseTimemark('01:02:03.50'), 3723.5);
+    assert.equal(parseTimemark('00:00:07.25'), 7.25);
+  });
+
+  it('is 0 for missing or unparseable timemarks', () => {
+    [undefined, null, '', 'N/A', '00:xx:01', 42].forEach((timemark) => {
+      assert.equal(parseTimemark(timemark), 0, String(timemark));
+    });
+  });
+});
+
+describe('getTimemarkFraction', () => {
+  it('divides the timemark by the duration, clamped to 0-1', () => {
+    assert.equal(getTimemarkFraction('00:00:30.00', 120), 0.25);
+    assert.equal(getTimemarkFraction('00:02:30.00', 120), 1);
+  });
+
+  it('is 0 without a duration', () => {
+    assert.equal(getTimemarkFraction('00:00:30.00', 0), 0);
+    assert.equal(getTimemarkFraction('00:00:30.00', undefined), 0);
+  });
+});
+
+describe('getPhaseProgress', () => {
+  it('maps a fraction of a phase onto its range', () => {
+    assert.equal(getPhaseProgress('download', 0.5), 5);
+    assert.equal(getPhaseProgress('encode', 1 / 3), 40);
+    assert.equal(getPhaseProgress('publish', 1), 100);
+  });
+
+  it('clamps fractions outside 0-1', () => {
+    assert.equal(getPhaseProgress('encode', -1), PHASES.encode.start);
+    assert.equal(getPhaseProgress('encode', 2), PHASES.encode.end);
+  });
+
+  it('covers 0-100 with contiguous phases', () => {
+    const phases = Object.values(PHASES);
+    assert.equal(phases[0].start, 0);
+    assert.equal(phases[phases.length - 1].end, 100);
+    phases.slice(1).forEach((phase, i) => assert.equal(phase.start, phases[i].end));
+  });
+});
+
+describe('getRenditionWeights', () => {
+  it('weighs renditions by pixels per second', () => {
+    const weights = getRenditionWeights([
+      { width: 640, height: 360, frameRate: 30 },
+      { width: 1280, height: 720, frameRate: 30 },
+      { width: 1280, height: 720, frameRate: 60 }
+    ]);
+
+    assert.deepEqual(weights.map(weight => Math.round(weight * 13 * 1000) / 1000), [1, 4, 8]);
+  });
+
+  it('counts audio as a tiny video rendition and defaults to 30fps', () => {
+    const [video, audio] = getRenditionWeights([{ width: 640, height: 360 }, { type: 'audio' }]);
+
+    assert.equal(Math.round(video / audio * 100) / 100, 6.25);
+  });
+});
+
+describe('estimateRemainingSeconds', () => {
+  const startTime = new Date('2024-01-01T00:00:00Z');
+
+  it('extrapolates the elapsed time over the remaining progress', () => {
+    assert.equal(estimateRemainingSeconds(startTime, 25, new Date('2024-01-01T00:01:00Z')), 180);
+    assert.equal(estimateRemainingSeconds(startTime.toISOString(), 40, new Date('2024-01-01T00:02:00Z')), 180);
+  });
+
+  it('waits for 1% of progress and is 0 once done', () => {
+    const now = new Date('2024-01-01T00:01:00Z');
+    assert.equal(estimateRemainingSeconds(startTime, 0.5, now), null);
+    assert.equal(estimateRemainingSeconds(null, 50, now), null);
+    assert.equal(estimateRemainingSeconds(startTime, 100, now), 0);
+  });
+});
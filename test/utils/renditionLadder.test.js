@@ -0,0 +1,120 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildLadder, toLanguageTag, getLanguageName, buildAudioRenditions } = require('../../utils/renditionLadder');
+
+describe('buildLadder', () => {
+  it('keeps every rung up to the source height and never upscales', () => {
+    const ladder = buildLadder({ displayWidth: 1920, displayHeight: 1080, frameRate: 30 });
+
+    assert.deepEqual(ladder.map(rendition => rendition.name), ['240p', '360p', '480p', '720p', '1080p']);
+    assert.deepEqual(ladder.map(rendition => [rendition.width, rendition.height]), [
+      [426, 240], [640, 360], [854, 480], [1280, 720], [1920, 1080]
+    ]);
+  });
+
+  it('keeps portrait sources portrait', () => {
+    const ladder = buildLadder({ displayWidth: 720, displayHeight: 1280, frameRate: 30 });
+    const top = ladder[ladder.length - 1];
+
+    assert.equal(top.name, '720p');
+    assert.equal(top.width, 720);
+    assert.equal(top.height, 1280);
+  });
+
+  it('encodes sources below the lowest rung once at their own size', () => {
+    const ladder = buildLadder({ displayWidth: 320, displayHeight: 180, frameRate: 25 });
+
+    assert.equal(ladder.length, 1);
+    assert.equal(ladder[0].name, '180p');
+    assert.equal(ladder[0].width, 320);
+    assert.equal(ladder[0].height, 180);
+  });
+
+  it('rounds dimensions to even numbers', () => {
+    const ladder = buildLadder({ displayWidth: 1000, displayHeight: 750, frameRate: 30 });
+
+    ladder.forEach((rendition) => {
+      assert.equal(rendition.width % 2, 0);
+      assert.equal(rendition.height % 2, 0);
+    });
+  });
+
+  it('halves high frame rates below 720p and raises their bitrate from 720p up', () => {
+    const ladder = buildLadder({ displayWidth: 1280, displayHeight: 720, frameRate: 59.94 });
+    const byName = Object.fromEntries(ladder.map(rendition => [rendition.name, rendition]));
+
+    assert.equal(byName['480p'].frameRate, 29.97);
+    assert.equal(byName['480p'].videoBitrate, 1400);
+    assert.equal(byName['720p'].frameRate, 59.94);
+    assert.equal(byName['720p'].videoBitrate, 4200);
+    assert.equal(byName['720p'].maxBitrate, Math.round(4200 * 1.07));
+    assert.equal(byName['720p'].bufferSize, 8400);
+  });
+
+  it('caps the frame rate at 60 and keeps the source rate when unknown', () => {
+    assert.equal(buildLadder({ displayWidth: 1280, displayHeight: 720, frameRate: 120 })[3].frameRate, 60);
+    assert.equal(buildLadder({ displayWidth: 1280, displayHeight: 720, frameRate: null })[3].frameRate, null);
+  });
+
+  it('rejects sources without dimensions', () => {
+    assert.throws(() => buildLadder({ displayWidth: 0, displayHeight: 720 }), /without source dimensions/);
+    assert.throws(() => buildLadder(null), /without source dimensions/);
+  });
+});
+
+describe('toLanguageTag', () => {
+  it('normalizes ISO 639-2 tags to BCP 47', () => {
+    assert.equal(toLanguageTag('eng'), 'en');
+    assert.equal(toLanguageTag('fr'), 'fr');
+  });
+
+  it('falls back to und for missing or invalid tags', () => {
+    assert.equal(toLanguageTag(undefined), 'und');
+    assert.equal(toLanguageTag('not a language'), 'und');
+  });
+});
+
+describe('getLanguageName', () => {
+  it('names known languages and unknown ones', () => {
+    assert.equal(getLanguageName('en'), 'English');
+    assert.equal(getLanguageName('und'), 'Unknown');
+  });
+});
+
+describe('buildAudioRenditions', () => {
+  it('plans one rendition per stream, downmixed to at most stereo', () => {
+    const renditions = buildAudioRenditions([
+      { index: 0, language: 'eng', channels: 6 },
+      { index: 1, language: 'fre', channels: 1, isDefault: true }
+    ]);
+
+    assert.deepEqual(renditions.map(rendition => [rendition.name, rendition.channels, rendition.audioBitrate]), [
+      ['audio_0', 2, 128],
+      ['audio_1', 1, 64]
+    ]);
+    assert.deepEqual(renditions.map(rendition => rendition.isDefault), [false, true]);
+    assert.equal(renditions[0].type, 'audio');
+    assert.equal(renditions[0].label, 'English');
+  });
+
+  it('marks the first stream default when none is', () => {
+    const renditions = buildAudioRenditions([{ index: 0, language: 'eng' }, { index: 1, language: 'deu' }]);
+
+    assert.deepEqual(renditions.map(rendition => rendition.isDefault), [true, false]);
+  });
+
+  it('keeps names unique within the group', () => {
+    const renditions = buildAudioRenditions([
+      { index: 0, language: 'eng' },
+      { index: 1, language: 'eng' },
+      { index: 2, language: 'eng', title: 'Commentary' }
+    ]);
+
+    assert.deepEqual(renditions.map(rendition => rendition.label), ['English', 'English 2', 'Commentary']);
+  });
+
+  it('returns no renditions for sources without audio', () => {
+    assert.deepEqual(buildAudioRenditions([]), []);
+    assert.deepEqual(buildAudioRenditions(undefined), []);
+  });
+});
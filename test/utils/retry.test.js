@@ -0,0 +1,109 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isTransientError, isTransientFfmpegError, sleep, withRetry } = require('../../utils/retry');
+
+const awsError = (name, status) => Object.assign(new Error(name), { name, $metadata: { httpStatusCode: status } });
+
+describe('isTransientError', () => {
+  it('retries throttling, 5xx and network errors', () => {
+    assert.equal(isTransientError(awsError('SlowDown', 503)), true);
+    assert.equal(isTransientError(awsError('Whatever', 500)), true);
+    assert.equal(isTransientError(awsError('TooManyRequests', 429)), true);
+    assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+    assert.equal(isTransientError(Object.assign(new Error('x'), { $retryable: {} })), true);
+  });
+
+  it('does not retry client errors or aborts', () => {
+    assert.equal(isTransientError(awsError('NoSuchKey', 404)), false);
+    assert.equal(isTransientError(awsError('AccessDenied', 403)), false);
+    assert.equal(isTransientError(Object.assign(new Error('aborted'), { name: 'AbortError' })), false);
+    assert.equal(isTransientError(null), false);
+  });
+});
+
+describe('isTransientFfmpegError', () => {
+  it('retries I/O and network failures reported by ffmpeg', () => {
+    [
+      'ffmpeg exited with code 1: https://bucket/key: Connection reset by peer',
+      'ffmpeg exited with code 1: Server returned 503 Service Unavailable',
+      'ffmpeg exited with code 1: av_interleaved_write_frame(): No space left on device',
+      'ffmpeg exited with code 1: Input/output error'
+    ].forEach((message) => {
+      assert.equal(isTransientFfmpegError(new Error(message)), true, message);
+    });
+  });
+
+  it('does not retry broken input, bad options or crashes', () => {
+    [
+      'ffmpeg exited with code 1: Invalid data found when processing input',
+      'ffmpeg exited with code 1: Unrecognized option \'foo\'',
+      'ffmpeg was killed with signal SIGSEGV',
+      'ffmpeg exited with code 1: Server returned 404 Not Found'
+    ].forEach((message) => {
+      assert.equal(isTransientFfmpegError(new Error(message)), false, message);
+    });
+  });
+
+  it('retries transient storage errors around ffmpeg runs but never aborts', () => {
+    assert.equal(isTransientFfmpegError(awsError('InternalError', 500)), true);
+    assert.equal(isTransientFfmpegError(Object.assign(new Error('Connection reset'), { name: 'AbortError' })), false);
+  });
+});
+
+describe('sleep', () => {
+  it('rejects with the abort reason', async () => {
+    const controller = new AbortController();
+    const waiting = sleep(10000, controller.signal);
+    controller.abort(new Error('cancelled'));
+
+    await assert.rejects(waiting, /cancelled/);
+  });
+});
+
+describe('withRetry', () => {
+  it('retries retryable failures until the operation succeeds', async () => {
+    const attempts = [];
+    const retried = [];
+    const result = await withRetry(async (attempt) => {
+      attempts.push(attempt);
+      if (attempt < 3) throw awsError('SlowDown', 503);
+      return 'done';
+    }, { baseDelay: 1, onRetry: (error, attempt) => retried.push(attempt) });
+
+    assert.equal(result, 'done');
+    assert.deepEqual(attempts, [1, 2, 3]);
+    assert.deepEqual(retried, [1, 2]);
+  });
+
+  it('gives up after the configured retries', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw awsError('SlowDown', 503);
+    }, { retries: 2, baseDelay: 1 }), /SlowDown/);
+
+    assert.equal(calls, 3);
+  });
+
+  it('fails at once on errors the predicate rejects', async () => {
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      throw new Error('Invalid data found when processing input');
+    }, { baseDelay: 1, isRetryable: isTransientFfmpegError }), /Invalid data/);
+
+    assert.equal(calls, 1);
+  });
+
+  it('stops retrying once the signal aborts', async () => {
+    const controller = new AbortController();
+    let calls = 0;
+    await assert.rejects(withRetry(async () => {
+      calls++;
+      controller.abort(new Error('cancelled'));
+      throw awsError('SlowDown', 503);
+    }, { baseDelay: 1, signal: controller.signal }), /SlowDown/);
+
+    assert.equal(calls, 1);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseUploadMetadata, parseByteCount } = require('../../utils/tus');
+
+const base64 = value => Buffer.from(value, 'utf8').toString('base64');
+
+describe('parseUploadMetadata', () => {
+  it('decodes base64 values by key', () => {
+    const header = `filename ${base64('clip ünicode.mp4')},filetype ${base64('video/mp4')}, autoEncode ${base64('true')}`;
+
+    assert.deepEqual(parseUploadMetadata(header), {
+      filename: 'clip ünicode.mp4',
+      filetype: 'video/mp4',
+      autoEncode: 'true'
+    });
+  });
+
+  it('reads keys without a value as empty strings', () => {
+    assert.deepEqual(parseUploadMetadata(`is_confidential,filename ${base64('a.mp4')}`), {
+      is_confidential: '',
+      filename: 'a.mp4'
+    });
+  });
+
+  it('is empty without a header', () => {
+    assert.deepEqual(parseUploadMetadata(undefined), {});
+    assert.deepEqual(parseUploadMetadata('  '), {});
+  });
+
+  it('rejects malformed headers', () => {
+    [
+      'filename a b',
+      `filename ${base64('a')},filename ${base64('b')}`,
+      'filename not*base64',
+      `filename ${base64('a')},,filetype ${base64('b')}`
+    ].forEach((header) => {
+      assert.equal(parseUploadMetadata(header), null, header);
+    });
+  });
+});
+
+describe('parseByteCount', () => {
+  it('reads non-negative integers', () => {
+    assert.equal(parseByteCount('0'), 0);
+    assert.equal(parseByteCount('734003200'), 734003200);
+  });
+
+  it('rejects missing, signed, fractional and unsafe values', () => {
+    [undefined, '', '-1', '+5', '1.5', '1e6', ' 5', '9007199254740993'].forEach((value) => {
+      assert.equal(parseByteCount(value), null, String(value));
+    });
+  });
+});
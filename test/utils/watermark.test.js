@@ -0,0 +1,158 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeWatermark, renderWatermarkText, getWatermarkValues, resolveWatermark } = require('../../utils/watermark');
+
+const IMAGE_PREFIX = 'watermarks/user-1/';
+
+describe('normalizeWatermark', () => {
+  it('fills in the defaults of a text watermark', () => {
+    assert.deepEqual(normalizeWatermark({ text: '  Preview  ' }), {
+      watermark: {
+        type: 'text',
+        position: 'bottom-right',
+        opacity: 0.8,
+        scale: 0.05,
+        margin: 0.03,
+        start: null,
+        end: null,
+        text: 'Preview',
+        fontColor: 'white'
+      }
+    });
+  });
+
+  it('infers image watermarks from the image key', () => {
+    const { watermark } = normalizeWatermark({
+      imageKey: `${IMAGE_PREFIX}logo.png`,
+      position: 'top-left',
+      opacity: '0.5',
+      start: 0,
+      end: 10
+    }, { imagePrefix: IMAGE_PREFIX });
+
+    assert.equal(watermark.type, 'image');
+    assert.equal(watermark.imageKey, `${IMAGE_PREFIX}logo.png`);
+    assert.equal(watermark.scale, 0.15);
+    assert.equal(watermark.opacity, 0.5);
+    assert.equal(watermark.start, 0);
+    assert.equal(watermark.end, 10);
+  });
+
+  it('only accepts images under the prefix', () => {
+    const { error } = normalizeWatermark({ imageKey: 'watermarks/user-2/logo.png' }, { imagePrefix: IMAGE_PREFIX });
+
+    assert.match(error, /Watermark image not found/);
+  });
+
+  it('rejects keys that climb out of the prefix or are not uploaded images', () => {
+    [
+      `${IMAGE_PREFIX}../../videos/x.mp4`,
+      `${IMAGE_PREFIX}../user-2/logo.png`,
+      `${IMAGE_PREFIX}/logo.png`,
+      `${IMAGE_PREFIX}nested/logo.png`,
+      `${IMAGE_PREFIX}logo.gif`,
+      IMAGE_PREFIX
+    ].forEach((imageKey) => {
+      assert.match(normalizeWatermark({ imageKey }, { imagePrefix: IMAGE_PREFIX }).error, /Watermark image not found/, imageKey);
+    });
+    assert.equal(normalizeWatermark({ imageKey: `${IMAGE_PREFIX}1700000000000-a1b2.jpeg` }, { imagePrefix: IMAGE_PREFIX }).error, undefined);
+  });
+
+  it('rejects invalid settings', () => {
+    [
+      [null, 'Watermark must be an object'],
+      [[], 'Watermark must be an object'],
+      [{ type: 'video' }, "Watermark type must be 'image' or 'text'"],
+      [{ type: 'image' }, 'An image watermark needs an imageKey'],
+      [{ text: '   ' }, 'A text watermark needs text of at most 200 characters'],
+      [{ text: 'x'.repeat(201) }, 'A text watermark needs text of at most 200 characters'],
+      [{ text: 'x', fontColor: 'red; drop' }, 'Font color must be a color name or #RRGGBB'],
+      [{ text: 'x', position: 'middle' }, 'Position must be one of top-left, top-right, bottom-left, bottom-right, center'],
+      [{ text: 'x', opacity: 0 }, 'Opacity must be greater than 0 and at most 1'],
+      [{ text: 'x', scale: 1.5 }, 'Scale must be greater than 0 and at most 1'],
+      [{ text: 'x', margin: 0.6 }, 'Margin must be between 0 and 0.5'],
+      [{ text: 'x', start: -1 }, 'Start and end must be non-negative numbers of seconds'],
+      [{ text: 'x', start: 10, end: 5 }, 'End must be after start']
+    ].forEach(([settings, error]) => {
+      assert.deepEqual(normalizeWatermark(settings), { error }, JSON.stringify(settings));
+    });
+  });
+
+  it('accepts hex font colors', () => {
+    assert.equal(normalizeWatermark({ text: 'x', fontColor: '#FFaa00' }).watermark.fontColor, '#FFaa00');
+  });
+});
+
+describe('renderWatermarkText', () => {
+  it('fills in known placeholders and leaves unknown ones', () => {
+    assert.equal(
+      renderWatermarkText('{username} - {title} {unknown} {videoId}', { username: 'ada', title: 'Talk', videoId: null }),
+      'ada - Talk {unknown} {videoId}'
+    );
+  });
+});
+
+describe('getWatermarkValues', () => {
+  it('takes the title from the display name, else the original name', () => {
+    const values = getWatermarkValues({ videoId: 'v1', originalName: 'talk.mp4' }, { username: 'ada' });
+
+    assert.equal(values.username, 'ada');
+    assert.equal(values.title, 'talk.mp4');
+    assert.equal(values.videoId, 'v1');
+    assert.match(values.date, /^\d{4}-\d{2}-\d{2}$/);
+    assert.equal(getWatermarkValues({ displayName: 'Talk', originalName: 'talk.mp4' }, {}).title, 'Talk');
+  });
+});
+
+describe('resolveWatermark', () => {
+  const userDefault = { type: 'text', text: '© {username}', position: 'top-right', opacity: 0.6 };
+  const values = { username: 'ada' };
+
+  it('reuses the stored watermark when the request has none', () => {
+    const current = { type: 'text', text: '© bob' };
+
+    assert.deepEqual(resolveWatermark(undefined, { current, userDefault, values }), { watermark: current });
+  });
+
+  it('falls back to the rendered user default', () => {
+    const { watermark } = resolveWatermark(undefined, { current: null, userDefault, values });
+
+    assert.equal(watermark.text, '© ada');
+    assert.equal(watermark.position, 'top-right');
+    assert.equal(watermark.opacity, 0.6);
+  });
+
+  it('has no watermark without a stored one or a default', () => {
+    assert.deepEqual(resolveWatermark(undefined, { values }), { watermark: null });
+  });
+
+  it('disables the watermark with false or null', () => {
+    assert.deepEqual(resolveWatermark(false, { userDefault, values }), { watermark: null });
+    assert.deepEqual(resolveWatermark(null, { current: { type: 'text', text: 'x' }, values }), { watermark: null });
+  });
+
+  it('lets the request override the default of the same type', () => {
+    const { watermark } = resolveWatermark({ position: 'center' }, { userDefault, values });
+
+    assert.equal(watermark.text, '© ada');
+    assert.equal(watermark.position, 'center');
+    assert.equal(watermark.opacity, 0.6);
+  });
+
+  it('ignores a default of another type', () => {
+    const { watermark } = resolveWatermark({ imageKey: `${IMAGE_PREFIX}logo.png` }, {
+      userDefault,
+      imagePrefix: IMAGE_PREFIX,
+      values
+    });
+
+    assert.equal(watermark.type, 'image');
+    assert.equal(watermark.position, 'bottom-right');
+    assert.equal(watermark.opacity, 0.8);
+  });
+
+  it('reports invalid requests', () => {
+    assert.deepEqual(resolveWatermark('logo', { values }), { error: 'Watermark must be an object, or false to disable it' });
+    assert.deepEqual(resolveWatermark({ opacity: 2 }, { userDefault, values }), { error: 'Opacity must be greater than 0 and at most 1' });
+  });
+});
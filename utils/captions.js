@@ -0,0 +1,121 @@
+const { formatVttTimestamp } = require('./thumbnails');
+
+// ffmpeg's MPEG-TS muxer starts timestamps at 1.4s (90kHz clock); fMP4 output starts at 0
+const MPEGTS_START = { ts: 126000, fmp4: 0 };
+
+/**
+ * Parse an SRT or WebVTT timestamp ("00:01:02,500", "01:02.500")
+ * @param {string} value - Timestamp text
+ * @returns {number|null} Seconds, or null if the timestamp is malformed
+ */
+const parseCueTimestamp = (value) => {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, hours = '0', minutes, seconds, fraction] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(fraction.padEnd(3, '0')) / 1000;
+};
+
+/**
+ * Parse SRT or WebVTT text into cues. Cue settings, styles, notes and
+ * numeric SRT counters are dropped; cue text is kept as is.
+ * @param {string} text - Caption file contents
+ * @returns {Array<{start: number, end: number, text: string}>} Cues ordered by start time
+ */
+const parseCaptions = (text) => {
+  const cues = [];
+  const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+  blocks.forEach((block) => {
+    const lines = block.split('\n').filter(line => line.trim() !== '');
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      return; // WEBVTT header, NOTE, STYLE, REGION or junk
+    }
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const start = parseCueTimestamp(startText);
+    const end = parseCueTimestamp(rest.trim().split(/\s+/)[0]);
+    const cueText = lines.slice(timingIndex + 1).join('\n');
+    if (start === null || end === null || end <= start || !cueText) {
+      return;
+    }
+    cues.push({ start, end, text: cueText });
+  });
+
+  return cues.sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Serialize cues as a single WebVTT document
+ * @param {Array<object>} cues - Cues from parseCaptions
+ * @param {Array<string>} [headers] - Extra header lines (e.g. X-TIMESTAMP-MAP)
+ * @returns {string} WebVTT text
+ */
+const buildVtt = (cues, headers = []) => {
+  const lines = ['WEBVTT', ...headers, ''];
+  cues.forEach((cue) => {
+    lines.push(`${formatVttTimestamp(cue.start)} --> ${formatVttTimestamp(cue.end)}`);
+    lines.push(cue.text);
+    lines.push('');
+  });
+  return lines.join('\n');
+};
+
+/**
+ * Split cues into WebVTT segments of a fixed duration for an HLS subtitle playlist.
+ * A cue spanning a boundary is repeated in every segment it overlaps.
+ * @param {Array<object>} cues - Cues from parseCaptions
+ * @param {object} options - Segmenting options
+ * @param {number} options.segmentDuration - Segment length in seconds
+ * @param {number} [options.duration] - Video duration; defaults to the end of the last cue
+ * @param {string} [options.segmentFormat='ts'] - Segment format of the video, which sets X-TIMESTAMP-MAP
+ * @returns {Array<{duration: number, content: string}>} Segments in order
+ */
+const segmentCaptions = (cues, options) => {
+  const { segmentDuration, segmentFormat = 'ts' } = options;
+  const duration = options.duration || Math.max(0, ...cues.map(cue => cue.end));
+  const count = Math.max(1, Math.ceil(duration / segmentDuration));
+  const timestampMap = `X-TIMESTAMP-MAP=MPEGTS:${MPEGTS_START[segmentFormat] || 0},LOCAL:00:00:00.000`;
+
+  return Array.from({ length: count }, (_, i) => {
+    const start = i * segmentDuration;
+    const end = Math.min(duration, start + segmentDuration);
+    const segmentCues = cues.filter(cue => cue.start < end && cue.end > start);
+    return {
+      duration: Math.round((end - start) * 1000) / 1000,
+      content: buildVtt(segmentCues, [timestampMap])
+    };
+  });
+};
+
+/**
+ * Media playlist for WebVTT segments named segment_000.vtt, segment_001.vtt, ...
+ * @param {Array<{duration: number}>} segments - Output of segmentCaptions
+ * @returns {string} Playlist text
+ */
+const buildSubtitlePlaylist = (segments) => {
+  const targetDuration = Math.max(1, ...segments.map(segment => Math.ceil(segment.duration)));
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD'
+  ];
+  segments.forEach((segment, i) => {
+    lines.push(`#EXTINF:${segment.duration.toFixed(3)},`);
+    lines.push(`segment_${String(i).padStart(3, '0')}.vtt`);
+  });
+  lines.push('#EXT-X-ENDLIST');
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  MPEGTS_START,
+  parseCueTimestamp,
+  parseCaptions,
+  buildVtt,
+  segmentCaptions,
+  buildSubtitlePlaylist
+};
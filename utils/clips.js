@@ -0,0 +1,72 @@
+const CLIP_MODES = ['accurate', 'fast'];
+const MAX_CLIP_SEGMENTS = 20;
+// Shorter than a frame or two is never what an editor meant
+const MIN_SEGMENT_DURATION = 0.1;
+
+/**
+ * Validate the segments of a clip request. Either `segments` ([{start, end}, ...],
+ * concatenated in the given order) or a single `start`/`end` pair may be given.
+ * @param {object} body - Request body
+ * @param {number|null} duration - Source duration in seconds, if known
+ * @returns {{ segments?: Array<{start: number, end: number}>, error?: string }} Segments in seconds (millisecond precision), or an error
+ */
+const parseClipSegments = (body, duration) => {
+  const raw = body.segments !== undefined ? body.segments : [{ start: body.start, end: body.end }];
+  if (!Array.isArray(raw) || raw.length === 0) {
+    return { error: 'Provide start and end, or a non-empty segments array' };
+  }
+  if (raw.length > MAX_CLIP_SEGMENTS) {
+    return { error: `A clip can have at most ${MAX_CLIP_SEGMENTS} segments` };
+  }
+
+  const segments = [];
+  for (let i = 0; i < raw.length; i++) {
+    const start = Number(raw[i] && raw[i].start);
+    const end = Number(raw[i] && raw[i].end);
+    const label = raw.length > 1 ? `Segment ${i}: ` : '';
+    if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0) {
+      return { error: `${label}start and end must be non-negative numbers of seconds` };
+    }
+    if (end - start < MIN_SEGMENT_DURATION) {
+      return { error: `${label}end must be at least ${MIN_SEGMENT_DURATION}s after start` };
+    }
+    if (duration && end > duration + 0.001) {
+      return { error: `${label}end is past the end of the video (${duration}s)` };
+    }
+    segments.push({
+      start: Math.round(start * 1000) / 1000,
+      end: Math.round(Math.min(end, duration || end) * 1000) / 1000
+    });
+  }
+
+  return { segments };
+};
+
+/**
+ * Total length of a clip
+ * @param {Array<{start: number, end: number}>} segments - Clip segments
+ * @returns {number} Seconds
+ */
+const getClipDuration = segments => Math.round(segments.reduce((sum, segment) => sum + segment.end - segment.start, 0) * 1000) / 1000;
+
+/**
+ * ffmpeg output options that stream-copy one segment of a fast clip: the first video stream and
+ * every audio stream (if any). Other video streams, such as cover art, would not survive HLS encoding.
+ * @param {{start: number, end: number}} segment - Segment in seconds; the input is seeked to its start
+ * @returns {Array<string>} Output options
+ */
+const getStreamCopyOptions = segment => [
+  `-t ${Math.round((segment.end - segment.start) * 1000) / 1000}`,
+  '-map 0:v:0',
+  '-map 0:a?',
+  '-c copy',
+  '-avoid_negative_ts make_zero'
+];
+
+module.exports = {
+  CLIP_MODES,
+  MAX_CLIP_SEGMENTS,
+  parseClipSegments,
+  getClipDuration,
+  getStreamCopyOptions
+};
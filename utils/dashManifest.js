@@ -0,0 +1,161 @@
+const TIMESCALE = 1000;
+
+/**
+ * ISO 8601 duration for MPD attributes (e.g. 62.5 becomes PT62.500S)
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Duration string
+ */
+const toIsoDuration = seconds => `PT${(Math.round(seconds * 1000) / 1000).toFixed(3)}S`;
+
+/**
+ * Escape a value for use inside an XML attribute
+ * @param {string|number} value - Attribute value
+ * @returns {string} Escaped value
+ */
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build SegmentTimeline entries from segment durations. Durations are derived from
+ * rounded cumulative boundaries so rounding never drifts, and equal runs are collapsed with @r.
+ * @param {Array<number>} durations - Segment durations in seconds
+ * @returns {Array<{t: number, d: number, r: number}>} Timeline entries in TIMESCALE units
+ */
+const buildSegmentTimeline = (durations) => {
+  const entries = [];
+  let elapsed = 0;
+  let previousBoundary = 0;
+
+  durations.forEach((duration) => {
+    elapsed += duration;
+    const boundary = Math.round(elapsed * TIMESCALE);
+    const d = boundary - previousBoundary;
+    const last = entries[entries.length - 1];
+    if (last && last.d === d) {
+      last.r++;
+    } else {
+      entries.push({ t: previousBoundary, d, r: 0 });
+    }
+    previousBoundary = boundary;
+  });
+
+  return entries;
+};
+
+/**
+ * SegmentTemplate (with SegmentTimeline) lines for one representation
+ * @param {object} variant - Variant with name and segmentDurations
+ * @param {string} initSegment - Init segment file name inside the rendition directory
+ * @param {string} mediaTemplate - Fragment name template inside the rendition directory
+ * @returns {Array<string>} Indented XML lines
+ */
+const buildSegmentTemplate = (variant, initSegment, mediaTemplate) => {
+  const timeline = buildSegmentTimeline(variant.segmentDurations)
+    .map(entry => `            <S t="${entry.t}" d="${entry.d}"${entry.r ? ` r="${entry.r}"` : ''}/>`);
+  return [
+    `        <SegmentTemplate timescale="${TIMESCALE}" startNumber="0" initialization="${escapeXml(`${variant.name}/${initSegment}`)}" media="${escapeXml(`${variant.name}/${mediaTemplate}`)}">`,
+    '          <SegmentTimeline>',
+    ...timeline,
+    '          </SegmentTimeline>',
+    '        </SegmentTemplate>'
+  ];
+};
+
+/**
+ * Build a static (VOD) MPD that points at the CMAF segments written for HLS,
+ * so both manifests share one copy of the media. Video renditions form one
+ * adaptation set; each audio rendition and subtitle track gets its own, tagged with its language.
+ * @param {Array<object>} variants - Measured variants with name, bandwidth, codecs, width, height, frameRate, segmentDurations
+ * @param {object} [options] - Manifest options
+ * @param {Array<object>} [options.audio] - Audio renditions with name, bandwidth, codecs, language, label, channels, isDefault, segmentDurations
+ * @param {Array<object>} [options.subtitles] - Subtitles with id, language, label and the uri of a complete WebVTT file
+ * @param {number} [options.segmentDuration=6] - Target segment duration in seconds (used for minBufferTime)
+ * @param {string} [options.initSegment='init.mp4'] - Init segment file name inside each rendition directory
+ * @param {string} [options.mediaTemplate='segment_$Number%03d$.m4s'] - Fragment name template inside each rendition directory
+ * @returns {string} MPD XML
+ */
+const buildDashManifest = (variants, options = {}) => {
+  const {
+    audio = [],
+    subtitles = [],
+    segmentDuration = 6,
+    initSegment = 'init.mp4',
+    mediaTemplate = 'segment_$Number%03d$.m4s'
+  } = options;
+  const sorted = [...variants].sort((a, b) => a.bandwidth - b.bandwidth);
+  const duration = Math.max(...[...sorted, ...audio].map(variant => variant.segmentDurations.reduce((sum, d) => sum + d, 0)));
+
+  const representations = sorted.map((variant) => {
+    const attributes = [
+      `id="${escapeXml(variant.name)}"`,
+      `bandwidth="${variant.bandwidth}"`,
+      variant.codecs && `codecs="${escapeXml(variant.codecs)}"`,
+      variant.width && `width="${variant.width}"`,
+      variant.height && `height="${variant.height}"`,
+      variant.frameRate && `frameRate="${Math.round(variant.frameRate * 1000)}/1000"`,
+      'sar="1:1"'
+    ].filter(Boolean);
+
+    return [
+      `      <Representation ${attributes.join(' ')}>`,
+      ...buildSegmentTemplate(variant, initSegment, mediaTemplate),
+      '      </Representation>'
+    ].join('\n');
+  });
+
+  const audioSets = audio.map((rendition, i) => {
+    const attributes = [
+      `id="${escapeXml(rendition.name)}"`,
+      `bandwidth="${rendition.bandwidth}"`,
+      rendition.codecs && `codecs="${escapeXml(rendition.codecs)}"`
+    ].filter(Boolean);
+
+    return [
+      `    <AdaptationSet id="${i + 1}" contentType="audio" mimeType="audio/mp4" lang="${escapeXml(rendition.language)}" segmentAlignment="true" startWithSAP="1">`,
+      `      <Label>${escapeXml(rendition.label)}</Label>`,
+      `      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="${rendition.isDefault ? 'main' : 'alternate'}"/>`,
+      `      <Representation ${attributes.join(' ')}>`,
+      rendition.channels && `        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="${rendition.channels}"/>`,
+      ...buildSegmentTemplate(rendition, initSegment, mediaTemplate),
+      '      </Representation>',
+      '    </AdaptationSet>'
+    ].filter(Boolean).join('\n');
+  });
+
+  const textSets = subtitles.map((track, i) => [
+    `    <AdaptationSet id="${audio.length + i + 1}" contentType="text" mimeType="text/vtt" lang="${escapeXml(track.language)}">`,
+    `      <Label>${escapeXml(track.label)}</Label>`,
+    '      <Role schemeIdUri="urn:mpeg:dash:role:2011" value="subtitle"/>',
+    `      <Representation id="${escapeXml(`captions_${track.id}`)}" bandwidth="256">`,
+    `        <BaseURL>${escapeXml(track.uri)}</BaseURL>`,
+    '      </Representation>',
+    '    </AdaptationSet>'
+  ].join('\n'));
+
+  const maxWidth = Math.max(...sorted.map(variant => variant.width || 0));
+  const maxHeight = Math.max(...sorted.map(variant => variant.height || 0));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-live:2011,urn:mpeg:dash:profile:cmaf:2019" type="static" mediaPresentationDuration="${toIsoDuration(duration)}" minBufferTime="${toIsoDuration(segmentDuration)}">`,
+    '  <Period id="0" start="PT0S">',
+    `    <AdaptationSet id="0" contentType="video" mimeType="video/mp4" segmentAlignment="true" startWithSAP="1" maxWidth="${maxWidth}" maxHeight="${maxHeight}">`,
+    ...representations,
+    '    </AdaptationSet>',
+    ...audioSets,
+    ...textSets,
+    '  </Period>',
+    '</MPD>',
+    ''
+  ].join('\n');
+};
+
+module.exports = {
+  toIsoDuration,
+  escapeXml,
+  buildSegmentTimeline,
+  buildDashManifest
+};
@@ -0,0 +1,168 @@
+/**
+ * Scale chain for one rendition: exact size, square pixels and the rendition frame rate
+ * @param {object} rendition - Rendition from the ladder
+ * @returns {string} Comma separated ffmpeg filter chain
+ */
+const getScaleChain = (rendition) => {
+  const filters = [`scale=${rendition.width}:${rendition.height}`, 'setsar=1'];
+  if (rendition.frameRate) filters.push(`fps=${rendition.frameRate}`);
+  return filters.join(',');
+};
+
+/**
+ * Position of an overlay inside the frame as ffmpeg x/y expressions
+ * @param {string} position - top-left, top-right, bottom-left, bottom-right or center
+ * @param {number} margin - Distance from the edges in pixels
+ * @param {object} names - Expression names for the frame and overlay sizes
+ * @returns {{ x: string, y: string }} Expressions
+ */
+const getOverlayPosition = (position, margin, names) => {
+  const { frameWidth, frameHeight, width, height } = names;
+  const [vertical, horizontal] = position === 'center' ? ['center', 'center'] : position.split('-');
+  const x = { left: `${margin}`, right: `${frameWidth}-${width}-${margin}`, center: `(${frameWidth}-${width})/2` }[horizontal];
+  const y = { top: `${margin}`, bottom: `${frameHeight}-${height}-${margin}`, center: `(${frameHeight}-${height})/2` }[vertical];
+  return { x, y };
+};
+
+/**
+ * Timeline option limiting a filter to the watermark's time range
+ * @param {object} watermark - Watermark with optional start and end (seconds)
+ * @returns {string} ":enable='...'" or an empty string
+ */
+const getEnableOption = (watermark) => {
+  const hasStart = watermark.start !== null && watermark.start !== undefined;
+  const hasEnd = watermark.end !== null && watermark.end !== undefined;
+  if (hasStart && hasEnd) return `:enable='between(t,${watermark.start},${watermark.end})'`;
+  if (hasStart) return `:enable='gte(t,${watermark.start})'`;
+  if (hasEnd) return `:enable='lte(t,${watermark.end})'`;
+  return '';
+};
+
+/**
+ * Watermark filters for one rendition, sized from the rendition so the watermark covers the
+ * same share of the frame at every quality
+ * @param {object} rendition - Rendition from the ladder
+ * @param {object} watermark - Normalized watermark settings; textFile (and fontFile) for text
+ * @param {string} input - Label of the scaled rendition
+ * @param {string} output - Label of the watermarked rendition
+ * @param {string} [image] - Label of the prepared watermark image branch
+ * @returns {Array<string>} Filter chains
+ */
+const getWatermarkChains = (rendition, watermark, input, output, image) => {
+  const margin = Math.round(rendition.height * watermark.margin);
+  const enable = getEnableOption(watermark);
+
+  if (watermark.type === 'image') {
+    const width = Math.max(2, Math.round(rendition.width * watermark.scale));
+    const { x, y } = getOverlayPosition(watermark.position, margin, {
+      frameWidth: 'main_w', frameHeight: 'main_h', width: 'overlay_w', height: 'overlay_h'
+    });
+    return [
+      `[${image}]scale=${width}:-1[${image}s]`,
+      `[${input}][${image}s]overlay=x=${x}:y=${y}${enable}[${output}]`
+    ];
+  }
+
+  const fontSize = Math.max(8, Math.round(rendition.height * watermark.scale));
+  const { x, y } = getOverlayPosition(watermark.position, margin, {
+    frameWidth: 'w', frameHeight: 'h', width: 'tw', height: 'th'
+  });
+  const shadow = Math.max(1, Math.round(fontSize / 20));
+  const options = [
+    `textfile='${watermark.textFile}'`,
+    'expansion=none',
+    watermark.fontFile && `fontfile='${watermark.fontFile}'`,
+    `fontsize=${fontSize}`,
+    `fontcolor=${watermark.fontColor || 'white'}@${watermark.opacity}`,
+    `shadowcolor=black@${Math.round(watermark.opacity * 50) / 100}`,
+    `shadowx=${shadow}`,
+    `shadowy=${shadow}`,
+    `x=${x}`,
+    `y=${y}`
+  ].filter(Boolean);
+  return [`[${input}]drawtext=${options.join(':')}${enable}[${output}]`];
+};
+
+/**
+ * Build a filter graph that decodes the source video once and fans it out
+ * to every rendition: [0:v] -> split -> scale per branch (-> watermark).
+ * @param {Array<object>} renditions - Renditions to produce
+ * @param {object} [options] - Graph options
+ * @param {object} [options.watermark] - Watermark to burn in; image watermarks are read from input 1
+ * @returns {{ filter: string, outputs: Array<string> }} Graph and the output pad label per rendition
+ */
+const buildSplitScaleGraph = (renditions, options = {}) => {
+  const { watermark } = options;
+  const outputs = renditions.map((rendition, i) => `v${i}`);
+  const scaled = watermark ? renditions.map((rendition, i) => `s${i}`) : outputs;
+  const chains = [];
+
+  if (renditions.length === 1) {
+    chains.push(`[0:v]${getScaleChain(renditions[0])}[${scaled[0]}]`);
+  } else {
+    const branches = renditions.map((rendition, i) => `split${i}`);
+    chains.push(`[0:v]split=${renditions.length}${branches.map(branch => `[${branch}]`).join('')}`);
+    renditions.forEach((rendition, i) => chains.push(`[${branches[i]}]${getScaleChain(rendition)}[${scaled[i]}]`));
+  }
+
+  if (watermark) {
+    const images = renditions.map((rendition, i) => `wm${i}`);
+    if (watermark.type === 'image') {
+      // Apply the opacity once, then give every rendition its own copy to scale
+      chains.push(`[1:v]format=rgba,colorchannelmixer=aa=${watermark.opacity},split=${renditions.length}${images.map(image => `[${image}]`).join('')}`);
+    }
+    renditions.forEach((rendition, i) => {
+      chains.push(...getWatermarkChains(rendition, watermark, scaled[i], outputs[i], images[i]));
+    });
+  }
+
+  return {
+    filter: chains.join(';'),
+    outputs
+  };
+};
+
+/**
+ * Build a concat graph that joins the same streams of several inputs, one input per
+ * clip segment: [0:v:0][0:a:0][1:v:0][1:a:0]concat=n=2:v=1:a=1[v][a0]
+ * @param {number} inputCount - Number of inputs (segments)
+ * @param {number} audioStreams - Audio streams per input, all of them kept
+ * @returns {{ filter: string, video: string, audio: Array<string> }} Graph and its output pad labels
+ */
+const buildConcatGraph = (inputCount, audioStreams) => {
+  const audio = Array.from({ length: audioStreams }, (_, i) => `a${i}`);
+  const inputs = Array.from({ length: inputCount }, (_, i) => (
+    `[${i}:v:0]${audio.map((pad, k) => `[${i}:a:${k}]`).join('')}`
+  )).join('');
+
+  return {
+    filter: `${inputs}concat=n=${inputCount}:v=1:a=${audioStreams}[v]${audio.map(pad => `[${pad}]`).join('')}`,
+    video: 'v',
+    audio
+  };
+};
+
+/**
+ * Parse the CPU and wall-clock times printed by ffmpeg's -benchmark option
+ * ("bench: utime=12.345s stime=0.678s rtime=4.321s")
+ * @param {string} stderr - ffmpeg stderr output
+ * @returns {object|null} Times in milliseconds, or null if not found
+ */
+const parseBenchmark = (stderr) => {
+  const match = /bench:\s+utime=([\d.]+)s\s+stime=([\d.]+)s\s+rtime=([\d.]+)s/.exec(stderr || '');
+  if (!match) {
+    return null;
+  }
+  return {
+    cpuUserMs: Math.round(parseFloat(match[1]) * 1000),
+    cpuSystemMs: Math.round(parseFloat(match[2]) * 1000),
+    realMs: Math.round(parseFloat(match[3]) * 1000)
+  };
+};
+
+module.exports = {
+  getScaleChain,
+  buildSplitScaleGraph,
+  buildConcatGraph,
+  parseBenchmark
+};
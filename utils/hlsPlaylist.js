@@ -0,0 +1,428 @@
+const H264_PROFILES = {
+  'Baseline': '4200',
+  'Constrained Baseline': '42E0',
+  'Main': '4D40',
+  'Extended': '5800',
+  'High': '6400',
+  'High 10': '6E00',
+  'High 4:2:2': '7A00',
+  'High 4:4:4 Predictive': 'F400'
+};
+
+const AAC_PROFILES = {
+  'LC': 'mp4a.40.2',
+  'HE-AAC': 'mp4a.40.5',
+  'HE-AACv2': 'mp4a.40.29'
+};
+
+/**
+ * Parse the attribute list of an HLS tag (KEY=value,KEY="quoted,value")
+ * @param {string} text - Everything after the tag's colon
+ * @returns {object} Attribute values keyed by name (quotes removed)
+ */
+const parseAttributes = (text) => {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+  }
+  return attributes;
+};
+
+/**
+ * Parse a media (variant) playlist
+ * @param {string} content - Playlist text
+ * @returns {object} Version, target duration, init segment, encryption key, segments and end-list flag
+ */
+const parseMediaPlaylist = (content) => {
+  const playlist = { version: null, targetDuration: null, map: null, key: null, endList: false, segments: [], tags: [] };
+  let pendingDuration = null;
+
+  content.split(/\r?\n/).map(line => line.trim()).filter(Boolean).forEach((line) => {
+    if (line.startsWith('#EXT-X-VERSION:')) {
+      playlist.version = parseInt(line.slice(15), 10);
+    } else if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseInt(line.slice(22), 10);
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      playlist.map = parseAttributes(line.slice(11)).URI || null;
+    } else if (line.startsWith('#EXT-X-KEY:')) {
+      playlist.key = parseAttributes(line.slice(11));
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.slice(8));
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (line.startsWith('#')) {
+      playlist.tags.push(line);
+    } else if (pendingDuration !== null) {
+      playlist.segments.push({ duration: pendingDuration, uri: line });
+      pendingDuration = null;
+    }
+  });
+
+  return playlist;
+};
+
+/**
+ * Measured bandwidth of a variant: peak segment bit rate and average bit rate
+ * @param {Array<{duration: number, size: number}>} segments - Segment durations (s) and sizes (bytes)
+ * @returns {{ peakBandwidth: number, averageBandwidth: number }} Bits per second
+ */
+const getVariantBandwidth = (segments) => {
+  let peak = 0;
+  let totalBits = 0;
+  let totalDuration = 0;
+
+  segments.forEach((segment) => {
+    const bits = segment.size * 8;
+    if (segment.duration > 0) {
+      peak = Math.max(peak, bits / segment.duration);
+    }
+    totalBits += bits;
+    totalDuration += segment.duration;
+  });
+
+  return {
+    peakBandwidth: Math.ceil(peak),
+    averageBandwidth: totalDuration > 0 ? Math.ceil(totalBits / totalDuration) : 0
+  };
+};
+
+/**
+ * RFC 6381 codec string for an ffprobe stream (e.g. avc1.64001F, mp4a.40.2)
+ * @param {object} stream - ffprobe stream entry
+ * @returns {string|null} Codec string or null if the codec is unknown
+ */
+const getCodecString = (stream) => {
+  if (!stream) {
+    return null;
+  }
+  switch (stream.codec_name) {
+    case 'h264': {
+      const profile = H264_PROFILES[stream.profile] || H264_PROFILES.High;
+      const level = Number(stream.level) > 0 ? Number(stream.level) : 40;
+      return `avc1.${profile}${level.toString(16).toUpperCase().padStart(2, '0')}`;
+    }
+    case 'hevc': {
+      const profile = stream.profile === 'Main 10' ? 2 : 1;
+      const level = Number(stream.level) > 0 ? Number(stream.level) : 120;
+      return `hvc1.${profile}.6.L${level}.B0`;
+    }
+    case 'aac':
+      return AAC_PROFILES[stream.profile] || AAC_PROFILES.LC;
+    case 'mp3':
+      return 'mp4a.40.34';
+    case 'ac3':
+      return 'ac-3';
+    case 'eac3':
+      return 'ec-3';
+    default:
+      return null;
+  }
+};
+
+/**
+ * Quote-safe value for a quoted-string HLS attribute
+ * @param {string} value - Attribute value
+ * @returns {string} Value without double quotes or line breaks
+ */
+const toQuotedString = value => String(value).replace(/["\r\n]/g, '');
+
+/**
+ * Build a master playlist from measured variants, ordered by bandwidth.
+ * With audio renditions every video variant references the audio group, its BANDWIDTH
+ * and CODECS include the largest audio rendition, and an audio-only variant is added.
+ * @param {Array<object>} variants - Variants with uri, bandwidth, averageBandwidth, width, height, frameRate, codecs
+ * @param {object} [options] - Playlist options
+ * @param {number} [options.version=3] - EXT-X-VERSION
+ * @param {boolean} [options.independentSegments] - Every segment starts with a keyframe
+ * @param {Array<object>} [options.audio] - Audio renditions with uri, language, label, channels, isDefault, bandwidth, averageBandwidth, codecs
+ * @param {string} [options.audioGroupId='audio'] - GROUP-ID of the audio renditions
+ * @param {Array<object>} [options.subtitles] - Subtitle renditions with uri, language, label, isDefault
+ * @param {string} [options.subtitlesGroupId='subs'] - GROUP-ID of the subtitle renditions
+ * @returns {string} Playlist text
+ */
+const buildMasterPlaylist = (variants, options = {}) => {
+  const audio = options.audio || [];
+  const audioGroupId = options.audioGroupId || 'audio';
+  const subtitles = options.subtitles || [];
+  const subtitlesGroupId = options.subtitlesGroupId || 'subs';
+  const lines = ['#EXTM3U', `#EXT-X-VERSION:${options.version || 3}`];
+  if (options.independentSegments) {
+    lines.push('#EXT-X-INDEPENDENT-SEGMENTS');
+  }
+
+  audio.forEach((rendition) => {
+    const attributes = [
+      'TYPE=AUDIO',
+      `GROUP-ID="${audioGroupId}"`,
+      `LANGUAGE="${toQuotedString(rendition.language)}"`,
+      `NAME="${toQuotedString(rendition.label)}"`,
+      `DEFAULT=${rendition.isDefault ? 'YES' : 'NO'}`,
+      'AUTOSELECT=YES'
+    ];
+    if (rendition.channels) attributes.push(`CHANNELS="${rendition.channels}"`);
+    attributes.push(`URI="${rendition.uri}"`);
+    lines.push(`#EXT-X-MEDIA:${attributes.join(',')}`);
+  });
+
+  subtitles.forEach((rendition) => {
+    lines.push(`#EXT-X-MEDIA:${[
+      'TYPE=SUBTITLES',
+      `GROUP-ID="${subtitlesGroupId}"`,
+      `LANGUAGE="${toQuotedString(rendition.language)}"`,
+      `NAME="${toQuotedString(rendition.label)}"`,
+      `DEFAULT=${rendition.isDefault ? 'YES' : 'NO'}`,
+      'AUTOSELECT=YES',
+      'FORCED=NO',
+      `URI="${rendition.uri}"`
+    ].join(',')}`);
+  });
+
+  const audioPeak = Math.max(0, ...audio.map(rendition => rendition.bandwidth || 0));
+  const audioAverage = Math.max(0, ...audio.map(rendition => rendition.averageBandwidth || 0));
+  const audioCodecs = [...new Set(audio.map(rendition => rendition.codecs).filter(Boolean))];
+
+  const entries = variants.map(variant => ({
+    ...variant,
+    bandwidth: variant.bandwidth + audioPeak,
+    averageBandwidth: variant.averageBandwidth ? variant.averageBandwidth + audioAverage : null,
+    codecs: [variant.codecs, ...audioCodecs].filter(Boolean).join(',')
+  }));
+  if (audio.length > 0) {
+    const defaultAudio = audio.find(rendition => rendition.isDefault) || audio[0];
+    entries.push({
+      uri: defaultAudio.uri,
+      bandwidth: audioPeak,
+      averageBandwidth: audioAverage || null,
+      codecs: audioCodecs.join(',')
+    });
+  }
+
+  entries
+    .sort((a, b) => a.bandwidth - b.bandwidth)
+    .forEach((variant) => {
+      const attributes = [`BANDWIDTH=${variant.bandwidth}`];
+      if (variant.averageBandwidth) attributes.push(`AVERAGE-BANDWIDTH=${variant.averageBandwidth}`);
+      if (variant.codecs) attributes.push(`CODECS="${variant.codecs}"`);
+      if (variant.width && variant.height) attributes.push(`RESOLUTION=${variant.width}x${variant.height}`);
+      if (variant.frameRate) attributes.push(`FRAME-RATE=${variant.frameRate.toFixed(3)}`);
+      if (audio.length > 0) attributes.push(`AUDIO="${audioGroupId}"`);
+      if (subtitles.length > 0) attributes.push(`SUBTITLES="${subtitlesGroupId}"`);
+      lines.push(`#EXT-X-STREAM-INF:${attributes.join(',')}`);
+      lines.push(variant.uri);
+    });
+
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Check a media playlist against the HLS rules our players depend on
+ * @param {object} playlist - Output of parseMediaPlaylist
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+const validateMediaPlaylist = (playlist) => {
+  const errors = [];
+  if (playlist.targetDuration === null) {
+    errors.push('Missing EXT-X-TARGETDURATION');
+  }
+  if (playlist.segments.length === 0) {
+    errors.push('Playlist has no segments');
+  }
+  if (!playlist.endList) {
+    errors.push('VOD playlist is missing EXT-X-ENDLIST');
+  }
+  if (playlist.map && !(playlist.version >= 6)) {
+    errors.push('EXT-X-MAP requires EXT-X-VERSION 6 or later');
+  }
+  if (!playlist.map && playlist.segments.some(segment => segment.uri.endsWith('.m4s'))) {
+    errors.push('fMP4 segments require an EXT-X-MAP init segment');
+  }
+  if (playlist.key && playlist.key.METHOD !== 'NONE' && !playlist.key.URI) {
+    errors.push(`EXT-X-KEY with METHOD=${playlist.key.METHOD} requires a URI`);
+  }
+  playlist.segments.forEach((segment, i) => {
+    if (!(segment.duration > 0)) {
+      errors.push(`Segment ${i} has an invalid duration`);
+    } else if (playlist.targetDuration !== null && Math.round(segment.duration) > playlist.targetDuration) {
+      errors.push(`Segment ${i} (${segment.duration}s) exceeds EXT-X-TARGETDURATION ${playlist.targetDuration}`);
+    }
+  });
+  return errors;
+};
+
+/**
+ * Check a master playlist the way an HLS validator would
+ * @param {string} content - Master playlist text
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+const validateMasterPlaylist = (content) => {
+  const errors = [];
+  const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  const uris = new Set();
+
+  if (lines[0] !== '#EXTM3U') {
+    errors.push('Playlist must start with #EXTM3U');
+  }
+  if (lines.filter(line => line.startsWith('#EXT-X-VERSION:')).length !== 1) {
+    errors.push('Playlist must declare EXT-X-VERSION exactly once');
+  }
+
+  const mediaGroups = new Map();
+  lines.filter(line => line.startsWith('#EXT-X-MEDIA:')).forEach((line, i) => {
+    const attributes = parseAttributes(line.slice(13));
+    if (!attributes.TYPE || !attributes['GROUP-ID'] || !attributes.NAME) {
+      errors.push(`Rendition ${i + 1} is missing TYPE, GROUP-ID or NAME`);
+      return;
+    }
+    const key = `${attributes.TYPE}:${attributes['GROUP-ID']}`;
+    const names = mediaGroups.get(key) || [];
+    if (names.includes(attributes.NAME)) {
+      errors.push(`Rendition NAME "${attributes.NAME}" is listed twice in group ${attributes['GROUP-ID']}`);
+    }
+    mediaGroups.set(key, [...names, attributes.NAME]);
+  });
+
+  let variantCount = 0;
+  let previousBandwidth = 0;
+  lines.forEach((line, i) => {
+    if (!line.startsWith('#EXT-X-STREAM-INF:')) {
+      return;
+    }
+    variantCount++;
+    const attributes = parseAttributes(line.slice(18));
+    const bandwidth = Number(attributes.BANDWIDTH);
+    const uri = lines[i + 1];
+
+    if (!Number.isInteger(bandwidth) || bandwidth <= 0) {
+      errors.push(`Variant ${variantCount} has an invalid BANDWIDTH`);
+    }
+    if (attributes['AVERAGE-BANDWIDTH'] !== undefined && Number(attributes['AVERAGE-BANDWIDTH']) > bandwidth) {
+      errors.push(`Variant ${variantCount} has AVERAGE-BANDWIDTH above BANDWIDTH`);
+    }
+    if (!attributes.CODECS) {
+      errors.push(`Variant ${variantCount} is missing CODECS`);
+    }
+    if (attributes.RESOLUTION !== undefined && !/^\d+x\d+$/.test(attributes.RESOLUTION)) {
+      errors.push(`Variant ${variantCount} has an invalid RESOLUTION`);
+    }
+    if (attributes['FRAME-RATE'] !== undefined && !/^\d+(\.\d{1,3})?$/.test(attributes['FRAME-RATE'])) {
+      errors.push(`Variant ${variantCount} has an invalid FRAME-RATE`);
+    }
+    if (attributes.AUDIO !== undefined && !mediaGroups.has(`AUDIO:${attributes.AUDIO}`)) {
+      errors.push(`Variant ${variantCount} references unknown AUDIO group ${attributes.AUDIO}`);
+    }
+    if (attributes.SUBTITLES !== undefined && !mediaGroups.has(`SUBTITLES:${attributes.SUBTITLES}`)) {
+      errors.push(`Variant ${variantCount} references unknown SUBTITLES group ${attributes.SUBTITLES}`);
+    }
+    if (!uri || uri.startsWith('#')) {
+      errors.push(`Variant ${variantCount} is not followed by a URI`);
+    } else if (uris.has(uri)) {
+      errors.push(`Variant URI ${uri} is listed twice`);
+    } else {
+      uris.add(uri);
+    }
+    if (bandwidth < previousBandwidth) {
+      errors.push('Variants are not sorted by BANDWIDTH');
+    }
+    previousBandwidth = bandwidth;
+  });
+
+  if (variantCount === 0) {
+    errors.push('Master playlist has no variants');
+  }
+  return errors;
+};
+
+/**
+ * Check that segment boundaries line up across variants so players can switch
+ * quality at any boundary without a glitch. Variants without recorded durations are skipped.
+ * @param {Array<{name: string, segmentDurations: Array<number>, frameRate: number}>} variants - Encoded variants
+ * @returns {Array<string>} Mismatches found (empty when aligned)
+ */
+const verifySegmentAlignment = (allVariants) => {
+  const errors = [];
+  const variants = allVariants.filter(variant => Array.isArray(variant.segmentDurations));
+  if (variants.length < 2) {
+    return errors;
+  }
+
+  // Boundaries may differ by at most one frame of the slowest variant
+  const slowestFrameRate = Math.min(...variants.map(variant => variant.frameRate || 30));
+  const tolerance = 1 / slowestFrameRate + 0.001;
+  const boundaries = variants.map((variant) => {
+    let time = 0;
+    return variant.segmentDurations.map((duration) => {
+      time += duration;
+      return time;
+    });
+  });
+
+  const [reference, ...others] = variants;
+  others.forEach((variant, index) => {
+    const referenceBoundaries = boundaries[0];
+    const variantBoundaries = boundaries[index + 1];
+    if (variantBoundaries.length !== referenceBoundaries.length) {
+      errors.push(`${variant.name} has ${variantBoundaries.length} segments, ${reference.name} has ${referenceBoundaries.length}`);
+      return;
+    }
+    const mismatch = variantBoundaries.findIndex((time, i) => Math.abs(time - referenceBoundaries[i]) > tolerance);
+    if (mismatch !== -1) {
+      errors.push(`${variant.name} segment ${mismatch} ends at ${variantBoundaries[mismatch].toFixed(3)}s, ${reference.name} at ${referenceBoundaries[mismatch].toFixed(3)}s`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Point every EXT-X-KEY tag of a media playlist at a new key URI
+ * @param {string} content - Playlist text
+ * @param {string} uri - Key URI players should fetch
+ * @returns {string} Playlist text
+ */
+const setKeyUri = (content, uri) => content
+  .split('\n')
+  .map(line => (line.startsWith('#EXT-X-KEY:') ? line.replace(/URI="[^"]*"/, `URI="${toQuotedString(uri)}"`) : line))
+  .join('\n');
+
+/**
+ * Rewrite every URI of a playlist: URI lines (variant playlists, segments) and the URI
+ * attribute of tags such as EXT-X-MEDIA, EXT-X-MAP and EXT-X-KEY
+ * @param {string} content - Playlist text
+ * @param {Function} rewrite - (uri, tag) => new URI or a promise of one; tag is the tag name
+ *   (e.g. 'EXT-X-MAP') for attributes and null for URI lines
+ * @returns {Promise<string>} Playlist text
+ */
+const rewritePlaylistUris = async (content, rewrite) => {
+  const lines = await Promise.all(content.split('\n').map(async (line) => {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      return line;
+    }
+    if (!trimmed.startsWith('#')) {
+      return rewrite(trimmed, null);
+    }
+    const match = /^#(EXT-X-[A-Z-]+):(.*)$/.exec(trimmed);
+    const uri = match && parseAttributes(match[2]).URI;
+    if (!uri) {
+      return line;
+    }
+    const rewritten = await rewrite(uri, match[1]);
+    return trimmed.replace(/URI="[^"]*"/, `URI="${toQuotedString(rewritten)}"`);
+  }));
+  return lines.join('\n');
+};
+
+module.exports = {
+  parseAttributes,
+  parseMediaPlaylist,
+  getVariantBandwidth,
+  getCodecString,
+  buildMasterPlaylist,
+  validateMediaPlaylist,
+  validateMasterPlaylist,
+  verifySegmentAlignment,
+  setKeyUri,
+  rewritePlaylistUris
+};
@@ -0,0 +1,32 @@
+/**
+ * Order queued jobs for dispatch.
+ *
+ * Users take turns: a user's next job gets turn = (jobs already running for
+ * that user) + (jobs of theirs ahead of it in the queue). Lower turns run first,
+ * so one user's batch is interleaved with everybody else's work instead of
+ * blocking it. Within a turn higher priority wins, then the oldest job (FIFO).
+ *
+ * @param {Array<object>} queuedJobs - Jobs with userId, priority and createdAt
+ * @param {Map<string, number>} runningByUser - Running job count keyed by user id
+ * @returns {Array<object>} Jobs in the order they will be dispatched
+ */
+const orderQueuedJobs = (queuedJobs, runningByUser = new Map()) => {
+  const byPriorityThenAge = (a, b) => (b.priority || 0) - (a.priority || 0)
+    || new Date(a.createdAt) - new Date(b.createdAt);
+
+  const turnsTaken = new Map(runningByUser);
+  const withTurns = [...queuedJobs].sort(byPriorityThenAge).map((job) => {
+    const userKey = String(job.userId);
+    const turn = turnsTaken.get(userKey) || 0;
+    turnsTaken.set(userKey, turn + 1);
+    return { job, turn };
+  });
+
+  return withTurns
+    .sort((a, b) => a.turn - b.turn || byPriorityThenAge(a.job, b.job))
+    .map(entry => entry.job);
+};
+
+module.exports = {
+  orderQueuedJobs
+};
@@ -15,6 +15,22 @@ const generateToken = (userId) => {
   );
 };
 
+/**
+ * Generate a short-lived token that only grants playback of one video.
+ * Playback URLs carry it in the query string, so it must not work as a login token.
+ * @param {string} userId - Viewer's user ID
+ * @param {string} videoId - Video the token is valid for
+ * @param {number} expiresIn - Lifetime in seconds
+ * @returns {string} JWT token
+ */
+const generatePlaybackToken = (userId, videoId, expiresIn) => {
+  return jwt.sign(
+    { id: userId, videoId: videoId, scope: 'playback' },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+};
+
 /**
  * Verify JWT token
  * @param {string} token - JWT token to verify
@@ -42,6 +58,7 @@ const extractTokenFromHeader = (authHeader) => {
 
 module.exports = {
   generateToken,
+  generatePlaybackToken,
   verifyToken,
   extractTokenFromHeader
 }; 
\ No newline at end of file
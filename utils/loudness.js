@@ -0,0 +1,81 @@
+// EBU R128 allows at most -1 dBTP; sources with a wider loudness range than this are compressed
+const DEFAULT_TRUE_PEAK = -1;
+const TARGET_RANGE = 11;
+
+/**
+ * Loudness target of a deployment
+ * @param {object} [env] - Environment variables (LOUDNORM_TARGET_LUFS, LOUDNORM_TRUE_PEAK)
+ * @returns {{ integrated: number, truePeak: number, range: number }} Target in LUFS, dBTP and LU
+ */
+const getLoudnessTarget = (env = process.env) => {
+  const integrated = parseFloat(env.LOUDNORM_TARGET_LUFS);
+  const truePeak = parseFloat(env.LOUDNORM_TRUE_PEAK);
+  return {
+    integrated: integrated >= -70 && integrated <= -5 ? integrated : -23,
+    truePeak: truePeak >= -9 && truePeak <= 0 ? truePeak : DEFAULT_TRUE_PEAK,
+    range: TARGET_RANGE
+  };
+};
+
+const getTargetOptions = target => `I=${target.integrated}:TP=${target.truePeak}:LRA=${target.range}`;
+
+/**
+ * loudnorm filter for the measuring pass, which prints its statistics as JSON
+ * @param {object} target - From getLoudnessTarget
+ * @returns {string} Audio filter
+ */
+const getLoudnormMeasureFilter = target => `loudnorm=${getTargetOptions(target)}:print_format=json`;
+
+/**
+ * Read the statistics printed by the measuring pass
+ * @param {string} stderr - ffmpeg output
+ * @returns {{ integrated: number, truePeak: number, range: number, threshold: number, offset: number }|null}
+ *   Measured input loudness (LUFS, dBTP, LU, LUFS) and the offset loudnorm suggests, or null if there
+ *   were no statistics or the stream is silent
+ */
+const parseLoudnormStats = (stderr) => {
+  const blocks = (stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/g);
+  if (!blocks) {
+    return null;
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(blocks[blocks.length - 1]);
+  } catch (error) {
+    return null;
+  }
+  const stats = {
+    integrated: parseFloat(raw.input_i),
+    truePeak: parseFloat(raw.input_tp),
+    range: parseFloat(raw.input_lra),
+    threshold: parseFloat(raw.input_thresh),
+    offset: parseFloat(raw.target_offset)
+  };
+  // Silence measures as -inf
+  return Object.values(stats).every(Number.isFinite) ? stats : null;
+};
+
+/**
+ * loudnorm filter for the encode, applying the measured values. Linear mode keeps the dynamics
+ * when the target can be reached with a single gain; loudnorm falls back to dynamic mode otherwise.
+ * @param {object} target - From getLoudnessTarget
+ * @param {object} stats - From parseLoudnormStats
+ * @returns {string} Audio filter
+ */
+const buildLoudnormFilter = (target, stats) => [
+  `loudnorm=${getTargetOptions(target)}`,
+  `measured_I=${stats.integrated}`,
+  `measured_TP=${stats.truePeak}`,
+  `measured_LRA=${stats.range}`,
+  `measured_thresh=${stats.threshold}`,
+  `offset=${stats.offset}`,
+  'linear=true'
+].join(':');
+
+module.exports = {
+  getLoudnessTarget,
+  getLoudnormMeasureFilter,
+  parseLoudnormStats,
+  buildLoudnormFilter
+};
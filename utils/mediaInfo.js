@@ -0,0 +1,158 @@
+/**
+ * Parse an ffprobe rational such as "30000/1001" or "25"
+ * @param {string} value - Rational string from ffprobe
+ * @returns {number|null} Decimal value or null if unknown
+ */
+const parseRational = (value) => {
+  if (!value || typeof value !== 'string') {
+    return null;
+  }
+  const [num, den = '1'] = value.split('/');
+  const numerator = parseFloat(num);
+  const denominator = parseFloat(den);
+  if (!numerator || !denominator) {
+    return null;
+  }
+  return numerator / denominator;
+};
+
+/**
+ * Read the display rotation of a stream in degrees (0, 90, 180 or 270)
+ * @param {object} stream - ffprobe stream entry
+ * @returns {number} Clockwise rotation in degrees
+ */
+const getRotation = (stream) => {
+  let rotation = 0;
+  if (stream.tags && stream.tags.rotate) {
+    rotation = parseInt(stream.tags.rotate, 10) || 0;
+  } else if (Array.isArray(stream.side_data_list)) {
+    const displayMatrix = stream.side_data_list.find(data => data.rotation !== undefined);
+    if (displayMatrix) {
+      // Display matrix rotation is counter-clockwise
+      rotation = -parseInt(displayMatrix.rotation, 10) || 0;
+    }
+  }
+  return ((rotation % 360) + 360) % 360;
+};
+
+/**
+ * Extract the geometry of the primary video stream from ffprobe output
+ * @param {object} probeData - Result of ffprobe
+ * @returns {object|null} Video stream info or null if there is no video stream
+ */
+const getVideoStreamInfo = (probeData) => {
+  const stream = (probeData.streams || []).find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+  if (!stream) {
+    return null;
+  }
+
+  const rotation = getRotation(stream);
+  const swapped = rotation === 90 || rotation === 270;
+  const frameRate = parseRational(stream.avg_frame_rate) || parseRational(stream.r_frame_rate);
+
+  // Non-square pixels are resolved to square pixels at the stored height
+  const sar = parseRational((stream.sample_aspect_ratio || '1:1').replace(':', '/')) || 1;
+  const width = Math.round(stream.width * sar);
+  const height = stream.height;
+
+  return {
+    codec: stream.codec_name,
+    width: stream.width,
+    height: stream.height,
+    rotation,
+    frameRate: frameRate ? Math.round(frameRate * 1000) / 1000 : null,
+    displayWidth: swapped ? height : width,
+    displayHeight: swapped ? width : height
+  };
+};
+
+/**
+ * Parse a numeric ffprobe field that may be missing or "N/A"
+ * @param {string|number} value - Raw ffprobe value
+ * @returns {number|null} Number or null if not available
+ */
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+// Subtitle codecs that can be converted to WebVTT (bitmap formats like PGS can't)
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'webvtt', 'mov_text', 'text'];
+
+/**
+ * List the text subtitle streams of a source
+ * @param {object} probeData - Result of ffprobe
+ * @returns {Array<object>} One entry per text subtitle stream; index is the position among subtitle streams (0:s:N)
+ */
+const getSubtitleTracks = (probeData) => (probeData.streams || [])
+  .filter(stream => stream.codec_type === 'subtitle')
+  .map((stream, index) => {
+    const tags = stream.tags || {};
+    return {
+      index,
+      codec: stream.codec_name || null,
+      language: (tags.language || tags.LANGUAGE || 'und').toLowerCase(),
+      title: tags.title || tags.TITLE || null,
+      isDefault: Boolean(stream.disposition && stream.disposition.default)
+    };
+  })
+  .filter(track => TEXT_SUBTITLE_CODECS.includes(track.codec));
+
+/**
+ * List the audio streams of a source in stream order
+ * @param {object} probeData - Result of ffprobe
+ * @returns {Array<object>} One entry per audio stream; index is the position among audio streams (0:a:N)
+ */
+const getAudioTracks = (probeData) => (probeData.streams || [])
+  .filter(stream => stream.codec_type === 'audio')
+  .map((stream, index) => {
+    const tags = stream.tags || {};
+    const language = (tags.language || tags.LANGUAGE || 'und').toLowerCase();
+    return {
+      index,
+      codec: stream.codec_name || null,
+      language,
+      title: tags.title || tags.TITLE || null,
+      channels: toNumber(stream.channels),
+      isDefault: Boolean(stream.disposition && stream.disposition.default)
+    };
+  });
+
+/**
+ * Normalize ffprobe output into the typed fields stored on Video.mediaInfo
+ * @param {object} probeData - Result of ffprobe
+ * @returns {object} Technical metadata of the source
+ */
+const parseMediaInfo = (probeData) => {
+  const format = probeData.format || {};
+  const video = getVideoStreamInfo(probeData);
+  const videoStream = (probeData.streams || []).find(s => s.codec_type === 'video' && !(s.disposition && s.disposition.attached_pic));
+  const audioStream = (probeData.streams || []).find(s => s.codec_type === 'audio');
+
+  return {
+    duration: toNumber(format.duration) || toNumber(videoStream && videoStream.duration),
+    container: format.format_name || null,
+    bitrate: toNumber(format.bit_rate),
+    videoCodec: video ? video.codec : null,
+    videoBitrate: toNumber(videoStream && videoStream.bit_rate),
+    width: video ? video.displayWidth : null,
+    height: video ? video.displayHeight : null,
+    frameRate: video ? video.frameRate : null,
+    rotation: video ? video.rotation : 0,
+    audioCodec: audioStream ? audioStream.codec_name : null,
+    audioChannels: audioStream ? toNumber(audioStream.channels) : null,
+    audioSampleRate: audioStream ? toNumber(audioStream.sample_rate) : null,
+    audioTracks: getAudioTracks(probeData),
+    subtitleTracks: getSubtitleTracks(probeData),
+    probedAt: new Date()
+  };
+};
+
+module.exports = {
+  parseRational,
+  getRotation,
+  getVideoStreamInfo,
+  getAudioTracks,
+  getSubtitleTracks,
+  parseMediaInfo
+};
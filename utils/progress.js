@@ -0,0 +1,91 @@
+/**
+ * Overall progress ranges (percent) for each phase of an encoding job
+ */
+const PHASES = {
+  download: { start: 0, end: 10 },
+  thumbnails: { start: 10, end: 15 }, // poster, candidates and sprite sheets
+  encode: { start: 15, end: 90 }, // encoding and uploading every rendition
+  publish: { start: 90, end: 100 }
+};
+
+/**
+ * Convert an ffmpeg timemark ("HH:MM:SS.xx") to seconds
+ * @param {string} timemark - Timemark reported by fluent-ffmpeg
+ * @returns {number} Seconds, or 0 if the timemark cannot be parsed
+ */
+const parseTimemark = (timemark) => {
+  if (!timemark || typeof timemark !== 'string') {
+    return 0;
+  }
+  const parts = timemark.split(':').map(parseFloat);
+  if (parts.some(part => !Number.isFinite(part))) {
+    return 0;
+  }
+  return parts.reduce((total, part) => total * 60 + part, 0);
+};
+
+/**
+ * Fraction (0-1) of the source that ffmpeg has processed
+ * @param {string} timemark - Timemark reported by fluent-ffmpeg
+ * @param {number} duration - Probed source duration in seconds
+ * @returns {number} Clamped fraction
+ */
+const getTimemarkFraction = (timemark, duration) => {
+  if (!duration) {
+    return 0;
+  }
+  return Math.min(1, Math.max(0, parseTimemark(timemark) / duration));
+};
+
+/**
+ * Map a fraction of a phase onto the overall 0-100 progress scale
+ * @param {string} phase - Key of PHASES
+ * @param {number} fraction - Completed fraction of the phase (0-1)
+ * @returns {number} Overall progress with one decimal
+ */
+const getPhaseProgress = (phase, fraction) => {
+  const { start, end } = PHASES[phase];
+  const clamped = Math.min(1, Math.max(0, fraction));
+  return Math.round((start + (end - start) * clamped) * 10) / 10;
+};
+
+// An audio rendition costs about as much to encode as a tiny (256x144@30) video rendition
+const AUDIO_RENDITION_COST = 256 * 144 * 30;
+
+/**
+ * Relative encoding cost of each rendition, proportional to pixels per second
+ * @param {Array<object>} renditions - Rendition ladder
+ * @returns {Array<number>} Weights summing to 1
+ */
+const getRenditionWeights = (renditions) => {
+  const costs = renditions.map(r => (r.type === 'audio' ? AUDIO_RENDITION_COST : r.width * r.height * (r.frameRate || 30)));
+  const total = costs.reduce((sum, cost) => sum + cost, 0);
+  return costs.map(cost => (total ? cost / total : 1 / renditions.length));
+};
+
+/**
+ * Estimate the remaining time from the progress made so far
+ * @param {Date} startTime - When the job started
+ * @param {number} progress - Overall progress (0-100)
+ * @param {Date} [now] - Current time
+ * @returns {number|null} Remaining seconds or null when not enough data yet
+ */
+const estimateRemainingSeconds = (startTime, progress, now = new Date()) => {
+  if (!startTime || progress < 1) {
+    return null;
+  }
+  if (progress >= 100) {
+    return 0;
+  }
+  const elapsed = (now - new Date(startTime)) / 1000;
+  return Math.round(elapsed * (100 - progress) / progress);
+};
+
+module.exports = {
+  PHASES,
+  parseTimemark,
+  getTimemarkFraction,
+  getPhaseProgress,
+  getRenditionWeights,
+  estimateRemainingSeconds
+};
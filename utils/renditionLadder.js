@@ -0,0 +1,165 @@
+/**
+ * Standard rungs keyed by the short side of the picture.
+ * Bitrates (kbps) are for content up to 30fps; higher frame rates get a multiplier.
+ */
+const LADDER = [
+  { height: 240, videoBitrate: 400, audioBitrate: 64 },
+  { height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { height: 1080, videoBitrate: 5000, audioBitrate: 160 },
+  { height: 1440, videoBitrate: 8000, audioBitrate: 160 },
+  { height: 2160, videoBitrate: 14000, audioBitrate: 192 }
+];
+
+const MAX_FRAME_RATE = 60;
+const HIGH_FRAME_RATE_MULTIPLIER = 1.5;
+// Rungs below this height are capped at 30fps to save bits for resolution
+const HIGH_FRAME_RATE_MIN_HEIGHT = 720;
+
+/**
+ * Round a dimension to the nearest even number (required by yuv420p)
+ * @param {number} value - Dimension in pixels
+ * @returns {number} Even dimension, at least 2
+ */
+const toEven = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Pick the output frame rate for a rung
+ * @param {number|null} sourceFrameRate - Probed source frame rate
+ * @param {number} rungHeight - Short side of the rung
+ * @returns {number|null} Output frame rate, or null to keep the source rate
+ */
+const getRungFrameRate = (sourceFrameRate, rungHeight) => {
+  if (!sourceFrameRate) {
+    return null;
+  }
+  let frameRate = Math.min(sourceFrameRate, MAX_FRAME_RATE);
+  if (rungHeight < HIGH_FRAME_RATE_MIN_HEIGHT && frameRate > 30) {
+    // Halve 50/60fps sources so the cadence stays even
+    frameRate = frameRate / 2;
+  }
+  return Math.round(frameRate * 1000) / 1000;
+};
+
+/**
+ * Build the adaptive bitrate ladder for a probed source.
+ * Never upscales, keeps the display aspect ratio (portrait included) and
+ * scales bitrate with frame rate.
+ * @param {object} source - Output of getVideoStreamInfo
+ * @param {number} source.displayWidth - Width after rotation
+ * @param {number} source.displayHeight - Height after rotation
+ * @param {number|null} source.frameRate - Source frame rate
+ * @returns {Array<object>} Renditions ordered from lowest to highest
+ */
+const buildLadder = (source) => {
+  if (!source || !source.displayWidth || !source.displayHeight) {
+    throw new Error('Cannot build rendition ladder without source dimensions');
+  }
+
+  const { displayWidth, displayHeight, frameRate } = source;
+  const isPortrait = displayHeight > displayWidth;
+  const shortSide = Math.min(displayWidth, displayHeight);
+  const aspect = Math.max(displayWidth, displayHeight) / shortSide;
+
+  let rungs = LADDER.filter(rung => rung.height <= shortSide);
+  if (rungs.length === 0) {
+    // Source is smaller than the lowest rung: encode it once at its own size
+    rungs = [{ ...LADDER[0], height: shortSide }];
+  }
+
+  return rungs.map((rung) => {
+    const short = toEven(rung.height);
+    const long = toEven(rung.height * aspect);
+    const outputFrameRate = getRungFrameRate(frameRate, rung.height);
+    const multiplier = outputFrameRate && outputFrameRate > 30 ? HIGH_FRAME_RATE_MULTIPLIER : 1;
+    const videoBitrate = Math.round(rung.videoBitrate * multiplier);
+
+    return {
+      name: `${rung.height}p`,
+      width: isPortrait ? short : long,
+      height: isPortrait ? long : short,
+      frameRate: outputFrameRate,
+      videoBitrate,
+      maxBitrate: Math.round(videoBitrate * 1.07),
+      bufferSize: videoBitrate * 2,
+      audioBitrate: rung.audioBitrate
+    };
+  });
+};
+
+// Audio renditions are downmixed to at most stereo AAC
+const AUDIO_BITRATES = { 1: 64, 2: 128 };
+
+/**
+ * Normalize an ffprobe language tag (ISO 639-2, e.g. "eng") to a BCP 47 tag ("en")
+ * @param {string} language - Language tag from the stream metadata
+ * @returns {string} BCP 47 tag, "und" when unknown
+ */
+const toLanguageTag = (language) => {
+  try {
+    return Intl.getCanonicalLocales(language || 'und')[0];
+  } catch (error) {
+    return 'und';
+  }
+};
+
+/**
+ * Human readable name for a language tag ("en" becomes "English")
+ * @param {string} languageTag - BCP 47 tag
+ * @returns {string} Display name
+ */
+const getLanguageName = (languageTag) => {
+  if (languageTag === 'und') {
+    return 'Unknown';
+  }
+  try {
+    return new Intl.DisplayNames(['en'], { type: 'language' }).of(languageTag) || languageTag;
+  } catch (error) {
+    return languageTag;
+  }
+};
+
+/**
+ * Plan one HLS audio rendition per source audio stream
+ * @param {Array<object>} tracks - Output of getAudioTracks
+ * @returns {Array<object>} Audio renditions; exactly one is marked default
+ */
+const buildAudioRenditions = (tracks) => {
+  if (!tracks || tracks.length === 0) {
+    return [];
+  }
+
+  const defaultIndex = Math.max(0, tracks.findIndex(track => track.isDefault));
+  const names = new Set();
+
+  return tracks.map((track, i) => {
+    const language = toLanguageTag(track.language);
+    const channels = Math.min(track.channels || 2, 2);
+    let label = track.title || getLanguageName(language);
+    // NAME must be unique within the group
+    for (let n = 2; names.has(label); n++) {
+      label = `${track.title || getLanguageName(language)} ${n}`;
+    }
+    names.add(label);
+
+    return {
+      name: `audio_${track.index}`,
+      type: 'audio',
+      streamIndex: track.index,
+      language,
+      label,
+      channels,
+      audioBitrate: AUDIO_BITRATES[channels],
+      isDefault: i === defaultIndex
+    };
+  });
+};
+
+module.exports = {
+  LADDER,
+  buildLadder,
+  toLanguageTag,
+  getLanguageName,
+  buildAudioRenditions
+};
@@ -0,0 +1,129 @@
+const TRANSIENT_ERROR_NAMES = [
+  'TimeoutError',
+  'RequestTimeout',
+  'RequestTimeoutException',
+  'SlowDown',
+  'InternalError',
+  'ServiceUnavailable',
+  'ThrottlingException',
+  'NetworkingError'
+];
+
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'EPIPE',
+  'ENOTFOUND',
+  'EAI_AGAIN'
+];
+
+/**
+ * Whether an error is worth retrying (network hiccups, throttling, 5xx from AWS)
+ * @param {Error} error - Error thrown by an AWS SDK call or the network stack
+ * @returns {boolean} True if the operation may succeed when repeated
+ */
+const isTransientError = (error) => {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+  if (error.$retryable) {
+    return true;
+  }
+  const status = error.$metadata && error.$metadata.httpStatusCode;
+  if (status === 429 || status >= 500) {
+    return true;
+  }
+  return TRANSIENT_ERROR_NAMES.includes(error.name) || TRANSIENT_ERROR_CODES.includes(error.code);
+};
+
+// ffmpeg messages of I/O failures: a presigned URL input dropping, storage 5xx, a flaky or full disk
+const TRANSIENT_FFMPEG_PATTERN = new RegExp([
+  'Connection (reset|refused|timed out)',
+  'Broken pipe',
+  'Input/output error',
+  'Resource temporarily unavailable',
+  'No space left on device',
+  'Server returned 5\\d\\d',
+  'HTTP error 5\\d\\d',
+  'ECONNRESET',
+  'ETIMEDOUT'
+].join('|'), 'i');
+
+/**
+ * Whether a failed ffmpeg or ffprobe run is worth repeating: only transient I/O and network errors,
+ * never broken input, bad options or a crash, which would fail the same way again
+ * @param {Error} error - Error from an ffmpeg run (or the storage calls around it)
+ * @returns {boolean} True if the run may succeed when repeated
+ */
+const isTransientFfmpegError = (error) => {
+  if (!error || error.name === 'AbortError') {
+    return false;
+  }
+  return isTransientError(error) || TRANSIENT_FFMPEG_PATTERN.test(error.message || '');
+};
+
+/**
+ * Wait for a delay, rejecting early if the signal aborts
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Optional abort signal
+ * @returns {Promise<void>}
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal && signal.aborted) {
+    return reject(signal.reason);
+  }
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    if (signal) signal.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  if (signal) signal.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Run an operation, retrying retryable failures with exponential backoff and jitter
+ * @param {Function} operation - Async function receiving the attempt number (1-based)
+ * @param {object} [options] - Retry options
+ * @param {number} [options.retries=3] - Retries after the first attempt
+ * @param {number} [options.baseDelay=1000] - Delay before the first retry in ms
+ * @param {number} [options.maxDelay=30000] - Upper bound for a single delay in ms
+ * @param {Function} [options.isRetryable=isTransientError] - Decides whether an error is retried
+ * @param {Function} [options.onRetry] - Called with (error, attempt, delay) before waiting
+ * @param {AbortSignal} [options.signal] - Stops retrying when aborted
+ * @returns {Promise<*>} Result of the operation
+ */
+const withRetry = async (operation, options = {}) => {
+  const {
+    retries = 3,
+    baseDelay = 1000,
+    maxDelay = 30000,
+    isRetryable = isTransientError,
+    onRetry,
+    signal
+  } = options;
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const aborted = signal && signal.aborted;
+      if (aborted || attempt > retries || !isRetryable(error)) {
+        throw error;
+      }
+      const delay = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1)) * (0.5 + Math.random() / 2);
+      if (onRetry) onRetry(error, attempt, Math.round(delay));
+      await sleep(delay, signal);
+    }
+  }
+};
+
+module.exports = {
+  isTransientError,
+  isTransientFfmpegError,
+  sleep,
+  withRetry
+};
@@ -0,0 +1,139 @@
+/**
+ * Evenly spaced timestamps for candidate thumbnails, skipping the first and last 10%
+ * of the video (intros, fades and credits rarely make good posters)
+ * @param {number} duration - Source duration in seconds
+ * @param {number} count - Number of candidates
+ * @returns {Array<number>} Timestamps in seconds (three decimals)
+ */
+const getCandidateTimestamps = (duration, count) => {
+  if (!(duration > 0) || count < 1) {
+    return [0];
+  }
+  const start = duration * 0.1;
+  const span = duration * 0.8;
+  return Array.from({ length: count }, (_, i) => {
+    const timestamp = start + span * (count === 1 ? 0.5 : i / (count - 1));
+    return Math.round(timestamp * 1000) / 1000;
+  });
+};
+
+/**
+ * Score a grayscale frame: mean luma (is it black?) and the variance of its
+ * Laplacian (is it blurry?)
+ * @param {Buffer} pixels - 8-bit grayscale pixels, row by row
+ * @param {number} width - Frame width
+ * @param {number} height - Frame height
+ * @returns {{ brightness: number, sharpness: number }} Mean luma (0-255) and Laplacian variance
+ */
+const scoreFrame = (pixels, width, height) => {
+  let lumaTotal = 0;
+  for (let i = 0; i < width * height; i++) {
+    lumaTotal += pixels[i];
+  }
+
+  let sum = 0;
+  let sumOfSquares = 0;
+  let count = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const laplacian = pixels[i - width] + pixels[i + width] + pixels[i - 1] + pixels[i + 1] - 4 * pixels[i];
+      sum += laplacian;
+      sumOfSquares += laplacian * laplacian;
+      count++;
+    }
+  }
+
+  const mean = count ? sum / count : 0;
+  return {
+    brightness: Math.round((lumaTotal / (width * height)) * 10) / 10,
+    sharpness: count ? Math.round((sumOfSquares / count - mean * mean) * 10) / 10 : 0
+  };
+};
+
+/**
+ * Pick the poster among scored candidates: the sharpest frame that is neither
+ * (nearly) black nor blown out. Falls back to the brightest frame if none qualify.
+ * @param {Array<{brightness: number, sharpness: number}>} candidates - Scored candidates
+ * @param {object} [options] - Thresholds
+ * @param {number} [options.minBrightness=24] - Mean luma below this counts as black
+ * @param {number} [options.maxBrightness=235] - Mean luma above this counts as white
+ * @returns {number} Index of the chosen candidate, or -1 if there are none
+ */
+const pickPoster = (candidates, options = {}) => {
+  const { minBrightness = 24, maxBrightness = 235 } = options;
+  if (candidates.length === 0) {
+    return -1;
+  }
+
+  let best = -1;
+  candidates.forEach((candidate, i) => {
+    const usable = candidate.brightness >= minBrightness && candidate.brightness <= maxBrightness;
+    if (usable && (best === -1 || candidate.sharpness > candidates[best].sharpness)) {
+      best = i;
+    }
+  });
+  if (best !== -1) {
+    return best;
+  }
+
+  return candidates.reduce((brightest, candidate, i) => (
+    candidate.brightness > candidates[brightest].brightness ? i : brightest
+  ), 0);
+};
+
+/**
+ * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Timestamp
+ */
+const formatVttTimestamp = (seconds) => {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const hours = Math.floor(totalMs / 3600000);
+  const minutes = Math.floor((totalMs % 3600000) / 60000);
+  const secs = Math.floor((totalMs % 60000) / 1000);
+  const ms = totalMs % 1000;
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+};
+
+/**
+ * Build the WebVTT thumbnails track for sprite sheets: one cue per sprite tile,
+ * pointing at the tile with a media fragment (sprite_000.jpg#xywh=x,y,w,h)
+ * @param {object} sprite - Sprite layout
+ * @param {number} sprite.duration - Video duration in seconds
+ * @param {number} sprite.interval - Seconds between tiles
+ * @param {number} sprite.columns - Tiles per row
+ * @param {number} sprite.rows - Rows per sheet
+ * @param {number} sprite.tileWidth - Tile width in pixels
+ * @param {number} sprite.tileHeight - Tile height in pixels
+ * @param {Function} sprite.sheetName - Returns the file name of sheet n (0-based)
+ * @returns {string} WebVTT text
+ */
+const buildSpriteVtt = (sprite) => {
+  const { duration, interval, columns, rows, tileWidth, tileHeight, sheetName } = sprite;
+  const tilesPerSheet = columns * rows;
+  const tileCount = Math.max(1, Math.ceil(duration / interval));
+  const lines = ['WEBVTT', ''];
+
+  for (let i = 0; i < tileCount; i++) {
+    const start = i * interval;
+    const end = Math.min(duration, start + interval);
+    const position = i % tilesPerSheet;
+    const x = (position % columns) * tileWidth;
+    const y = Math.floor(position / columns) * tileHeight;
+    lines.push(`${formatVttTimestamp(start)} --> ${formatVttTimestamp(end)}`);
+    lines.push(`${sheetName(Math.floor(i / tilesPerSheet))}#xywh=${x},${y},${tileWidth},${tileHeight}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  getCandidateTimestamps,
+  scoreFrame,
+  pickPoster,
+  formatVttTimestamp,
+  buildSpriteVtt
+};
@@ -0,0 +1,46 @@
+const TUS_VERSION = '1.0.0';
+const TUS_EXTENSIONS = ['creation', 'expiration', 'termination'];
+
+/**
+ * Parse an Upload-Metadata header: comma-separated "key base64value" pairs (the value is optional)
+ * @param {string} [header] - Header value
+ * @returns {object|null} Decoded values by key, or null if the header is malformed
+ */
+const parseUploadMetadata = (header) => {
+  const metadata = {};
+  if (!header || !header.trim()) {
+    return metadata;
+  }
+
+  for (const pair of header.split(',')) {
+    const [key, value, ...rest] = pair.trim().split(' ');
+    if (!key || rest.length > 0 || Object.prototype.hasOwnProperty.call(metadata, key)) {
+      return null;
+    }
+    if (value !== undefined && !/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+      return null;
+    }
+    metadata[key] = value === undefined ? '' : Buffer.from(value, 'base64').toString('utf8');
+  }
+  return metadata;
+};
+
+/**
+ * Read a non-negative integer header such as Upload-Length or Upload-Offset
+ * @param {string} [value] - Header value
+ * @returns {number|null} The integer, or null if missing or invalid
+ */
+const parseByteCount = (value) => {
+  if (typeof value !== 'string' || !/^\d+$/.test(value)) {
+    return null;
+  }
+  const bytes = Number(value);
+  return Number.isSafeInteger(bytes) ? bytes : null;
+};
+
+module.exports = {
+  TUS_VERSION,
+  TUS_EXTENSIONS,
+  parseUploadMetadata,
+  parseByteCount
+};
@@ -0,0 +1,152 @@
+const WATERMARK_TYPES = ['image', 'text'];
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+// Image width relative to the video width, text height relative to the video height
+const DEFAULT_SCALE = { image: 0.15, text: 0.05 };
+const MAX_TEXT_LENGTH = 200;
+// Uploaded images are stored flat under the prefix, so anything else (subfolders, '..') is rejected
+const IMAGE_NAME_PATTERN = /^[\w-]+\.(png|jpe?g)$/;
+
+/**
+ * Validate watermark settings and fill in defaults
+ * @param {object} settings - type ('image' or 'text'), imageKey or text, and optional
+ *   position, opacity (0-1), scale, margin (fraction of the video height), fontColor, start and end (seconds)
+ * @param {object} [options] - Validation options
+ * @param {string} [options.imagePrefix] - S3 prefix image keys must be uploaded images directly under
+ * @returns {{ watermark?: object, error?: string }} Normalized settings, or an error
+ */
+const normalizeWatermark = (settings, options = {}) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: 'Watermark must be an object' };
+  }
+
+  const type = settings.type || (settings.imageKey ? 'image' : 'text');
+  if (!WATERMARK_TYPES.includes(type)) {
+    return { error: "Watermark type must be 'image' or 'text'" };
+  }
+
+  const watermark = {
+    type,
+    position: settings.position || 'bottom-right',
+    opacity: settings.opacity !== undefined ? Number(settings.opacity) : 0.8,
+    scale: settings.scale !== undefined ? Number(settings.scale) : DEFAULT_SCALE[type],
+    margin: settings.margin !== undefined ? Number(settings.margin) : 0.03,
+    start: settings.start !== undefined && settings.start !== null ? Number(settings.start) : null,
+    end: settings.end !== undefined && settings.end !== null ? Number(settings.end) : null
+  };
+
+  if (type === 'image') {
+    if (typeof settings.imageKey !== 'string' || !settings.imageKey) {
+      return { error: 'An image watermark needs an imageKey' };
+    }
+    if (options.imagePrefix && !(settings.imageKey.startsWith(options.imagePrefix)
+      && IMAGE_NAME_PATTERN.test(settings.imageKey.slice(options.imagePrefix.length)))) {
+      return { error: 'Watermark image not found. Upload it with POST /api/upload/watermark/image first' };
+    }
+    watermark.imageKey = settings.imageKey;
+  } else {
+    if (typeof settings.text !== 'string' || !settings.text.trim() || settings.text.length > MAX_TEXT_LENGTH) {
+      return { error: `A text watermark needs text of at most ${MAX_TEXT_LENGTH} characters` };
+    }
+    watermark.text = settings.text.trim();
+    watermark.fontColor = settings.fontColor || 'white';
+    if (!/^(#[0-9a-fA-F]{6}|[a-zA-Z]+)$/.test(watermark.fontColor)) {
+      return { error: 'Font color must be a color name or #RRGGBB' };
+    }
+  }
+
+  if (!WATERMARK_POSITIONS.includes(watermark.position)) {
+    return { error: `Position must be one of ${WATERMARK_POSITIONS.join(', ')}` };
+  }
+  if (!(watermark.opacity > 0 && watermark.opacity <= 1)) {
+    return { error: 'Opacity must be greater than 0 and at most 1' };
+  }
+  if (!(watermark.scale > 0 && watermark.scale <= 1)) {
+    return { error: 'Scale must be greater than 0 and at most 1' };
+  }
+  if (!(watermark.margin >= 0 && watermark.margin <= 0.5)) {
+    return { error: 'Margin must be between 0 and 0.5' };
+  }
+  if ((watermark.start !== null && !(watermark.start >= 0)) || (watermark.end !== null && !(watermark.end > 0))) {
+    return { error: 'Start and end must be non-negative numbers of seconds' };
+  }
+  if (watermark.start !== null && watermark.end !== null && watermark.end <= watermark.start) {
+    return { error: 'End must be after start' };
+  }
+
+  return { watermark };
+};
+
+/**
+ * Fill in a text watermark template: {username}, {title}, {videoId} and {date} (YYYY-MM-DD).
+ * Unknown placeholders are left as they are.
+ * @param {string} template - Watermark text
+ * @param {object} values - Placeholder values
+ * @returns {string} Text to burn in
+ */
+const renderWatermarkText = (template, values) => template.replace(/\{(\w+)\}/g, (placeholder, name) => (
+  values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder
+));
+
+/**
+ * Placeholder values of a text watermark for a video
+ * @param {object} video - Video (videoId, displayName, originalName)
+ * @param {object} user - Owner (username)
+ * @returns {object} Values for renderWatermarkText
+ */
+const getWatermarkValues = (video, user) => ({
+  username: user.username,
+  title: video.displayName || video.originalName,
+  videoId: video.videoId,
+  date: new Date().toISOString().slice(0, 10)
+});
+
+/**
+ * Work out the watermark of an encode. A request without watermark settings reuses the
+ * video's stored watermark (so re-encodes reproduce it), else the user's default. Settings in
+ * the request override the user's default of the same type; false or null disables it.
+ * @param {object|boolean|null|undefined} requested - Watermark settings from the request
+ * @param {object} options - Resolution inputs
+ * @param {object|null} [options.current] - Watermark stored on the video (already rendered)
+ * @param {object|null} [options.userDefault] - The user's default watermark
+ * @param {string} [options.imagePrefix] - S3 prefix image keys must live under
+ * @param {object} [options.values] - Text template values
+ * @returns {{ watermark?: object|null, error?: string }} Rendered settings (null for none), or an error
+ */
+const resolveWatermark = (requested, options) => {
+  const { current = null, userDefault = null, imagePrefix, values = {} } = options;
+  if (requested === false || requested === null) {
+    return { watermark: null };
+  }
+  if (requested === undefined && (current || !userDefault)) {
+    return { watermark: current };
+  }
+
+  const overrides = requested || {};
+  if (typeof overrides !== 'object' || Array.isArray(overrides)) {
+    return { error: 'Watermark must be an object, or false to disable it' };
+  }
+  const type = overrides.type
+    || (overrides.imageKey ? 'image' : null)
+    || (overrides.text ? 'text' : null)
+    || (userDefault && userDefault.type);
+  const base = userDefault && userDefault.type === type ? userDefault : {};
+
+  const { watermark, error } = normalizeWatermark({ ...base, ...overrides, type }, { imagePrefix });
+  if (error) {
+    return { error };
+  }
+  if (watermark.type === 'text') {
+    watermark.text = renderWatermarkText(watermark.text, values);
+  }
+  return { watermark };
+};
+
+module.exports = {
+  WATERMARK_TYPES,
+  WATERMARK_POSITIONS,
+  normalizeWatermark,
+  renderWatermarkText,
+  getWatermarkValues,
+  resolveWatermark
+};